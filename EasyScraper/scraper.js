@@ -2,6 +2,8 @@ const puppeteer = require('puppeteer');
 const fs = require('fs');
 const createCsvWriter = require('csv-writer').createObjectCsvWriter;
 const robotsParser = require('robotstxt');
+// Shipped next to the app as an extra resource (see package.json build.extraResources)
+const { findNextPageUrl } = require('../pagination');
 
 class Scraper {
   constructor() {
@@ -112,7 +114,7 @@ class Scraper {
           // Try to find next page if maxPages > 1
           if (pageNum < maxPages) {
             try {
-              const nextUrl = await this.findNextPage(page, currentUrl);
+              const nextUrl = await this.findNextPage(page);
               if (nextUrl) {
                 currentUrl = nextUrl;
               } else {
@@ -228,30 +230,9 @@ class Scraper {
     }, dataTypes, customSelectors);
   }
 
-  async findNextPage(page, currentUrl) {
-    // Try to find next page link
-    const nextSelectors = [
-      'a[aria-label*="next" i]',
-      'a[title*="next" i]',
-      'a:contains("Next")',
-      'a:contains(">")',
-      '.pagination .next',
-      '.pager .next',
-      '[data-next]'
-    ];
-
-    for (const selector of nextSelectors) {
-      try {
-        const nextLink = await page.$eval(selector, el => el.href);
-        if (nextLink && nextLink !== currentUrl) {
-          return nextLink;
-        }
-      } catch (e) {
-        continue;
-      }
-    }
-
-    return null;
+  async findNextPage(page) {
+    // Same detection as the API's pagination (rel="next", pagination markup, "Next" link text)
+    return page.evaluate(findNextPageUrl);
   }
 
   async saveAsCSV(data, filePath) {
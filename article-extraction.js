@@ -0,0 +1,302 @@
+// Readability-style main content detection and article extraction.
+// Both functions run inside the page (page.evaluate / evaluateInDom), so each must be self-contained.
+
+// Score block containers by the paragraphs they hold, penalize link-heavy ones, and mark the winner
+// with data-instascrape-main. Navigation, ads, comments and similar clutter inside it get
+// data-instascrape-junk so extractors can drop them from a clone.
+function markMainContent() {
+    const MAIN = 'data-instascrape-main';
+    const JUNK = 'data-instascrape-junk';
+    const UNLIKELY = /comment|disqus|share|social|related|recommend|sidebar|promo|advert|\bads?\b|sponsor|newsletter|subscribe|cookie|consent|popup|modal|banner|breadcrumb|pagination|pager|footer|\bnav|menu|masthead|widget|outbrain|taboola/i;
+    const LIKELY = /article|body|content|entry|main|post|story|text|blog/i;
+    const JUNK_TAGS = 'nav, aside, footer, form, iframe, script, style, noscript, template, button, select, input:not([type="checkbox"]), svg, ' +
+        '[role="navigation"], [role="complementary"], [role="banner"], [role="contentinfo"], [aria-hidden="true"], [hidden]';
+
+    document.querySelectorAll(`[${MAIN}], [${JUNK}]`).forEach(el => {
+        el.removeAttribute(MAIN);
+        el.removeAttribute(JUNK);
+    });
+
+    const signature = el => `${el.className && el.className.baseVal === undefined ? el.className : ''} ${el.id || ''}`;
+    const isUnlikely = el => {
+        const sig = signature(el);
+        return UNLIKELY.test(sig) && !LIKELY.test(sig) && el.tagName !== 'BODY' && el.tagName !== 'ARTICLE' && el.tagName !== 'MAIN';
+    };
+    const classWeight = el => {
+        const sig = signature(el);
+        return (LIKELY.test(sig) ? 25 : 0) - (UNLIKELY.test(sig) ? 25 : 0);
+    };
+    const textLength = el => (el.textContent || '').replace(/\s+/g, ' ').trim().length;
+    const linkDensity = el => {
+        const total = textLength(el);
+        if (!total) {
+            return 0;
+        }
+        const linked = Array.from(el.querySelectorAll('a')).reduce((sum, a) => sum + textLength(a), 0);
+        return linked / total;
+    };
+    const inJunk = el => {
+        for (let node = el; node && node !== document.body; node = node.parentElement) {
+            if (node.matches(JUNK_TAGS) || isUnlikely(node)) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    const scores = new Map();
+    const initialScore = el => {
+        const tagScores = { DIV: 5, ARTICLE: 10, MAIN: 10, SECTION: 3, PRE: 3, TD: 3, BLOCKQUOTE: 3, FORM: -3, OL: -3, UL: -3, LI: -3, TH: -5 };
+        return (tagScores[el.tagName] || 0) + classWeight(el);
+    };
+    const addScore = (el, amount) => {
+        if (!el || el === document.documentElement) {
+            return;
+        }
+        if (!scores.has(el)) {
+            scores.set(el, initialScore(el));
+        }
+        scores.set(el, scores.get(el) + amount);
+    };
+
+    document.querySelectorAll('p, pre, td, blockquote').forEach(block => {
+        const length = textLength(block);
+        if (length < 25 || inJunk(block)) {
+            return;
+        }
+        // One point per paragraph, one per comma, and up to three for length
+        const score = 1 + (block.textContent.match(/[,，、]/g) || []).length + Math.min(Math.floor(length / 100), 3);
+        addScore(block.parentElement, score);
+        addScore(block.parentElement && block.parentElement.parentElement, score / 2);
+    });
+
+    let best = null;
+    let bestScore = 0;
+    scores.forEach((score, el) => {
+        const finalScore = score * (1 - linkDensity(el));
+        if (finalScore > bestScore) {
+            best = el;
+            bestScore = finalScore;
+        }
+    });
+
+    // Prefer a semantic wrapper that holds nearly the same text
+    if (best) {
+        const wrapper = best.closest('article, main, [role="main"]');
+        if (wrapper && wrapper !== best && textLength(best) >= textLength(wrapper) * 0.8) {
+            best = wrapper;
+        }
+    }
+
+    const main = best || document.querySelector('article, main, [role="main"]') || document.body;
+    if (!main) {
+        return { found: false, score: 0 };
+    }
+    main.setAttribute(MAIN, '');
+
+    let junk = 0;
+    main.querySelectorAll('*').forEach(el => {
+        if (el.matches(JUNK_TAGS) || isUnlikely(el) ||
+            (/^(UL|OL|DIV|SECTION)$/.test(el.tagName) && textLength(el) > 0 && linkDensity(el) > 0.6 && el.querySelectorAll('p').length === 0)) {
+            el.setAttribute(JUNK, '');
+            junk++;
+        }
+    });
+
+    return {
+        found: Boolean(best),
+        score: Math.round(bestScore),
+        tagName: main.tagName.toLowerCase(),
+        junkRemoved: junk
+    };
+}
+
+// Clean article text, HTML and metadata from the node marked by markMainContent.
+// Metadata comes from JSON-LD first, then OpenGraph / meta tags, then the page itself.
+function extractArticle() {
+    const MAIN = 'data-instascrape-main';
+    const JUNK = 'data-instascrape-junk';
+    const WORDS_PER_MINUTE = 230;
+    const ARTICLE_TYPES = /^(Article|NewsArticle|BlogPosting|Report|ScholarlyArticle|TechArticle|LiveBlogPosting|OpinionNewsArticle|AnalysisNewsArticle|ReviewNewsArticle|SocialMediaPosting|WebPage)$/;
+    const sources = {};
+
+    const meta = (...names) => {
+        for (const name of names) {
+            const el = document.querySelector(`meta[property="${name}"], meta[name="${name}"], meta[itemprop="${name}"]`);
+            if (el && el.getAttribute('content')) {
+                return el.getAttribute('content').trim();
+            }
+        }
+        return null;
+    };
+    const absolute = url => {
+        try {
+            return url ? new URL(url, document.baseURI).href : null;
+        } catch {
+            return null;
+        }
+    };
+    const clean = value => (typeof value === 'string' ? value.replace(/\s+/g, ' ').trim() : null) || null;
+
+    // JSON-LD article object, looking through arrays and @graph
+    let jsonLd = null;
+    document.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+        if (jsonLd) {
+            return;
+        }
+        let parsed;
+        try {
+            parsed = JSON.parse(script.textContent);
+        } catch {
+            return;
+        }
+        const queue = [parsed];
+        while (queue.length && !jsonLd) {
+            const item = queue.shift();
+            if (Array.isArray(item)) {
+                queue.push(...item);
+            } else if (item && typeof item === 'object') {
+                const types = [].concat(item['@type'] || []);
+                if (types.some(type => ARTICLE_TYPES.test(type)) && (item.headline || item.articleBody || item.author || types[0] !== 'WebPage')) {
+                    jsonLd = item;
+                }
+                if (item['@graph']) {
+                    queue.push(item['@graph']);
+                }
+            }
+        }
+    });
+
+    const ldName = value => {
+        const list = [].concat(value || []).map(entry => (typeof entry === 'string' ? entry : entry && entry.name)).filter(Boolean);
+        return list.length ? list.join(', ') : null;
+    };
+    const ldImage = value => {
+        const first = [].concat(value || [])[0];
+        return first ? absolute(typeof first === 'string' ? first : first.url || first.contentUrl) : null;
+    };
+
+    // First source with a value wins; remember where each field came from
+    const pick = (field, candidates) => {
+        for (const [source, value] of candidates) {
+            const cleaned = typeof value === 'string' ? clean(value) : value;
+            if (cleaned) {
+                sources[field] = source;
+                return cleaned;
+            }
+        }
+        sources[field] = null;
+        return null;
+    };
+
+    const main = document.querySelector(`[${MAIN}]`) || document.body;
+    const root = main.cloneNode(true);
+    root.querySelectorAll(`[${JUNK}]`).forEach(el => el.remove());
+
+    const title = pick('title', [
+        ['jsonld', jsonLd && jsonLd.headline],
+        ['opengraph', meta('og:title', 'twitter:title')],
+        ['page', (root.querySelector('h1') || document.querySelector('h1') || {}).textContent],
+        ['page', document.title]
+    ]);
+
+    const bylineEl = document.querySelector('[rel="author"], [itemprop="author"], .byline, .author, .post-author, .entry-author');
+    const byline = pick('byline', [
+        ['jsonld', jsonLd && ldName(jsonLd.author)],
+        ['opengraph', meta('article:author', 'author', 'twitter:creator')],
+        ['page', bylineEl && bylineEl.textContent.replace(/^\s*by\s+/i, '')]
+    ]);
+
+    const timeEl = root.querySelector('time[datetime]') || document.querySelector('article time[datetime], time[datetime]');
+    const publishedAt = pick('publishedAt', [
+        ['jsonld', jsonLd && jsonLd.datePublished],
+        ['opengraph', meta('article:published_time', 'datePublished', 'pubdate', 'date')],
+        ['page', timeEl && timeEl.getAttribute('datetime')]
+    ]);
+    const modifiedAt = pick('modifiedAt', [
+        ['jsonld', jsonLd && jsonLd.dateModified],
+        ['opengraph', meta('article:modified_time', 'og:updated_time', 'dateModified')]
+    ]);
+
+    const contentImage = Array.from(root.querySelectorAll('img[src]')).find(img =>
+        !/logo|avatar|icon|sprite|pixel/i.test(`${img.src} ${img.className}`) &&
+        !(img.getAttribute('width') && parseInt(img.getAttribute('width')) < 100));
+    const leadImage = pick('leadImage', [
+        ['jsonld', jsonLd && ldImage(jsonLd.image)],
+        ['opengraph', absolute(meta('og:image', 'og:image:url', 'twitter:image'))],
+        ['page', contentImage && contentImage.src]
+    ]);
+
+    const siteName = pick('siteName', [
+        ['jsonld', jsonLd && jsonLd.publisher && ldName(jsonLd.publisher)],
+        ['opengraph', meta('og:site_name', 'application-name')],
+        ['page', window.location.hostname.replace(/^www\./, '')]
+    ]);
+
+    // Strip presentation attributes and make links and images absolute
+    root.querySelectorAll('*').forEach(el => {
+        Array.from(el.attributes).forEach(attr => {
+            if (/^(class|style|id|on\w+|data-.*|aria-.*|role|tabindex|width|height|srcset|sizes|loading|decoding)$/i.test(attr.name)) {
+                el.removeAttribute(attr.name);
+            }
+        });
+        if (el.tagName === 'A' && el.getAttribute('href')) {
+            el.setAttribute('href', absolute(el.getAttribute('href')) || el.getAttribute('href'));
+        }
+        if (el.tagName === 'IMG' && el.getAttribute('src')) {
+            el.setAttribute('src', absolute(el.getAttribute('src')) || el.getAttribute('src'));
+        }
+    });
+    root.removeAttribute(MAIN);
+
+    // Text with paragraph breaks (a detached clone has no layout, so innerText cannot be used)
+    const BLOCKS = /^(P|DIV|SECTION|ARTICLE|HEADER|MAIN|LI|UL|OL|TR|TABLE|H[1-6]|BLOCKQUOTE|PRE|FIGURE|FIGCAPTION|DD|DT|DL|HR)$/;
+    let text = '';
+    (function walk(node) {
+        node.childNodes.forEach(child => {
+            if (child.nodeType === 3) {
+                text += child.parentElement && child.parentElement.closest('pre') ? child.nodeValue : child.nodeValue.replace(/\s+/g, ' ');
+            } else if (child.nodeType === 1) {
+                if (child.tagName === 'BR') {
+                    text += '\n';
+                    return;
+                }
+                const block = BLOCKS.test(child.tagName);
+                if (block) text += '\n\n';
+                walk(child);
+                if (block) text += '\n\n';
+            }
+        });
+    })(root);
+    text = text.replace(/[ \t]*\n[ \t]*/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+    // Very thin content: use the publisher's own article body when it provides one
+    if (text.length < 200 && jsonLd && typeof jsonLd.articleBody === 'string' && jsonLd.articleBody.length > text.length) {
+        text = jsonLd.articleBody.trim();
+        sources.content = 'jsonld';
+    } else {
+        sources.content = 'page';
+    }
+
+    const wordCount = text ? text.split(/\s+/).length : 0;
+
+    return {
+        url: window.location.href,
+        title,
+        byline,
+        publishedAt,
+        modifiedAt,
+        siteName,
+        leadImage,
+        excerpt: clean(meta('og:description', 'description', 'twitter:description')) ||
+            (clean((root.querySelector('p') || {}).textContent) || '').slice(0, 300) || null,
+        language: document.documentElement.lang || null,
+        text,
+        html: sources.content === 'jsonld' ? null : root.innerHTML.trim(),
+        wordCount,
+        readingTimeMinutes: Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE)),
+        sources
+    };
+}
+
+module.exports = { markMainContent, extractArticle };
@@ -1,6 +1,7 @@
 // Dynamic blacklist management system
 const fs = require('fs').promises;
 const path = require('path');
+const http = require('http');
 const https = require('https');
 
 class BlacklistManager {
@@ -77,7 +78,9 @@ class BlacklistManager {
     }
 
     // Check robots.txt for a domain
-    async checkRobotsTxt(url) {
+    // agents: proxy agents to fetch it through (see EnhancedScraper.proxyAgentsFor); null when the
+    // scrape has no proxy to go through, in which case nothing is sent and the scrape itself fails
+    async checkRobotsTxt(url, agents = {}) {
         try {
             const urlObj = new URL(url);
             const domain = urlObj.hostname.toLowerCase();
@@ -89,11 +92,16 @@ class BlacklistManager {
                     return cached.result;
                 }
             }
+            if (!agents) {
+                return { allowed: true, reason: 'robots.txt not fetched: no proxy available' };
+            }
 
             const robotsUrl = `${urlObj.protocol}//${urlObj.host}/robots.txt`;
             
             return new Promise((resolve) => {
-                const request = https.get(robotsUrl, { timeout: 5000 }, (res) => {
+                const secure = urlObj.protocol === 'https:';
+                const agent = secure ? agents.httpsAgent : agents.httpAgent;
+                const request = (secure ? https : http).get(robotsUrl, { timeout: 5000, ...(agent && { agent }) }, (res) => {
                     if (res.statusCode !== 200) {
                         const result = { allowed: true, reason: 'No robots.txt found' };
                         this.robotsCache.set(domain, { result, timestamp: Date.now() });
@@ -218,7 +226,7 @@ class BlacklistManager {
     }
 
     // Comprehensive URL validation
-    async validateUrl(url) {
+    async validateUrl(url, { agents } = {}) {
         // 1. Basic URL validation
         try {
             new URL(url);
@@ -237,7 +245,7 @@ class BlacklistManager {
         }
 
         // 3. Check robots.txt
-        const robotsCheck = await this.checkRobotsTxt(url);
+        const robotsCheck = await this.checkRobotsTxt(url, agents);
         if (!robotsCheck.allowed) {
             return { 
                 valid: false, 
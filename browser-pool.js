@@ -0,0 +1,329 @@
+// Managed Chromium pool with bounded concurrency and isolated contexts
+const fs = require('fs');
+const puppeteer = require('puppeteer');
+
+// Reading /proc for every process on each acquire and release adds up; reuse a reading this long
+const MEMORY_CHECK_INTERVAL_MS = 5000;
+
+// Kilobytes of memory a process uses: its proportional set size (shared pages split between the
+// processes sharing them, so a tree's total is not inflated), or its resident set size on kernels
+// without smaps_rollup
+function processMemoryKB(pid) {
+    try {
+        const match = fs.readFileSync(`/proc/${pid}/smaps_rollup`, 'utf8').match(/^Pss:\s+(\d+)\s+kB/m);
+        if (match) {
+            return parseInt(match[1]);
+        }
+    } catch {
+        // Older kernel, or the process is gone
+    }
+    try {
+        const match = fs.readFileSync(`/proc/${pid}/status`, 'utf8').match(/VmRSS:\s+(\d+)\s+kB/);
+        return match ? parseInt(match[1]) : 0;
+    } catch {
+        return 0;
+    }
+}
+
+// Memory of a process and all its descendants in MB, or null without /proc
+function processTreeMemoryMB(rootPid) {
+    let pids;
+    try {
+        pids = fs.readdirSync('/proc').filter(name => /^\d+$/.test(name));
+    } catch {
+        return null;
+    }
+
+    const children = new Map();
+    for (const pid of pids) {
+        try {
+            // The command name in parentheses may contain spaces; the parent pid follows it
+            const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+            const ppid = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1];
+            children.set(ppid, [...(children.get(ppid) || []), pid]);
+        } catch {
+            // Exited while we were reading
+        }
+    }
+
+    let totalKB = 0;
+    const queue = [String(rootPid)];
+    while (queue.length) {
+        const pid = queue.pop();
+        totalKB += processMemoryKB(pid);
+        queue.push(...(children.get(pid) || []));
+    }
+    return Math.round(totalKB / 1024);
+}
+
+class BrowserPool {
+    constructor(options = {}) {
+        this.options = {
+            maxPages: options.maxPages || parseInt(process.env.BROWSER_MAX_PAGES) || 5,
+            queueTimeout: options.queueTimeout || parseInt(process.env.BROWSER_QUEUE_TIMEOUT_MS) || 30000,
+            maxPagesPerBrowser: options.maxPagesPerBrowser || parseInt(process.env.BROWSER_MAX_PAGES_PER_BROWSER) || 200,
+            maxMemoryMB: options.maxMemoryMB || parseInt(process.env.BROWSER_MAX_MEMORY_MB) || 1024,
+            launchTimeout: options.launchTimeout || 30000
+        };
+
+        this.current = null;       // { browser, launching, pagesServed, active, retired }
+        this.activePages = 0;
+        this.queue = [];           // waiting acquirers: { resolve, reject, timer }
+        this.closed = false;
+
+        this.stats = {
+            browsersLaunched: 0,
+            browsersRecycled: 0,
+            pagesServed: 0,
+            queueTimeouts: 0,
+            peakQueueLength: 0
+        };
+    }
+
+    launchArgs() {
+        return [
+            '--no-sandbox',
+            '--disable-setuid-sandbox',
+            '--disable-dev-shm-usage',
+            '--disable-web-security',
+            '--disable-features=VizDisplayCompositor'
+        ];
+    }
+
+    async launchBrowser() {
+        const browser = await puppeteer.launch({
+            args: this.launchArgs(),
+            headless: true,
+            timeout: this.options.launchTimeout
+        });
+        this.stats.browsersLaunched++;
+        return browser;
+    }
+
+    // Get the browser new pages should open in, replacing it when it is due for recycling.
+    // A browser that disconnects while being waited for is replaced once.
+    async getBrowserEntry(replacing = false) {
+        if (this.current && !this.current.retired && this.shouldRecycle(this.current)) {
+            this.retire(this.current);
+        }
+
+        if (!this.current || this.current.retired) {
+            const entry = { browser: null, pagesServed: 0, active: 0, retired: false };
+            entry.launching = this.launchBrowser().then(browser => {
+                entry.browser = browser;
+                browser.on('disconnected', () => {
+                    entry.retired = true;
+                    entry.browser = null;
+                    if (this.current === entry) {
+                        this.current = null;
+                    }
+                });
+                return browser;
+            });
+            this.current = entry;
+
+            try {
+                await entry.launching;
+            } catch (error) {
+                if (this.current === entry) {
+                    this.current = null;
+                }
+                throw error;
+            }
+            return this.connectedEntry(entry, replacing);
+        }
+
+        const entry = this.current;
+        await entry.launching;
+        return this.connectedEntry(entry, replacing);
+    }
+
+    // The entry if its browser is still up; otherwise ('disconnected' cleared this.current) a new one
+    connectedEntry(entry, replacing) {
+        if (entry.browser) {
+            return entry;
+        }
+        if (replacing) {
+            throw new Error('Browser disconnected right after launch');
+        }
+        return this.getBrowserEntry(true);
+    }
+
+    shouldRecycle(entry) {
+        if (entry.pagesServed >= this.options.maxPagesPerBrowser) {
+            return true;
+        }
+
+        const memoryMB = this.getBrowserMemoryMB(entry);
+        return memoryMB !== null && memoryMB > this.options.maxMemoryMB;
+    }
+
+    // Memory of the whole Chromium process tree: the main process, the GPU and utility processes
+    // and the renderers, where page memory actually grows (Linux only, null elsewhere).
+    // Measured once per MEMORY_CHECK_INTERVAL_MS.
+    getBrowserMemoryMB(entry) {
+        const pid = entry.browser && entry.browser.process() && entry.browser.process().pid;
+        if (!pid) {
+            return null;
+        }
+        if (entry.memoryCheckedAt && Date.now() - entry.memoryCheckedAt < MEMORY_CHECK_INTERVAL_MS) {
+            return entry.memoryMB;
+        }
+        entry.memoryMB = processTreeMemoryMB(pid);
+        entry.memoryCheckedAt = Date.now();
+        return entry.memoryMB;
+    }
+
+    // Stop handing out pages from this browser and close it once its pages are released
+    retire(entry) {
+        entry.retired = true;
+        this.stats.browsersRecycled++;
+        if (this.current === entry) {
+            this.current = null;
+        }
+        if (entry.active === 0) {
+            this.closeEntry(entry);
+        }
+    }
+
+    // Close the entry's browser. Slots are not touched here: releaseSlot() gives back
+    // each acquired slot exactly once, also when the browser crashed under its pages.
+    async closeEntry(entry) {
+        const browser = entry.browser;
+        entry.browser = null;
+        if (browser) {
+            try {
+                await browser.close();
+            } catch (error) {
+                console.warn('⚠️ Failed to close recycled browser:', error.message);
+            }
+        }
+    }
+
+    // Wait for a free slot in the pool
+    waitForSlot() {
+        if (this.activePages < this.options.maxPages) {
+            this.activePages++;
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, timer: null };
+            waiter.timer = setTimeout(() => {
+                this.queue = this.queue.filter(w => w !== waiter);
+                this.stats.queueTimeouts++;
+                reject(new Error(`Browser pool busy: no page available within ${this.options.queueTimeout}ms`));
+            }, this.options.queueTimeout);
+
+            this.queue.push(waiter);
+            this.stats.peakQueueLength = Math.max(this.stats.peakQueueLength, this.queue.length);
+        });
+    }
+
+    releaseSlot() {
+        const waiter = this.queue.shift();
+        if (waiter) {
+            // Hand the slot straight to the next waiter
+            clearTimeout(waiter.timer);
+            waiter.resolve();
+        } else {
+            this.activePages--;
+        }
+    }
+
+    // Acquire a page in a fresh incognito context; always call release() when done.
+    // Proxies are set per context, so pages behind different proxies share one browser.
+    async acquire({ proxy } = {}) {
+        if (this.closed) {
+            throw new Error('Browser pool is closed');
+        }
+
+        await this.waitForSlot();
+
+        let entry;
+        let context;
+        try {
+            entry = await this.getBrowserEntry();
+            // Count the page before the awaits below, so a concurrent retire() cannot close the browser under it
+            entry.active++;
+            entry.pagesServed++;
+
+            context = await entry.browser.createIncognitoBrowserContext(proxy ? { proxyServer: proxy.server } : {});
+            const page = await context.newPage();
+            if (proxy && proxy.credentials) {
+                await page.authenticate(proxy.credentials);
+            }
+            this.stats.pagesServed++;
+
+            let released = false;
+            const release = async () => {
+                if (released) {
+                    return;
+                }
+                released = true;
+
+                try {
+                    await context.close();
+                } catch {
+                    // Browser already gone
+                }
+
+                entry.active--;
+                if (!entry.retired && this.shouldRecycle(entry)) {
+                    this.retire(entry);
+                } else if (entry.retired && entry.active === 0) {
+                    await this.closeEntry(entry);
+                }
+                this.releaseSlot();
+            };
+
+            return { page, context, release };
+        } catch (error) {
+            if (context) {
+                await context.close().catch(() => {});
+            }
+            if (entry) {
+                entry.active--;
+                if (entry.retired && entry.active === 0) {
+                    await this.closeEntry(entry);
+                }
+            }
+            this.releaseSlot();
+            throw error;
+        }
+    }
+
+    async close() {
+        this.closed = true;
+        this.queue.forEach(waiter => {
+            clearTimeout(waiter.timer);
+            waiter.reject(new Error('Browser pool is closed'));
+        });
+        this.queue = [];
+
+        if (this.current) {
+            const entry = this.current;
+            this.current = null;
+            if (entry.launching) {
+                await entry.launching.catch(() => {});
+            }
+            await this.closeEntry(entry);
+        }
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            activePages: this.activePages,
+            queueLength: this.queue.length,
+            maxPages: this.options.maxPages,
+            currentBrowser: this.current && this.current.browser ? {
+                pagesServed: this.current.pagesServed,
+                activePages: this.current.active,
+                memoryMB: this.getBrowserMemoryMB(this.current)
+            } : null
+        };
+    }
+}
+
+module.exports = { BrowserPool, processTreeMemoryMB };
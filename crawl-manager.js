@@ -0,0 +1,374 @@
+// Same-site breadth-first crawler built on EnhancedScraper
+const crypto = require('crypto');
+const { fetchHtml } = require('./static-engine');
+const { validateEmulationOptions, requestHeaders } = require('./page-emulation');
+
+const CRAWL_LIMITS = {
+    maxPages: 100,
+    maxDepth: 5,
+    maxQueue: 1000,
+    maxSitemapUrls: 500,
+    maxSitemapFiles: 10,
+    sitemapTimeoutMs: 10000,
+    delayMs: 1000            // COMPLIANCE_RULES.maxRequestRate: 1 request per second
+};
+
+// Convert a URL glob into a RegExp: "*" matches within a path segment, "**" across segments.
+// Patterns starting with "/" are matched against path + query, anything else against the full URL.
+function globToRegExp(glob) {
+    const source = glob
+        .split('**')
+        .map(part => part
+            .split('*')
+            .map(piece => piece.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^/]*'))
+        .join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+function matchesGlob(url, glob) {
+    const urlObj = new URL(url);
+    const target = glob.startsWith('/') ? urlObj.pathname + urlObj.search : url;
+    return globToRegExp(glob).test(target);
+}
+
+function sameSite(url, seedUrl) {
+    const strip = host => host.toLowerCase().replace(/^www\./, '');
+    try {
+        const urlObj = new URL(url);
+        return ['http:', 'https:'].includes(urlObj.protocol) && strip(urlObj.hostname) === strip(new URL(seedUrl).hostname);
+    } catch {
+        return false;
+    }
+}
+
+function normalizeUrl(url) {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    return urlObj.href;
+}
+
+// Validate crawl settings and fill in defaults
+function validateCrawlSettings(settings) {
+    const maxPages = settings.maxPages !== undefined ? settings.maxPages : 10;
+    const maxDepth = settings.maxDepth !== undefined ? settings.maxDepth : 2;
+
+    // Credits are reserved for maxPages up front, so it must be exactly what the caller asked for
+    if (!Number.isInteger(maxPages) || maxPages < 1 || maxPages > CRAWL_LIMITS.maxPages) {
+        return { valid: false, reason: `maxPages must be an integer between 1 and ${CRAWL_LIMITS.maxPages}` };
+    }
+    if (!Number.isInteger(maxDepth) || maxDepth < 0 || maxDepth > CRAWL_LIMITS.maxDepth) {
+        return { valid: false, reason: `maxDepth must be an integer between 0 and ${CRAWL_LIMITS.maxDepth}` };
+    }
+
+    for (const key of ['include', 'exclude']) {
+        const patterns = settings[key];
+        if (patterns !== undefined && (!Array.isArray(patterns) || patterns.some(p => typeof p !== 'string'))) {
+            return { valid: false, reason: `${key} must be an array of URL globs` };
+        }
+    }
+
+    return {
+        valid: true,
+        settings: {
+            maxPages,
+            maxDepth,
+            include: settings.include || [],
+            exclude: settings.exclude || [],
+            useSitemap: settings.useSitemap !== false
+        }
+    };
+}
+
+class CrawlManager {
+    constructor(scraper, blacklistManager, creditManager) {
+        this.scraper = scraper;
+        this.blacklistManager = blacklistManager;
+        this.creditManager = creditManager;
+
+        // In-memory storage (for production, use Redis/database)
+        this.crawls = new Map();
+        this.crawlTtlMs = 24 * 60 * 60 * 1000;   // keep finished crawls for 24 hours
+
+        // Drop finished crawls every 10 minutes
+        setInterval(() => this.cleanFinishedCrawls(), 10 * 60 * 1000).unref();
+    }
+
+    // Create a crawl and start it in the background
+    createCrawl({ url, settings, options = {}, accessToken, tier }) {
+        const crawl = {
+            id: crypto.randomBytes(16).toString('hex'),
+            seedUrl: url,
+            status: 'queued',
+            settings,
+            options,
+            accessToken,
+            tier,
+            createdAt: new Date().toISOString(),
+            finishedAt: null,
+            cancelRequested: false,
+            stopReason: null,
+            sitemapUrls: 0,
+            creditsRefunded: 0,
+            pages: [],
+            skipped: []
+        };
+
+        this.crawls.set(crawl.id, crawl);
+
+        this.runCrawl(crawl).catch(error => {
+            console.error(`❌ Crawl ${crawl.id} crashed:`, error.message);
+            crawl.stopReason = 'error';
+            this.finishCrawl(crawl, 'failed');
+        });
+
+        return crawl;
+    }
+
+    async runCrawl(crawl) {
+        crawl.status = 'running';
+        const { settings } = crawl;
+        const seen = new Set([normalizeUrl(crawl.seedUrl)]);
+        const queue = [{ url: normalizeUrl(crawl.seedUrl), depth: 0, source: 'seed' }];
+
+        const enqueue = (url, depth, source) => {
+            let normalized;
+            try {
+                normalized = normalizeUrl(url);
+            } catch {
+                return;
+            }
+            if (seen.has(normalized) || queue.length >= CRAWL_LIMITS.maxQueue) {
+                return;
+            }
+            seen.add(normalized);
+
+            if (!sameSite(normalized, crawl.seedUrl)) {
+                return;
+            }
+            if (settings.include.length > 0 && !settings.include.some(glob => matchesGlob(normalized, glob))) {
+                return;
+            }
+            if (settings.exclude.some(glob => matchesGlob(normalized, glob))) {
+                return;
+            }
+            queue.push({ url: normalized, depth, source });
+        };
+
+        if (settings.useSitemap && settings.maxDepth > 0) {
+            const sitemapUrls = await this.discoverSitemapUrls(crawl.seedUrl, crawl.options);
+            crawl.sitemapUrls = sitemapUrls.length;
+            sitemapUrls.forEach(url => enqueue(url, 1, 'sitemap'));
+        }
+
+        let scraped = 0;
+        crawl.stopReason = 'queueExhausted';
+
+        while (queue.length > 0) {
+            if (crawl.cancelRequested) {
+                crawl.stopReason = 'cancelled';
+                break;
+            }
+            if (scraped >= settings.maxPages) {
+                crawl.stopReason = 'maxPages';
+                break;
+            }
+
+            const item = queue.shift();
+
+            // Every discovered URL goes through the full blacklist + robots.txt validation
+            const validation = await this.blacklistManager.validateUrl(item.url, { agents: this.scraper.proxyAgentsFor(crawl.options) });
+            if (!validation.valid) {
+                crawl.skipped.push({ url: item.url, depth: item.depth, reason: validation.reason });
+                continue;
+            }
+
+            if (scraped > 0) {
+                await new Promise(resolve => setTimeout(resolve, CRAWL_LIMITS.delayMs));
+            }
+
+            const result = await this.scraper.scrapeEnhanced(item.url, { ...crawl.options, collectLinks: true });
+            scraped++;
+
+            const page = {
+                url: item.url,
+                depth: item.depth,
+                source: item.source,
+                status: result.success ? 'success' : 'failed',
+                data: result.success ? result.data : null,
+                metadata: null,
+                error: result.success ? null : result.error,
+                errorCode: result.success ? null : result.errorCode,
+                scrapedAt: new Date().toISOString()
+            };
+
+            if (result.success) {
+                const { discoveredLinks, ...metadata } = result.metadata;
+                page.metadata = metadata;
+                if (result.network) {
+                    page.network = result.network;
+                }
+                crawl.creditsRefunded += this.creditManager.refundEngineDiscount(crawl.accessToken, crawl.tier, metadata.engine);
+
+                if (item.depth < settings.maxDepth) {
+                    (discoveredLinks || []).forEach(link => enqueue(link, item.depth + 1, 'link'));
+                }
+            }
+
+            crawl.pages.push(page);
+        }
+
+        this.finishCrawl(crawl, crawl.cancelRequested ? 'cancelled' : 'completed');
+    }
+
+    finishCrawl(crawl, status) {
+        if (crawl.finishedAt) {
+            return;
+        }
+
+        // Credits were reserved for maxPages; refund everything that did not produce a page
+        const succeeded = crawl.pages.filter(page => page.status === 'success').length;
+        const unused = crawl.settings.maxPages - succeeded;
+        if (unused > 0) {
+            crawl.creditsRefunded += this.creditManager.refundCredits(crawl.accessToken, crawl.tier, unused);
+        }
+
+        crawl.status = status;
+        crawl.finishedAt = new Date().toISOString();
+    }
+
+    // Sitemap URLs from /sitemap.xml and the Sitemap: lines in robots.txt (sitemap indexes are followed),
+    // fetched like the crawl's pages: its user agent and headers, through its proxy when the server
+    // has them. Sitemap files and their redirects must stay on the site and pass the blacklist.
+    async discoverSitemapUrls(seedUrl, options = {}) {
+        const agents = this.scraper.proxyAgentsFor(options);
+        const emulationCheck = validateEmulationOptions(options);
+        if (!agents || !emulationCheck.valid) {
+            return [];
+        }
+        const { emulation } = emulationCheck;
+        const refusal = async target => {
+            if (!sameSite(target, seedUrl)) {
+                return 'not on the crawled site';
+            }
+            const validation = await this.blacklistManager.validateUrl(target, { agents });
+            return validation.valid ? null : validation.reason;
+        };
+        const origin = new URL(seedUrl).origin;
+        const sitemapFiles = [`${origin}/sitemap.xml`];
+
+        const robots = await this.blacklistManager.checkRobotsTxt(seedUrl, agents);
+        if (robots.robotsTxt) {
+            robots.robotsTxt.split('\n').forEach(line => {
+                const match = line.trim().match(/^sitemap:\s*(\S+)/i);
+                if (match && !sitemapFiles.includes(match[1])) {
+                    sitemapFiles.push(match[1]);
+                }
+            });
+        }
+
+        const urls = [];
+        const fetched = new Set();
+
+        while (sitemapFiles.length > 0 && fetched.size < CRAWL_LIMITS.maxSitemapFiles && urls.length < CRAWL_LIMITS.maxSitemapUrls) {
+            const sitemapUrl = sitemapFiles.shift();
+            if (fetched.has(sitemapUrl) || await refusal(sitemapUrl)) {
+                continue;
+            }
+            fetched.add(sitemapUrl);
+
+            let xml;
+            try {
+                const response = await fetchHtml(sitemapUrl, {
+                    userAgent: emulation.userAgent,
+                    headers: target => requestHeaders(target, emulation, seedUrl),
+                    timeout: CRAWL_LIMITS.sitemapTimeoutMs,
+                    accept: 'application/xml,text/xml;q=0.9,*/*;q=0.8',
+                    agents: agents.httpAgent && agents,
+                    checkRedirect: refusal
+                });
+                if (!response.ok) {
+                    continue;
+                }
+                xml = response.html;
+            } catch (error) {
+                continue;
+            }
+
+            const locations = Array.from(xml.matchAll(/<loc>\s*(?:<!\[CDATA\[)?\s*([^<\]]+?)\s*(?:\]\]>)?\s*<\/loc>/gi), m => m[1]
+                .replace(/&amp;/g, '&'));
+
+            if (/<sitemapindex[\s>]/i.test(xml)) {
+                sitemapFiles.push(...locations);
+            } else {
+                urls.push(...locations.slice(0, CRAWL_LIMITS.maxSitemapUrls - urls.length));
+            }
+        }
+
+        return urls;
+    }
+
+    // Request cancellation; the page being scraped is allowed to finish
+    cancelCrawl(crawlId) {
+        const crawl = this.crawls.get(crawlId);
+        if (!crawl) {
+            return null;
+        }
+
+        if (!crawl.finishedAt) {
+            crawl.cancelRequested = true;
+        }
+
+        return this.getCrawl(crawlId);
+    }
+
+    // Public view of a crawl (never exposes the access token)
+    getCrawl(crawlId) {
+        const crawl = this.crawls.get(crawlId);
+        if (!crawl) {
+            return null;
+        }
+
+        return {
+            crawlId: crawl.id,
+            seedUrl: crawl.seedUrl,
+            status: crawl.cancelRequested && !crawl.finishedAt ? 'cancelling' : crawl.status,
+            settings: crawl.settings,
+            createdAt: crawl.createdAt,
+            finishedAt: crawl.finishedAt,
+            stopReason: crawl.stopReason,
+            progress: {
+                scraped: crawl.pages.length,
+                succeeded: crawl.pages.filter(page => page.status === 'success').length,
+                failed: crawl.pages.filter(page => page.status === 'failed').length,
+                skipped: crawl.skipped.length,
+                sitemapUrls: crawl.sitemapUrls
+            },
+            creditsRefunded: crawl.creditsRefunded,
+            pages: crawl.pages,
+            skipped: crawl.skipped
+        };
+    }
+
+    // Clean finished crawls (run periodically)
+    cleanFinishedCrawls() {
+        const cutoff = Date.now() - this.crawlTtlMs;
+        for (const [crawlId, crawl] of this.crawls) {
+            if (crawl.finishedAt && new Date(crawl.finishedAt).getTime() < cutoff) {
+                this.crawls.delete(crawlId);
+            }
+        }
+    }
+
+    // Get stats
+    getStats() {
+        const crawls = Array.from(this.crawls.values());
+        return {
+            totalCrawls: crawls.length,
+            running: crawls.filter(c => !c.finishedAt).length,
+            pagesScraped: crawls.reduce((sum, c) => sum + c.pages.length, 0)
+        };
+    }
+}
+
+module.exports = { CrawlManager, CRAWL_LIMITS, validateCrawlSettings, globToRegExp, matchesGlob, sameSite };
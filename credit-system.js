@@ -1,15 +1,53 @@
 // Credit management system without user accounts
 const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Engine discounts make credit amounts fractional; keep them at two decimals so repeated
+// refunds do not drift (0.8 + 0.8 + ... must not end up as 1.3999999999999997)
+const roundCredits = value => Math.round(value * 100) / 100;
+
+// Credit records are kept and saved under the SHA-256 of the access token, never the token itself
+function hashToken(accessToken) {
+    return crypto.createHash('sha256').update(String(accessToken)).digest('hex');
+}
+
+// A token referred to by its hash, for work billed after a restart (schedules) when only the hash
+// was saved. Request bodies are plain JSON, so a client cannot send one in place of a token.
+class TokenRef {
+    constructor(hash) {
+        this.hash = hash;
+    }
+
+    toString() {
+        return `#${this.hash.slice(0, 8)}`;
+    }
+}
 
 class CreditManager {
-    constructor() {
-        // In-memory storage (for production, use Redis/database)
+    // options.file: where balances are saved after every change and loaded from on startup;
+    // null keeps them in memory only
+    constructor(options = {}) {
+        // In-memory storage (for production, use Redis/database), keyed by hashToken()
         this.tokens = new Map();
+        this.file = options.file !== undefined
+            ? options.file
+            : process.env.CREDITS_FILE || path.join(__dirname, 'credits.json');
+        this.saving = Promise.resolve();
+        this.savePending = false;
         this.credits = {
             basic: 1,    // 1 credit per basic scrape
             premium: 5,  // 5 credits per premium scrape  
             custom: 10   // 10 credits per custom scrape
         };
+        // Relative cost by scraping engine; cheaper engines get the difference refunded
+        this.engineRates = {
+            browser: 1,
+            static: 0.5, // no Chromium page needed
+            cache: 0.2   // served from the response cache
+        };
+
+        this.loadTokens();
     }
 
     // Generate access token after payment
@@ -25,8 +63,9 @@ class CreditManager {
             usedCredits: 0
         };
 
-        this.tokens.set(tokenId, token);
-        
+        this.tokens.set(hashToken(tokenId), token);
+        this.saveTokens();
+
         return {
             accessToken: tokenId,
             credits: token.credits,
@@ -35,6 +74,51 @@ class CreditManager {
         };
     }
 
+    // Load the saved balances. Synchronous, so they are in place before the first request.
+    loadTokens() {
+        if (!this.file) {
+            return;
+        }
+        try {
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            // The raw token (id) is not saved; it is only known to whoever holds it
+            data.tokens.forEach(({ key, ...record }) => this.tokens.set(key, { id: null, ...record }));
+            console.log(`💳 Loaded ${this.tokens.size} access tokens`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Could not load credits:', error.message);
+            }
+        }
+    }
+
+    // Queue a write of every balance, as after the latest change; changes made while a write is
+    // waiting share the next one. Write then rename so the file is never half-written.
+    saveTokens() {
+        if (!this.file || this.savePending) {
+            return this.saving;
+        }
+        this.savePending = true;
+        this.saving = this.saving.then(async () => {
+            this.savePending = false;
+            const tokens = Array.from(this.tokens, ([key, { id, ...record }]) => ({ key, ...record }));
+            const temp = `${this.file}.tmp`;
+            await fs.promises.writeFile(temp, JSON.stringify({ tokens, savedAt: new Date().toISOString() }, null, 2));
+            await fs.promises.rename(temp, this.file);
+        }).catch(error => {
+            console.error('❌ Could not save credits:', error.message);
+        });
+        return this.saving;
+    }
+
+    // Key of an access token (or a TokenRef) in this.tokens
+    keyOf(accessToken) {
+        return accessToken instanceof TokenRef ? accessToken.hash : hashToken(accessToken);
+    }
+
+    findToken(accessToken) {
+        return this.tokens.get(this.keyOf(accessToken));
+    }
+
     // Get credits for tier
     getCreditsForTier(tier) {
         const creditAmounts = {
@@ -45,21 +129,22 @@ class CreditManager {
         return creditAmounts[tier] || 1;
     }
 
-    // Validate and consume credits
-    validateAndConsumeCredit(accessToken, requestedTier) {
-        const token = this.tokens.get(accessToken);
+    // Validate and consume credits (quantity > 1 reserves credits for several scrapes at once)
+    validateAndConsumeCredit(accessToken, requestedTier, quantity = 1) {
+        const token = this.findToken(accessToken);
         
         if (!token) {
             return { valid: false, error: 'Invalid access token' };
         }
 
         if (new Date() > new Date(token.expiresAt)) {
-            this.tokens.delete(accessToken);
+            this.tokens.delete(this.keyOf(accessToken));
+            this.saveTokens();
             return { valid: false, error: 'Access token expired' };
         }
 
-        const creditsNeeded = this.credits[requestedTier] || 1;
-        const availableCredits = token.credits - token.usedCredits;
+        const creditsNeeded = (this.credits[requestedTier] || 1) * quantity;
+        const availableCredits = roundCredits(token.credits - token.usedCredits);
 
         if (availableCredits < creditsNeeded) {
             return { 
@@ -71,19 +156,46 @@ class CreditManager {
         }
 
         // Consume credits
-        token.usedCredits += creditsNeeded;
+        token.usedCredits = roundCredits(token.usedCredits + creditsNeeded);
         token.lastUsed = new Date().toISOString();
+        this.saveTokens();
 
         return {
             valid: true,
-            remainingCredits: token.credits - token.usedCredits,
+            remainingCredits: roundCredits(token.credits - token.usedCredits),
+            creditsUsed: creditsNeeded,
             tier: token.tier
         };
     }
 
+    // Give back credits for scrapes that failed or never ran
+    refundCredits(accessToken, requestedTier, quantity = 1) {
+        const token = this.findToken(accessToken);
+        if (!token) {
+            return 0;
+        }
+
+        const refund = roundCredits(Math.min((this.credits[requestedTier] || 1) * quantity, token.usedCredits));
+        token.usedCredits = roundCredits(token.usedCredits - refund);
+        if (refund > 0) {
+            this.saveTokens();
+        }
+
+        return refund;
+    }
+
+    // Refund the discount for scrapes served by a cheaper engine
+    refundEngineDiscount(accessToken, requestedTier, engine, quantity = 1) {
+        const rate = this.engineRates[engine] !== undefined ? this.engineRates[engine] : 1;
+        if (rate >= 1 || quantity <= 0) {
+            return 0;
+        }
+        return this.refundCredits(accessToken, requestedTier, quantity * (1 - rate));
+    }
+
     // Get token info
     getTokenInfo(accessToken) {
-        const token = this.tokens.get(accessToken);
+        const token = this.findToken(accessToken);
         if (!token) {
             return null;
         }
@@ -92,7 +204,7 @@ class CreditManager {
             tier: token.tier,
             totalCredits: token.credits,
             usedCredits: token.usedCredits,
-            remainingCredits: token.credits - token.usedCredits,
+            remainingCredits: roundCredits(token.credits - token.usedCredits),
             expiresAt: token.expiresAt,
             createdAt: token.createdAt
         };
@@ -101,11 +213,15 @@ class CreditManager {
     // Clean expired tokens (run periodically)
     cleanExpiredTokens() {
         const now = new Date();
-        for (const [tokenId, token] of this.tokens) {
+        const count = this.tokens.size;
+        for (const [key, token] of this.tokens) {
             if (new Date(token.expiresAt) < now) {
-                this.tokens.delete(tokenId);
+                this.tokens.delete(key);
             }
         }
+        if (this.tokens.size !== count) {
+            this.saveTokens();
+        }
     }
 
     // Get stats
@@ -114,7 +230,7 @@ class CreditManager {
         return {
             totalTokens: activeTokens.length,
             totalCreditsIssued: activeTokens.reduce((sum, t) => sum + t.credits, 0),
-            totalCreditsUsed: activeTokens.reduce((sum, t) => sum + t.usedCredits, 0),
+            totalCreditsUsed: roundCredits(activeTokens.reduce((sum, t) => sum + t.usedCredits, 0)),
             tiers: {
                 basic: activeTokens.filter(t => t.tier === 'basic').length,
                 premium: activeTokens.filter(t => t.tier === 'premium').length,
@@ -179,4 +295,4 @@ class SessionManager {
     }
 }
 
-module.exports = { CreditManager, SessionManager };
\ No newline at end of file
+module.exports = { CreditManager, SessionManager, TokenRef, hashToken };
\ No newline at end of file
@@ -0,0 +1,173 @@
+// Five-field cron expressions evaluated in an IANA timezone
+
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'dayOfMonth', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+    { name: 'dayOfWeek', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] }
+];
+
+const CRON_ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+// How far ahead nextRun looks before giving up (e.g. "0 0 30 2 *" never matches)
+const SEARCH_YEARS = 5;
+
+function parseValue(value, field) {
+    const upper = value.toUpperCase();
+    if (field.names && field.names.includes(upper)) {
+        return field.names.indexOf(upper) + (field.name === 'month' ? 1 : 0);
+    }
+    return /^\d+$/.test(value) ? parseInt(value) : NaN;
+}
+
+// One field ("*/15", "1-5", "MON,WED", "8-18/2"...) into the set of values it allows
+function parseField(text, field) {
+    const values = new Set();
+
+    for (const part of text.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : parseInt(stepText);
+        if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+            throw new Error(`invalid step "${part}" in ${field.name}`);
+        }
+
+        let start;
+        let end;
+        if (range === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (range.includes('-')) {
+            [start, end] = range.split('-').map(value => parseValue(value, field));
+        } else {
+            start = parseValue(range, field);
+            // "5/10" means every 10 starting at 5
+            end = stepText === undefined ? start : field.max;
+        }
+
+        if (Number.isNaN(start) || Number.isNaN(end) || start < field.min || end > field.max || start > end) {
+            throw new Error(`invalid ${field.name} "${part}" (allowed ${field.min}-${field.max})`);
+        }
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+
+    // Sunday may be written as 7
+    if (field.name === 'dayOfWeek' && values.has(7)) {
+        values.delete(7);
+        values.add(0);
+    }
+    return values;
+}
+
+// Parse "m h dom mon dow" or an @alias
+function parseCron(expression) {
+    if (typeof expression !== 'string' || !expression.trim()) {
+        return { valid: false, reason: 'cron must be a cron expression string' };
+    }
+
+    const source = CRON_ALIASES[expression.trim().toLowerCase()] || expression.trim();
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+        return { valid: false, reason: 'cron must have 5 fields: minute hour day-of-month month day-of-week' };
+    }
+
+    try {
+        const fields = {};
+        CRON_FIELDS.forEach((field, index) => {
+            fields[field.name] = parseField(parts[index], field);
+        });
+        // Standard cron: when both day fields are restricted, either one matching is enough
+        fields.dayOfMonthRestricted = parts[2] !== '*';
+        fields.dayOfWeekRestricted = parts[4] !== '*';
+        return { valid: true, fields };
+    } catch (error) {
+        return { valid: false, reason: `cron: ${error.message}` };
+    }
+}
+
+function isValidTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+const formatters = new Map();
+
+// Wall-clock fields of a UTC timestamp in the timezone
+function zonedParts(time, timezone) {
+    if (!formatters.has(timezone)) {
+        formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            weekday: 'short'
+        }));
+    }
+
+    const parts = {};
+    formatters.get(timezone).formatToParts(new Date(time)).forEach(({ type, value }) => {
+        parts[type] = value;
+    });
+    return {
+        month: parseInt(parts.month),
+        day: parseInt(parts.day),
+        hour: parseInt(parts.hour),
+        minute: parseInt(parts.minute),
+        weekday: WEEKDAYS[parts.weekday]
+    };
+}
+
+function dayMatches(fields, parts) {
+    const domMatch = fields.dayOfMonth.has(parts.day);
+    const dowMatch = fields.dayOfWeek.has(parts.weekday);
+    if (fields.dayOfMonthRestricted && fields.dayOfWeekRestricted) {
+        return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+}
+
+// First matching minute strictly after `after`, or null when there is none within SEARCH_YEARS.
+// Local times skipped by a DST change never run; repeated ones may run twice.
+function nextRun(fields, after, timezone) {
+    const minute = 60 * 1000;
+    let time = Math.floor(after.getTime() / minute) * minute + minute;
+    const limit = time + SEARCH_YEARS * 366 * 24 * 60 * minute;
+
+    while (time < limit) {
+        const parts = zonedParts(time, timezone);
+
+        if (!fields.month.has(parts.month) || !dayMatches(fields, parts)) {
+            // Jump to about 23:00 local, then hour by hour, so a DST shift cannot skip past midnight
+            const toMidnight = (23 - parts.hour) * 60 + (60 - parts.minute);
+            time += Math.max(toMidnight - 60, 60 - parts.minute) * minute;
+        } else if (!fields.hour.has(parts.hour)) {
+            time += (60 - parts.minute) * minute;
+        } else if (!fields.minute.has(parts.minute)) {
+            time += minute;
+        } else {
+            return new Date(time);
+        }
+    }
+
+    return null;
+}
+
+module.exports = { parseCron, nextRun, isValidTimezone, CRON_ALIASES };
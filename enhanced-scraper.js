@@ -1,48 +1,199 @@
 // Enhanced web scraping functionality
-const puppeteer = require('puppeteer');
+const axios = require('axios');
+const { BrowserPool } = require('./browser-pool');
+const { validateSchema, buildSelectionSchema, extractWithSchema } = require('./extraction-schema');
+const {
+    validatePagination,
+    templatePageUrl,
+    findNextPageUrl,
+    clickLoadMore,
+    mergePageData
+} = require('./pagination');
+const { validateCaptureOptions, capturePage } = require('./page-capture');
+const { validateActions, runActions } = require('./page-actions');
+const { validateScrollOptions, autoScroll } = require('./infinite-scroll');
+const { validateBlockOptions, enableRequestBlocking } = require('./request-blocking');
+const {
+    ENGINES,
+    browserOnlyReason,
+    fetchHtml,
+    createDom,
+    evaluateInDom,
+    clientRenderedReason
+} = require('./static-engine');
+const { validateCacheOptions, pickCacheHeaders } = require('./response-cache');
+const { markMainContent, extractArticle } = require('./article-extraction');
+const { validateMarkdownOptions, convertToMarkdown } = require('./markdown-output');
+const { validateChunkOptions, chunkPage } = require('./text-chunks');
+const { extractStructuredData } = require('./structured-data');
+const { collectProductSignals, buildProduct } = require('./product-extraction');
+const { validateTableOptions, extractTables, defaultResultTableSettings, buildTablesOutput } = require('./table-extraction');
+const { validateFeedOptions, parseFeed, discoverFeeds, FEED_ACCEPT } = require('./feed-reader');
+const { sameSite } = require('./crawl-manager');
+const { validateNetworkOptions, startNetworkCapture, pageLoadTimings, buildNetworkOutput } = require('./network-capture');
+const { validateEmulationOptions, applyEmulation, requestHeaders, DEFAULT_USER_AGENT } = require('./page-emulation');
+const { validateProxyOptions } = require('./proxy-pool');
+const {
+    validateRetryOptions,
+    scrapeFailure,
+    httpFailure,
+    failureFromError,
+    codeForError,
+    classifyFailure,
+    retryDelay,
+    publicFailure
+} = require('./scrape-errors');
 
-class EnhancedScraper {
-    constructor() {
-        this.browser = null;
+// Default page extraction - runs inside the page via page.evaluate
+function extractPageData(opts) {
+    // Helper functions
+    function getMetaContent(name) {
+        const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"], meta[property="og:${name}"]`);
+        return meta ? meta.getAttribute('content') : null;
     }
 
-    async initBrowser() {
-        if (!this.browser) {
-            this.browser = await puppeteer.launch({
-                args: [
-                    '--no-sandbox', 
-                    '--disable-setuid-sandbox',
-                    '--disable-dev-shm-usage',
-                    '--disable-web-security',
-                    '--disable-features=VizDisplayCompositor'
-                ],
-                headless: true,
-                timeout: 30000
-            });
+    function findMainContent() {
+        // Try to find main content area
+        const selectors = [
+            'main', 'article', '[role="main"]', 
+            '.content', '.main-content', '#content', '#main',
+            '.post-content', '.entry-content', '.article-content'
+        ];
+        
+        for (const selector of selectors) {
+            const element = document.querySelector(selector);
+            if (element) {
+                return {
+                    text: element.innerText?.trim() || '',
+                    html: element.innerHTML
+                };
+            }
         }
-        return this.browser;
+        
+        return null;
+    }
+
+    function extractImages() {
+        const images = Array.from(document.querySelectorAll('img[src]'));
+        return images.slice(0, 20).map(img => ({
+            src: img.src,
+            alt: img.alt || '',
+            width: img.naturalWidth || null,
+            height: img.naturalHeight || null
+        }));
+    }
+
+    // Basic page info
+    const result = {
+        url: window.location.href,
+        title: document.title,
+        description: getMetaContent('description'),
+        keywords: getMetaContent('keywords'),
+        author: getMetaContent('author'),
+        
+        // Open Graph data
+        openGraph: {
+            title: getMetaContent('og:title'),
+            description: getMetaContent('og:description'),
+            image: getMetaContent('og:image'),
+            url: getMetaContent('og:url'),
+            type: getMetaContent('og:type')
+        },
+
+        // Headers hierarchy
+        headers: {
+            h1: Array.from(document.querySelectorAll('h1')).map(h => h.innerText.trim()),
+            h2: Array.from(document.querySelectorAll('h2')).map(h => h.innerText.trim()),
+            h3: Array.from(document.querySelectorAll('h3')).map(h => h.innerText.trim())
+        },
+
+        // Links
+        links: Array.from(document.querySelectorAll('a[href]')).slice(0, 50).map(a => ({
+            text: a.innerText.trim(),
+            href: a.href,
+            title: a.title || null
+        })).filter(link => link.text),
+
+        // Enhanced content
+        mainContent: findMainContent(),
+        
+        // Media
+        images: extractImages(),
+        
+        // Structured data (JSON-LD, Microdata and RDFa, filled in by extractStructuredData)
+        structuredData: null,
+        
+        // Tables (filled in by extractTables)
+        tables: null,
+
+        // Page metrics
+        wordCount: document.body.innerText.split(/\s+/).length,
+        language: document.documentElement.lang || document.querySelector('meta[http-equiv="content-language"]')?.content,
+        
+        // Technical info
+        charset: document.characterSet,
+        lastModified: document.lastModified
+    };
+
+    if (opts.type === 'text') {
+        return document.body.innerText;
+    }
+    
+    if (opts.type === 'html') {
+        return document.documentElement.outerHTML;
+    }
+
+    return result;
+}
+
+class EnhancedScraper {
+    constructor(options = {}) {
+        this.pool = options.pool || new BrowserPool(options.poolOptions);
+        // Optional ResponseCache; without one every call goes to the target
+        this.cache = options.cache || null;
+        // Optional ProxyPool; without one (or with no proxies) scrapes leave from this server
+        this.proxies = options.proxies || null;
+        // Optional BlacklistManager; URLs the scraper finds on its own (feed candidates) go through it
+        this.blacklist = options.blacklist || null;
     }
 
     async closeBrowser() {
-        if (this.browser) {
-            await this.browser.close();
-            this.browser = null;
+        await this.pool.close();
+    }
+
+    // The proxy selection for a request with this routing, or null when the server has no proxies
+    selectProxy(routing) {
+        return this.proxies && this.proxies.enabled ? this.proxies.select(routing) : null;
+    }
+
+    // Agents for a plain HTTP request to a scraped site (robots.txt, sitemaps) that go out through
+    // a proxy for options.proxy like the scrape itself, so the site never sees this server's address.
+    // {} when the server has no proxies, null when no proxy can serve the request.
+    proxyAgentsFor(options) {
+        const selection = this.selectProxy(validateProxyOptions(options).routing);
+        if (!selection) {
+            return {};
         }
+        return selection.proxy ? this.proxies.agentsFor(selection.proxy) : null;
     }
 
-    // Check robots.txt compliance
-    async checkRobotsTxt(url) {
+    // Check robots.txt compliance, through proxy when the scrape uses one
+    async checkRobotsTxt(url, proxy = null) {
         try {
             const urlObj = new URL(url);
             const robotsUrl = `${urlObj.protocol}//${urlObj.host}/robots.txt`;
             
-            const page = await (await this.initBrowser()).newPage();
-            const response = await page.goto(robotsUrl, { timeout: 10000 });
+            // Plain HTTP is enough for a text file and keeps static scrapes browserless
+            const response = await axios.get(robotsUrl, {
+                timeout: 10000,
+                responseType: 'text',
+                validateStatus: () => true,
+                ...(proxy && { ...this.proxies.agentsFor(proxy), proxy: false }),
+                headers: { 'User-Agent': DEFAULT_USER_AGENT }
+            });
+            const robotsContent = response.status >= 200 && response.status < 300 ? String(response.data) : null;
             
-            if (response && response.ok()) {
-                const robotsContent = await page.content();
-                await page.close();
-                
+            if (robotsContent) {
                 // Simple robots.txt parsing (can be enhanced)
                 const lines = robotsContent.split('\n');
                 let userAgentMatch = false;
@@ -65,7 +216,6 @@ class EnhancedScraper {
                 return { allowed, robotsTxt: robotsContent };
             }
             
-            await page.close();
             return { allowed: true, robotsTxt: null };
         } catch (error) {
             return { allowed: true, robotsTxt: null, error: error.message };
@@ -74,232 +224,838 @@ class EnhancedScraper {
 
     // Enhanced content extraction
     async scrapeEnhanced(url, options = {}) {
-        const browser = await this.initBrowser();
-        const page = await browser.newPage();
-        
-        try {
-            // Check robots.txt first
-            const robotsCheck = await this.checkRobotsTxt(url);
-            if (!robotsCheck.allowed) {
-                return {
-                    success: false,
-                    error: 'Scraping disallowed by robots.txt',
-                    robotsTxt: robotsCheck.robotsTxt
+        let schema = null;
+        if (options.schema) {
+            const schemaCheck = validateSchema(options.schema);
+            if (!schemaCheck.valid) {
+                return publicFailure(scrapeFailure('INVALID_OPTIONS', schemaCheck.reason));
+            }
+            schema = schemaCheck.schema;
+        }
+
+        // options.selector / options.xpath matches, added to the default result as customSelection
+        let selectionSchema = null;
+        if (!schema && (options.selector || options.xpath)) {
+            const selectionCheck = buildSelectionSchema(options, {
+                text: { attribute: 'text' },
+                html: { attribute: 'html' },
+                tagName: { attribute: 'tagName' }
+            });
+            if (!selectionCheck.valid) {
+                return publicFailure(scrapeFailure('INVALID_OPTIONS', selectionCheck.reason));
+            }
+            selectionSchema = selectionCheck.schema;
+        }
+
+        let pagination = null;
+        if (options.pagination) {
+            const paginationCheck = validatePagination(options.pagination);
+            if (!paginationCheck.valid) {
+                return publicFailure(scrapeFailure('INVALID_OPTIONS', paginationCheck.reason));
+            }
+            pagination = paginationCheck.pagination;
+        }
+
+        const captureCheck = validateCaptureOptions(options);
+        if (!captureCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', captureCheck.reason));
+        }
+        const capture = captureCheck.capture;
+
+        let actions = null;
+        if (options.actions) {
+            const actionsCheck = validateActions(options.actions);
+            if (!actionsCheck.valid) {
+                return publicFailure(scrapeFailure('INVALID_OPTIONS', actionsCheck.reason));
+            }
+            actions = actionsCheck.actions;
+        }
+
+        let scroll = null;
+        if (options.scroll) {
+            const scrollCheck = validateScrollOptions(options.scroll);
+            if (!scrollCheck.valid) {
+                return publicFailure(scrapeFailure('INVALID_OPTIONS', scrollCheck.reason));
+            }
+            scroll = scrollCheck.scroll;
+        }
+
+        let blocking = null;
+        if (options.blockResources) {
+            const blockCheck = validateBlockOptions(options.blockResources);
+            if (!blockCheck.valid) {
+                return publicFailure(scrapeFailure('INVALID_OPTIONS', blockCheck.reason));
+            }
+            blocking = blockCheck.blocking;
+        }
+
+        if (options.engine && !ENGINES.includes(options.engine)) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', `engine must be one of ${ENGINES.join(', ')}`));
+        }
+        const browserOnly = browserOnlyReason(options, { capture, pagination });
+        if (options.engine === 'static' && browserOnly) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', browserOnly));
+        }
+        // auto goes straight to the browser when an option needs it
+        const engine = options.engine === 'auto' && browserOnly ? 'browser' : (options.engine || 'browser');
+
+        const markdownCheck = validateMarkdownOptions(options);
+        if (!markdownCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', markdownCheck.reason));
+        }
+        const markdown = markdownCheck.markdown;
+
+        const chunkCheck = validateChunkOptions(options);
+        if (!chunkCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', chunkCheck.reason));
+        }
+        const chunks = chunkCheck.chunks;
+
+        const tableCheck = validateTableOptions(options);
+        if (!tableCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', tableCheck.reason));
+        }
+        const tables = tableCheck.tables;
+
+        const feedCheck = validateFeedOptions(options);
+        if (!feedCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', feedCheck.reason));
+        }
+        const feed = feedCheck.feed;
+
+        const networkCheck = validateNetworkOptions(options);
+        if (!networkCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', networkCheck.reason));
+        }
+        const network = networkCheck.network;
+
+        const emulationCheck = validateEmulationOptions(options);
+        if (!emulationCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', emulationCheck.reason));
+        }
+        const emulation = emulationCheck.emulation;
+
+        const proxyCheck = validateProxyOptions(options);
+        if (!proxyCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', proxyCheck.reason));
+        }
+        const routing = proxyCheck.routing;
+
+        const retryCheck = validateRetryOptions(options);
+        if (!retryCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', retryCheck.reason));
+        }
+        const retry = retryCheck.retry;
+
+        const cacheCheck = validateCacheOptions(options);
+        if (!cacheCheck.valid) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', cacheCheck.reason));
+        }
+
+        const plan = { schema, selectionSchema, pagination, capture, actions, scroll, blocking, markdown, chunks, tables, feed, network, emulation, routing, retry };
+        const scrape = () => this.scrapeFresh(url, options, engine, plan);
+        let result;
+        // A network log describes one page load, so it is never served from the cache
+        if (this.cache && !network) {
+            // A revalidation goes out like the scrape: with its user agent, headers and cookies, so a 304
+            // confirms the variant that was cached, and through a proxy, or not at all when none is available
+            const originRequest = () => {
+                const agents = this.proxyAgentsFor(options);
+                return agents && {
+                    ...(agents.httpAgent && { ...agents, proxy: false }),
+                    headers: { 'User-Agent': emulation.userAgent, ...requestHeaders(url, emulation) }
                 };
+            };
+            result = await this.cache.fetch(url, options, cacheCheck.cache, scrape, originRequest);
+        } else {
+            const { cacheHeaders, ...fresh } = await scrape();
+            result = fresh;
+        }
+
+        // Item pages are scraped after the cache, so each one is cached and billed on its own
+        return feed && feed.fetchItems && result.success ? this.fetchFeedItems(url, result, feed) : result;
+    }
+
+    // Scrape from the target itself: robots.txt check, then attempts through the static and/or
+    // browser engine until one succeeds, fails for good or runs out of retries
+    async scrapeFresh(url, options, engine, plan) {
+        if (options.proxy !== undefined && (!this.proxies || !this.proxies.enabled)) {
+            return publicFailure(scrapeFailure('INVALID_OPTIONS', 'No proxies are configured on this server'));
+        }
+
+        // robots.txt goes out through the first attempt's proxy, so the site never sees this server
+        let selection = this.selectProxy(plan.routing);
+        if (selection && !selection.proxy) {
+            return publicFailure(scrapeFailure('PROXY_UNAVAILABLE', selection.reason));
+        }
+
+        // Check robots.txt first, before holding a page from the pool
+        const robotsCheck = await this.checkRobotsTxt(url, selection && selection.proxy);
+        if (!robotsCheck.allowed) {
+            return publicFailure(scrapeFailure('ROBOTS_DISALLOWED', null, { robotsTxt: robotsCheck.robotsTxt }));
+        }
+        plan = { ...plan, robotsCheck, proxy: null };
+
+        // Every attempt is part of one logical request: it is billed once, whatever the count
+        const attempts = [];
+        for (let attempt = 1; ; attempt++) {
+            const startTime = Date.now();
+            // A retry picks again, so it can move to a healthy proxy
+            if (attempt > 1) {
+                selection = this.selectProxy(plan.routing);
             }
+            const { result, proxy } = await this.scrapeAttempt(url, options, engine, plan, selection);
+            const record = {
+                attempt,
+                startedAt: new Date(startTime).toISOString(),
+                duration: Date.now() - startTime,
+                success: result.success,
+                ...(proxy && { proxy: proxy.id })
+            };
+            attempts.push(record);
 
-            // Set realistic user agent and viewport
-            await page.setUserAgent(
-                'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-            );
-            await page.setViewport({ width: 1920, height: 1080 });
+            if (result.success) {
+                return { ...result, metadata: { ...result.metadata, attempts } };
+            }
 
-            // Navigate with advanced options
-            const response = await page.goto(url, { 
-                waitUntil: options.waitUntil || 'networkidle0',
-                timeout: options.timeout || 30000 
+            const failure = classifyFailure(result);
+            record.errorCode = failure.code;
+            if (result.httpStatus) {
+                record.httpStatus = result.httpStatus;
+            }
+
+            const delay = attempt <= plan.retry.retries ? retryDelay(attempt, failure) : null;
+            if (delay === null) {
+                return publicFailure(result, { metadata: { ...result.metadata, attempts } });
+            }
+            record.retryDelay = delay;
+            await new Promise(resolve => setTimeout(resolve, delay));
+        }
+    }
+
+    // One attempt, through a proxy when the server has them; how it went counts towards the proxy's health
+    async scrapeAttempt(url, options, engine, plan, selection) {
+        if (!selection) {
+            return { result: await this.scrapeFromTarget(url, options, engine, plan), proxy: null };
+        }
+        if (!selection.proxy) {
+            return { result: scrapeFailure('PROXY_UNAVAILABLE', selection.reason), proxy: null };
+        }
+        const startTime = Date.now();
+        const result = await this.scrapeFromTarget(url, options, engine, { ...plan, proxy: selection.proxy });
+        this.proxies.report(selection.proxy, result, Date.now() - startTime);
+
+        if (result.metadata) {
+            result.metadata = {
+                ...result.metadata,
+                proxy: {
+                    id: selection.proxy.id,
+                    region: selection.proxy.region,
+                    ...(selection.session && { session: selection.session.id, sessionReassigned: selection.session.reassigned })
+                }
+            };
+        }
+        return { result, proxy: selection.proxy };
+    }
+
+    // Static and/or browser engine, through plan.proxy when there is one
+    async scrapeFromTarget(url, options, engine, plan) {
+        // Feeds are read over plain HTTP, whatever the engine
+        if (plan.feed) {
+            return this.scrapeFeed(url, options, plan);
+        }
+
+        // Static engine: plain HTTP fetch, falling back to the browser in auto mode
+        if (engine !== 'browser') {
+            const { fallbackReason, ...staticResult } = await this.scrapeStatic(url, options, plan);
+            if (engine === 'static' || staticResult.success) {
+                return staticResult;
+            }
+            plan.fallbackReason = fallbackReason || staticResult.error;
+        }
+
+        return this.scrapeWithBrowser(url, options, plan);
+    }
+
+    // Fetch over HTTP and run the same extraction functions against an in-process DOM
+    async scrapeStatic(url, options, plan) {
+        const { schema, selectionSchema, pagination, markdown, chunks, tables, emulation, proxy, robotsCheck } = plan;
+        const startTime = Date.now();
+
+        let response;
+        try {
+            response = await fetchHtml(url, {
+                userAgent: emulation.userAgent,
+                headers: target => requestHeaders(target, emulation, url),
+                timeout: options.timeout,
+                agents: proxy && this.proxies.agentsFor(proxy)
+            });
+        } catch (error) {
+            return failureFromError(error, { fallbackReason: `static fetch failed: ${error.message}` });
+        }
+
+        if (!response.ok) {
+            return {
+                ...httpFailure(response.status, response.statusText, response.headers, response.html.slice(0, 5000)),
+                fallbackReason: `static fetch returned HTTP ${response.status}`
+            };
+        }
+        if (!response.isHtml) {
+            return scrapeFailure('UNSUPPORTED_CONTENT', `Static engine only handles HTML (got ${response.contentType})`, {
+                fallbackReason: `non-HTML content type ${response.contentType}`
             });
+        }
 
-            if (!response.ok()) {
-                return {
-                    success: false,
-                    error: `HTTP ${response.status()}: ${response.statusText()}`
-                };
+        const dom = createDom(response.html, response.finalUrl);
+        try {
+            // In auto mode, pages rendered by JavaScript go to the browser instead
+            if (options.engine === 'auto') {
+                const reason = clientRenderedReason(dom);
+                if (reason) {
+                    return { success: false, error: `Page looks client-rendered: ${reason}`, fallbackReason: reason };
+                }
             }
 
-            // Wait for specific selector if provided
-            if (options.waitFor) {
-                try {
-                    await page.waitForSelector(options.waitFor, { timeout: 10000 });
-                } catch (e) {
-                    console.warn(`Wait selector "${options.waitFor}" not found`);
+            let data;
+            if (schema) {
+                data = evaluateInDom(dom, extractWithSchema, schema);
+            } else if (options.type === 'html') {
+                // The document as served, not re-serialized by the parser
+                data = response.html;
+            } else if (options.type === 'article') {
+                evaluateInDom(dom, markMainContent);
+                data = evaluateInDom(dom, extractArticle);
+            } else if (options.type === 'product') {
+                data = buildProduct(evaluateInDom(dom, extractStructuredData), evaluateInDom(dom, collectProductSignals));
+            } else if (options.type === 'tables') {
+                const pageInfo = { url: response.finalUrl, title: dom.window.document.title };
+                data = buildTablesOutput(evaluateInDom(dom, extractTables, tables), tables, pageInfo);
+            } else if (markdown) {
+                if (markdown.scope === 'main') {
+                    evaluateInDom(dom, markMainContent);
+                }
+                data = evaluateInDom(dom, convertToMarkdown, markdown);
+            } else if (chunks) {
+                if (chunks.scope === 'main') {
+                    evaluateInDom(dom, markMainContent);
+                }
+                data = chunkPage(evaluateInDom(dom, convertToMarkdown, { scope: chunks.scope, tables: true }), chunks);
+            } else {
+                data = evaluateInDom(dom, extractPageData, options);
+                if (data && typeof data === 'object') {
+                    data.structuredData = evaluateInDom(dom, extractStructuredData);
+                    data.tables = evaluateInDom(dom, extractTables, defaultResultTableSettings(tables));
                 }
             }
 
-            // Enhanced data extraction
-            const data = await page.evaluate((opts) => {
-                // Helper functions
-                function getMetaContent(name) {
-                    const meta = document.querySelector(`meta[name="${name}"], meta[property="${name}"], meta[property="og:${name}"]`);
-                    return meta ? meta.getAttribute('content') : null;
+            if (selectionSchema && data && typeof data === 'object') {
+                data.customSelection = evaluateInDom(dom, extractWithSchema, selectionSchema).selection;
+            }
+
+            const discoveredLinks = options.collectLinks
+                ? Array.from(new Set(
+                    Array.from(dom.window.document.querySelectorAll('a[href]'), a => a.href)
+                        .filter(href => href.startsWith('http'))
+                        .map(href => href.split('#')[0])
+                ))
+                : null;
+
+            const nextPage = pagination && (pagination.mode === 'auto' || pagination.mode === 'nextSelector')
+                ? evaluateInDom(dom, findNextPageUrl, pagination.nextSelector)
+                : null;
+
+            return {
+                success: true,
+                data: data,
+                cacheHeaders: pickCacheHeaders(response.headers),
+                metadata: {
+                    scrapeTime: new Date().toISOString(),
+                    engine: 'static',
+                    httpStatus: response.status,
+                    fetchTime: Date.now() - startTime,
+                    robotsCompliant: robotsCheck.allowed,
+                    ...(pagination && { pagination: { nextPage, loadMore: null } }),
+                    ...(discoveredLinks && { discoveredLinks })
                 }
+            };
+        } catch (error) {
+            return failureFromError(error, { fallbackReason: `static extraction failed: ${error.message}` });
+        } finally {
+            dom.window.close();
+        }
+    }
 
-                function extractStructuredData() {
-                    const jsonLdScripts = document.querySelectorAll('script[type="application/ld+json"]');
-                    const structuredData = [];
-                    
-                    jsonLdScripts.forEach(script => {
-                        try {
-                            const data = JSON.parse(script.textContent);
-                            structuredData.push(data);
-                        } catch (e) {
-                            // Invalid JSON-LD, skip
+    // Read the URL as a feed, or find the feed the page links to (or one at a common path)
+    async scrapeFeed(url, options, plan) {
+        const { feed: settings, emulation, proxy, robotsCheck } = plan;
+        const startTime = Date.now();
+        const fetchOptions = {
+            userAgent: emulation.userAgent,
+            headers: target => requestHeaders(target, emulation, url),
+            timeout: options.timeout,
+            accept: FEED_ACCEPT,
+            agents: proxy && this.proxies.agentsFor(proxy)
+        };
+
+        let response;
+        try {
+            response = await fetchHtml(url, fetchOptions);
+        } catch (error) {
+            return failureFromError(error);
+        }
+        if (!response.ok) {
+            return httpFailure(response.status, response.statusText, response.headers, response.html.slice(0, 5000));
+        }
+
+        try {
+            let feed = parseFeed(response.html, response.finalUrl);
+            let feedResponse = response;
+            let discovery = 'direct';
+            const candidatesTried = [];
+
+            if (!feed) {
+                if (!settings.discover) {
+                    return scrapeFailure('UNSUPPORTED_CONTENT', 'URL is not an RSS, Atom or JSON feed');
+                }
+
+                for (const candidate of discoverFeeds(response.html, response.finalUrl)) {
+                    const tried = { url: candidate.url, source: candidate.source };
+                    candidatesTried.push(tried);
+
+                    if (this.blacklist) {
+                        const validation = await this.blacklist.validateUrl(candidate.url, {
+                            agents: proxy ? this.proxies.agentsFor(proxy) : {}
+                        });
+                        if (!validation.valid) {
+                            tried.error = validation.reason;
+                            continue;
+                        }
+                    }
+                    const candidateRobots = await this.checkRobotsTxt(candidate.url, proxy);
+                    if (!candidateRobots.allowed) {
+                        tried.error = 'disallowed by robots.txt';
+                        continue;
+                    }
+                    try {
+                        const candidateResponse = await fetchHtml(candidate.url, fetchOptions);
+                        feed = candidateResponse.ok ? parseFeed(candidateResponse.html, candidateResponse.finalUrl) : null;
+                        if (feed) {
+                            feedResponse = candidateResponse;
+                            discovery = candidate.source;
+                            break;
                         }
+                        tried.error = candidateResponse.ok ? 'not a feed' : `HTTP ${candidateResponse.status}`;
+                    } catch (error) {
+                        tried.error = codeForError(error);
+                    }
+                }
+
+                if (!feed) {
+                    return scrapeFailure('UNSUPPORTED_CONTENT', 'No feed found: the page is not a feed and links to none at the usual places', {
+                        metadata: { feed: { candidatesTried } }
                     });
-                    
-                    return structuredData;
                 }
+            }
 
-                function findMainContent() {
-                    // Try to find main content area
-                    const selectors = [
-                        'main', 'article', '[role="main"]', 
-                        '.content', '.main-content', '#content', '#main',
-                        '.post-content', '.entry-content', '.article-content'
-                    ];
-                    
-                    for (const selector of selectors) {
-                        const element = document.querySelector(selector);
-                        if (element) {
-                            return {
-                                text: element.innerText?.trim() || '',
-                                html: element.innerHTML
-                            };
-                        }
+            const cacheHeaders = pickCacheHeaders(feedResponse.headers);
+            if (feedResponse !== response) {
+                // Revalidation asks the page URL, so the feed's validators cannot be reused
+                delete cacheHeaders.etag;
+                delete cacheHeaders['last-modified'];
+            }
+
+            const { items, ...channel } = feed;
+            return {
+                success: true,
+                data: {
+                    feedUrl: feedResponse.finalUrl,
+                    ...channel,
+                    totalItems: items.length,
+                    items: items.slice(0, settings.maxItems)
+                },
+                cacheHeaders,
+                metadata: {
+                    scrapeTime: new Date().toISOString(),
+                    engine: 'static',
+                    httpStatus: feedResponse.status,
+                    fetchTime: Date.now() - startTime,
+                    robotsCompliant: robotsCheck.allowed,
+                    feed: {
+                        url: feedResponse.finalUrl,
+                        format: feed.format,
+                        discovery,
+                        ...(candidatesTried.length && { candidatesTried })
                     }
-                    
-                    return null;
                 }
+            };
+        } catch (error) {
+            // parseFeed reports malformed feeds; their messages only describe the feed
+            return /^Invalid (feed XML|JSON Feed)/.test(error.message)
+                ? scrapeFailure('UNSUPPORTED_CONTENT', error.message)
+                : failureFromError(error);
+        }
+    }
 
-                function extractImages() {
-                    const images = Array.from(document.querySelectorAll('img[src]'));
-                    return images.slice(0, 20).map(img => ({
-                        src: img.src,
-                        alt: img.alt || '',
-                        width: img.naturalWidth || null,
-                        height: img.naturalHeight || null
-                    }));
+    // Scrape the pages of the first feed.fetchItems items through scrapeEnhanced. Only links on the
+    // site of the requested URL are followed (not that of a feed found elsewhere), and each goes
+    // through the blacklist like a requested URL. metadata.feed reports them as pages so they are
+    // billed like paginated pages.
+    async fetchFeedItems(url, result, settings) {
+        const pagesByEngine = { [result.metadata.engine]: 1 };
+        let itemPagesScraped = 0;
+
+        const items = [];
+        for (const [index, item] of result.data.items.entries()) {
+            if (index >= settings.fetchItems) {
+                items.push(item);
+                continue;
+            }
+            if (!item.link || !sameSite(item.link, url)) {
+                items.push({ ...item, page: { success: false, error: item.link ? 'Item link is on another site' : 'Item has no link' } });
+                continue;
+            }
+            if (this.blacklist) {
+                const validation = await this.blacklist.validateUrl(item.link, { agents: this.proxyAgentsFor(settings.itemOptions) });
+                if (!validation.valid) {
+                    items.push({ ...item, page: { success: false, error: validation.reason } });
+                    continue;
                 }
+            }
 
-                function extractTables() {
-                    const tables = Array.from(document.querySelectorAll('table'));
-                    return tables.slice(0, 5).map((table, index) => {
-                        const rows = Array.from(table.querySelectorAll('tr'));
-                        const data = rows.map(row => {
-                            return Array.from(row.querySelectorAll('td, th')).map(cell => cell.innerText.trim());
-                        });
-                        return { id: index, data };
-                    });
+            const page = await this.scrapeEnhanced(item.link, settings.itemOptions);
+            if (page.success) {
+                itemPagesScraped++;
+                pagesByEngine[page.metadata.engine] = (pagesByEngine[page.metadata.engine] || 0) + 1;
+                items.push({ ...item, page: { success: true, data: page.data, engine: page.metadata.engine } });
+            } else {
+                items.push({ ...item, page: { success: false, error: page.error, errorCode: page.errorCode } });
+            }
+        }
+
+        // New objects, so results held by the memory cache are never modified
+        return {
+            ...result,
+            data: { ...result.data, items },
+            metadata: {
+                ...result.metadata,
+                feed: {
+                    ...result.metadata.feed,
+                    itemPagesScraped,
+                    pagesScraped: 1 + itemPagesScraped,
+                    pagesByEngine
                 }
+            }
+        };
+    }
 
-                // Basic page info
-                const result = {
-                    url: window.location.href,
-                    title: document.title,
-                    description: getMetaContent('description'),
-                    keywords: getMetaContent('keywords'),
-                    author: getMetaContent('author'),
-                    
-                    // Open Graph data
-                    openGraph: {
-                        title: getMetaContent('og:title'),
-                        description: getMetaContent('og:description'),
-                        image: getMetaContent('og:image'),
-                        url: getMetaContent('og:url'),
-                        type: getMetaContent('og:type')
-                    },
+    // Render the page in Chromium and extract from the live DOM
+    async scrapeWithBrowser(url, options, plan) {
+        const { schema, selectionSchema, pagination, capture, actions, scroll, blocking, markdown, chunks, tables, network, emulation, proxy, robotsCheck } = plan;
 
-                    // Headers hierarchy
-                    headers: {
-                        h1: Array.from(document.querySelectorAll('h1')).map(h => h.innerText.trim()),
-                        h2: Array.from(document.querySelectorAll('h2')).map(h => h.innerText.trim()),
-                        h3: Array.from(document.querySelectorAll('h3')).map(h => h.innerText.trim())
-                    },
+        let lease;
+        try {
+            lease = await this.pool.acquire({ proxy });
+        } catch (error) {
+            return failureFromError(error);
+        }
+        const page = lease.page;
+        
+        try {
+            // User agent, viewport, headers, cookies, locale and timezone for this request
+            await applyEmulation(page, url, emulation);
 
-                    // Links
-                    links: Array.from(document.querySelectorAll('a[href]')).slice(0, 50).map(a => ({
-                        text: a.innerText.trim(),
-                        href: a.href,
-                        title: a.title || null
-                    })).filter(link => link.text),
-
-                    // Enhanced content
-                    mainContent: findMainContent(),
-                    
-                    // Media
-                    images: extractImages(),
-                    
-                    // Structured data
-                    structuredData: extractStructuredData(),
-                    
-                    // Tables
-                    tables: extractTables(),
-
-                    // Page metrics
-                    wordCount: document.body.innerText.split(/\s+/).length,
-                    language: document.documentElement.lang || document.querySelector('meta[http-equiv="content-language"]')?.content,
-                    
-                    // Technical info
-                    charset: document.characterSet,
-                    lastModified: document.lastModified
-                };
+            // Record traffic from the first request on; blocked requests show up as failed
+            const networkLog = network ? startNetworkCapture(page, network) : null;
+
+            // Skip images, fonts, trackers... that text extraction does not need
+            const blockedRequests = blocking ? await enableRequestBlocking(page, blocking) : null;
+
+            // Navigate with advanced options
+            const response = await page.goto(url, { 
+                waitUntil: options.waitUntil || 'networkidle0',
+                timeout: options.timeout || 30000 
+            });
 
-                // Handle specific extraction options
-                if (opts.selector) {
-                    const elements = document.querySelectorAll(opts.selector);
-                    result.customSelection = Array.from(elements).map(el => ({
-                        text: el.innerText?.trim() || '',
-                        html: el.innerHTML,
-                        tagName: el.tagName.toLowerCase()
-                    }));
+            if (!response.ok()) {
+                // Challenge pages are told apart from ordinary error pages by their text
+                const pageText = await page.evaluate(() => `${document.title}\n${document.body ? document.body.innerText.slice(0, 5000) : ''}`);
+                return httpFailure(response.status(), response.statusText(), response.headers(), pageText);
+            }
+
+            // Wait for specific selector if provided
+            if (options.waitFor) {
+                try {
+                    await page.waitForSelector(options.waitFor, { timeout: 10000 });
+                } catch (e) {
+                    console.warn(`Wait selector "${options.waitFor}" not found`);
                 }
+            }
 
-                if (opts.type === 'text') {
-                    return document.body.innerText;
+            // Scripted interactions (clicks, typing, cookie banners...) before extraction
+            let actionResults = null;
+            if (actions) {
+                const allowedOrigins = [new URL(url).origin, new URL(page.url()).origin];
+                const actionRun = await runActions(page, actions, allowedOrigins);
+                actionResults = actionRun.actions;
+                if (!actionRun.success) {
+                    return {
+                        success: false,
+                        error: actionRun.error,
+                        errorCode: actionRun.errorCode,
+                        metadata: { actions: actionResults }
+                    };
                 }
-                
-                if (opts.type === 'html') {
-                    return document.documentElement.outerHTML;
+            }
+
+            // Infinite-scroll feeds only render more items as you scroll
+            const scrollResult = scroll ? await autoScroll(page, scroll) : null;
+
+            // "Load more" pagination happens inside this page before extraction
+            let loadMore = null;
+            if (pagination && pagination.mode === 'loadMore') {
+                loadMore = await clickLoadMore(page, pagination.loadMoreSelector, pagination.maxPages - 1);
+            }
+
+            // Enhanced data extraction (screenshots/PDFs and declarative schemas replace the default result shape)
+            let data;
+            if (capture) {
+                data = await capturePage(page, capture);
+            } else if (schema) {
+                data = await page.evaluate(extractWithSchema, schema);
+            } else if (options.type === 'article') {
+                await page.evaluate(markMainContent);
+                data = await page.evaluate(extractArticle);
+            } else if (options.type === 'product') {
+                data = buildProduct(await page.evaluate(extractStructuredData), await page.evaluate(collectProductSignals));
+            } else if (options.type === 'tables') {
+                const pageInfo = { url: page.url(), title: await page.title() };
+                data = buildTablesOutput(await page.evaluate(extractTables, tables), tables, pageInfo);
+            } else if (markdown) {
+                if (markdown.scope === 'main') {
+                    await page.evaluate(markMainContent);
+                }
+                data = await page.evaluate(convertToMarkdown, markdown);
+            } else if (chunks) {
+                if (chunks.scope === 'main') {
+                    await page.evaluate(markMainContent);
+                }
+                data = chunkPage(await page.evaluate(convertToMarkdown, { scope: chunks.scope, tables: true }), chunks);
+            } else {
+                data = await page.evaluate(extractPageData, options);
+                if (data && typeof data === 'object') {
+                    data.structuredData = await page.evaluate(extractStructuredData);
+                    data.tables = await page.evaluate(extractTables, defaultResultTableSettings(tables));
                 }
+            }
 
-                return result;
-            }, options);
+            if (selectionSchema && !capture && data && typeof data === 'object') {
+                data.customSelection = (await page.evaluate(extractWithSchema, selectionSchema)).selection;
+            }
+
+            // Every link on the page, for crawling (the default result only keeps the first 50 with text)
+            const discoveredLinks = options.collectLinks
+                ? await page.evaluate(() => Array.from(new Set(
+                    Array.from(document.querySelectorAll('a[href]'), a => a.href)
+                        .filter(href => href.startsWith('http'))
+                        .map(href => href.split('#')[0])
+                )))
+                : null;
+
+            let nextPage = null;
+            if (pagination && (pagination.mode === 'auto' || pagination.mode === 'nextSelector')) {
+                nextPage = await page.evaluate(findNextPageUrl, pagination.nextSelector);
+            }
+
+            let networkOutput = null;
+            if (networkLog) {
+                networkOutput = buildNetworkOutput(await networkLog.stop(), network, {
+                    url: page.url(),
+                    title: await page.title(),
+                    timings: await page.evaluate(pageLoadTimings)
+                });
+            }
 
             // Performance metrics
             const metrics = await page.metrics();
-            
-            await page.close();
 
             return {
                 success: true,
                 data: data,
+                ...(networkOutput && { network: networkOutput.network }),
+                cacheHeaders: pickCacheHeaders(response.headers()),
                 metadata: {
                     scrapeTime: new Date().toISOString(),
+                    engine: 'browser',
+                    ...(plan.fallbackReason && { engineFallback: plan.fallbackReason }),
                     responseTime: response.headers()['server-timing'] || null,
                     robotsCompliant: robotsCheck.allowed,
                     performance: {
                         JSHeapUsedSize: metrics.JSHeapUsedSize,
                         JSHeapTotalSize: metrics.JSHeapTotalSize,
                         ScriptDuration: metrics.ScriptDuration
-                    }
+                    },
+                    ...(pagination && { pagination: { nextPage, loadMore } }),
+                    ...(discoveredLinks && { discoveredLinks }),
+                    ...(actionResults && { actions: actionResults }),
+                    ...(scrollResult && { scroll: scrollResult }),
+                    ...(blockedRequests && { blockedRequests }),
+                    ...(networkOutput && { network: networkOutput.summary })
                 }
             };
 
         } catch (error) {
-            await page.close();
+            return failureFromError(error);
+        } finally {
+            await lease.release();
+        }
+    }
+
+    // Follow options.pagination across pages and merge the results
+    async scrapePaginated(url, options = {}) {
+        const paginationCheck = validatePagination(options.pagination);
+        if (!paginationCheck.valid) {
+            return scrapeFailure('INVALID_OPTIONS', paginationCheck.reason);
+        }
+        const pagination = paginationCheck.pagination;
+
+        // "Load more" buttons are clicked within a single page load
+        if (pagination.mode === 'loadMore') {
+            const result = await this.scrapeEnhanced(url, options);
+            if (!result.success) {
+                return result;
+            }
+            const { clicks, stopReason } = result.metadata.pagination.loadMore;
             return {
-                success: false,
-                error: error.message,
-                stack: error.stack
+                ...result,
+                pages: [{ page: 1, url, success: true, loadMoreClicks: clicks }],
+                metadata: {
+                    ...result.metadata,
+                    pagination: {
+                        mode: pagination.mode,
+                        pagesScraped: clicks + 1,
+                        pagesByEngine: { [result.metadata.engine]: clicks + 1 },
+                        maxPages: pagination.maxPages,
+                        stopReason
+                    }
+                }
             };
         }
+
+        const origin = new URL(url).origin;
+        const pages = [];
+        const seen = new Set();
+        let merged;
+        let firstMetadata = null;
+        let pageUrl = pagination.mode === 'urlTemplate' ? templatePageUrl(url, pagination, 0) : url;
+        let stopReason = 'maxPages';
+
+        for (let index = 0; index < pagination.maxPages; index++) {
+            if (index > 0) {
+                pageUrl = pagination.mode === 'urlTemplate'
+                    ? templatePageUrl(url, pagination, index)
+                    : pages[index - 1].nextPage;
+
+                if (!pageUrl) {
+                    stopReason = 'noNextPage';
+                    break;
+                }
+                if (new URL(pageUrl).origin !== origin) {
+                    stopReason = 'nextPageOffSite';
+                    break;
+                }
+                if (seen.has(pageUrl)) {
+                    stopReason = 'repeatedPage';
+                    break;
+                }
+
+                // Respect the per-domain request rate between pages
+                await new Promise(resolve => setTimeout(resolve, pagination.delay));
+            }
+            seen.add(pageUrl);
+
+            const result = await this.scrapeEnhanced(pageUrl, options);
+            if (!result.success) {
+                if (index === 0) {
+                    return result;
+                }
+                pages.push({ page: index + 1, url: pageUrl, success: false, error: result.error, errorCode: result.errorCode });
+                stopReason = 'pageFailed';
+                break;
+            }
+
+            firstMetadata = firstMetadata || result.metadata;
+            merged = mergePageData(merged, result.data);
+            pages.push({
+                page: index + 1,
+                url: pageUrl,
+                success: true,
+                engine: result.metadata.engine,
+                data: result.data,
+                nextPage: result.metadata.pagination.nextPage
+            });
+        }
+
+        const pagesScraped = pages.filter(p => p.success).length;
+        const pagesByEngine = {};
+        pages.filter(p => p.success).forEach(p => {
+            pagesByEngine[p.engine] = (pagesByEngine[p.engine] || 0) + 1;
+        });
+        return {
+            success: true,
+            data: merged,
+            pages: pages.map(({ nextPage, ...page }) => page),
+            metadata: {
+                ...firstMetadata,
+                pagination: {
+                    mode: pagination.mode,
+                    pagesScraped,
+                    pagesByEngine,
+                    maxPages: pagination.maxPages,
+                    stopReason
+                }
+            }
+        };
     }
 
     // Batch scraping for multiple URLs
-    async scrapeBatch(urls, options = {}) {
+    // hooks.onResult(url, result, index) is called as each URL finishes,
+    // hooks.isCancelled() is checked before every batch to stop early
+    async scrapeBatch(urls, options = {}, hooks = {}) {
         const results = [];
         const batchSize = options.batchSize || 3;
         
         for (let i = 0; i < urls.length; i += batchSize) {
+            if (hooks.isCancelled && hooks.isCancelled()) {
+                break;
+            }
+
             const batch = urls.slice(i, i + batchSize);
+            if (hooks.onStart) {
+                batch.forEach((url, index) => hooks.onStart(url, i + index));
+            }
+
             const batchResults = await Promise.allSettled(
-                batch.map(url => this.scrapeEnhanced(url, options))
+                batch.map(async (url, index) => {
+                    const result = await this.scrapeEnhanced(url, options);
+                    if (hooks.onResult) {
+                        hooks.onResult(url, result, i + index);
+                    }
+                    return result;
+                })
             );
             
-            results.push(...batchResults.map((result, index) => ({
-                url: batch[index],
-                result: result.status === 'fulfilled' ? result.value : { success: false, error: result.reason }
-            })));
+            results.push(...batchResults.map((result, index) => {
+                const entry = {
+                    url: batch[index],
+                    result: result.status === 'fulfilled'
+                        ? result.value
+                        : publicFailure(failureFromError(result.reason || {}))
+                };
+                if (result.status === 'rejected' && hooks.onResult) {
+                    hooks.onResult(entry.url, entry.result, i + index);
+                }
+                return entry;
+            }));
         }
         
         return results;
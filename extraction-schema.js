@@ -0,0 +1,252 @@
+// Declarative extraction schemas (named fields -> typed JSON)
+
+const FIELD_TYPES = ['string', 'number', 'integer', 'boolean', 'url'];
+const SCHEMA_LIMITS = {
+    maxDepth: 5,
+    maxFields: 100
+};
+
+// Validate a user supplied schema and expand shorthand ("title": "h1") into full field objects
+function validateSchema(schema) {
+    let fieldCount = 0;
+
+    function normalizeFields(fields, path, depth) {
+        if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+            throw new Error(`${path || 'schema'} must be an object of named fields`);
+        }
+        if (depth > SCHEMA_LIMITS.maxDepth) {
+            throw new Error(`Schema nesting deeper than ${SCHEMA_LIMITS.maxDepth} levels`);
+        }
+
+        const normalized = {};
+        for (const [name, definition] of Object.entries(fields)) {
+            const fieldPath = path ? `${path}.${name}` : name;
+            if (++fieldCount > SCHEMA_LIMITS.maxFields) {
+                throw new Error(`Schema has more than ${SCHEMA_LIMITS.maxFields} fields`);
+            }
+            normalized[name] = normalizeField(definition, fieldPath, depth);
+        }
+        return normalized;
+    }
+
+    function normalizeField(definition, fieldPath, depth) {
+        const field = typeof definition === 'string' ? { selector: definition } : definition;
+        if (!field || typeof field !== 'object' || Array.isArray(field)) {
+            throw new Error(`Field "${fieldPath}" must be a selector string or an object`);
+        }
+        for (const key of ['selector', 'xpath', 'attribute', 'style', 'regex']) {
+            if (field[key] !== undefined && typeof field[key] !== 'string') {
+                throw new Error(`Field "${fieldPath}": ${key} must be a string`);
+            }
+        }
+        if (field.selector && field.xpath) {
+            throw new Error(`Field "${fieldPath}" cannot have both a selector and an xpath`);
+        }
+        if (field.group !== undefined && typeof field.group !== 'number' && typeof field.group !== 'string') {
+            throw new Error(`Field "${fieldPath}": group must be a capture group index or name`);
+        }
+        if (field.type && !FIELD_TYPES.includes(field.type)) {
+            throw new Error(`Field "${fieldPath}": type must be one of ${FIELD_TYPES.join(', ')}`);
+        }
+        if (field.regex) {
+            try {
+                new RegExp(field.regex, field.regexFlags || '');
+            } catch (error) {
+                throw new Error(`Field "${fieldPath}": ${error.message}`);
+            }
+        }
+
+        return {
+            selector: field.selector || null,
+            xpath: field.xpath || null,
+            attribute: field.attribute || 'text',
+            style: field.style || null,
+            regex: field.regex || null,
+            regexFlags: field.regexFlags || '',
+            group: field.group !== undefined ? field.group : null,
+            multiple: Boolean(field.multiple),
+            type: field.type || 'string',
+            default: field.default !== undefined ? field.default : null,
+            fields: field.fields ? normalizeFields(field.fields, fieldPath, depth + 1) : null
+        };
+    }
+
+    try {
+        return { valid: true, schema: normalizeFields(schema, '', 1) };
+    } catch (error) {
+        return { valid: false, reason: `Invalid schema: ${error.message}` };
+    }
+}
+
+// Build the schema behind the flat options.selector / options.xpath extraction,
+// so both share the same in-page engine. baseFields sets the per-match shape.
+function buildSelectionSchema(options, baseFields) {
+    const fields = { ...baseFields };
+
+    if (Array.isArray(options.attributes) && options.attributes.length > 0) {
+        fields.attributes = {
+            fields: Object.fromEntries(options.attributes.map(name => [name, { attribute: name }]))
+        };
+    }
+    if (Array.isArray(options.styles) && options.styles.length > 0) {
+        fields.styles = {
+            fields: Object.fromEntries(options.styles.map(property => [property, { style: property }]))
+        };
+    }
+    if (options.ownText) {
+        fields.ownText = { attribute: 'ownText' };
+    }
+    if (options.regex) {
+        fields.match = {
+            attribute: options.ownText ? 'ownText' : 'text',
+            regex: options.regex,
+            regexFlags: options.regexFlags,
+            group: options.regexGroup
+        };
+    }
+
+    return validateSchema({
+        selection: {
+            selector: options.selector,
+            xpath: options.xpath,
+            multiple: true,
+            fields
+        }
+    });
+}
+
+// Runs inside the page via page.evaluate - must stay self-contained
+function extractWithSchema(schema) {
+    function readValue(node, field) {
+        // XPath can select attribute and text nodes directly
+        if (node.nodeType !== 1) {
+            return node.nodeValue !== null ? node.nodeValue.trim() : (node.textContent || '').trim();
+        }
+
+        if (field.style) {
+            return window.getComputedStyle(node).getPropertyValue(field.style) || null;
+        }
+
+        const attribute = field.attribute;
+        if (attribute === 'text') {
+            return (node.innerText !== undefined ? node.innerText : node.textContent || '').trim();
+        }
+        if (attribute === 'ownText') {
+            // Text of the element's own text nodes, ignoring descendants
+            return Array.from(node.childNodes)
+                .filter(child => child.nodeType === 3)
+                .map(child => child.nodeValue)
+                .join(' ')
+                .replace(/\s+/g, ' ')
+                .trim();
+        }
+        if (attribute === 'html') {
+            return node.innerHTML;
+        }
+        if (attribute === 'outerHtml') {
+            return node.outerHTML;
+        }
+        if (attribute === 'tagName') {
+            return node.tagName.toLowerCase();
+        }
+        // Resolved URLs for link-like properties, raw attribute value otherwise
+        if ((attribute === 'href' || attribute === 'src') && typeof node[attribute] === 'string' && node[attribute]) {
+            return node[attribute];
+        }
+        return node.getAttribute(attribute);
+    }
+
+    function applyRegex(value, field) {
+        if (!field.regex || value === null || value === undefined) {
+            return value;
+        }
+        const match = new RegExp(field.regex, field.regexFlags).exec(String(value));
+        if (!match) {
+            return null;
+        }
+        if (field.group !== null) {
+            const group = typeof field.group === 'number' ? match[field.group] : (match.groups || {})[field.group];
+            return group !== undefined ? group : null;
+        }
+        return match.length > 1 ? match[1] : match[0];
+    }
+
+    function coerce(value, type) {
+        if (value === null || value === undefined) {
+            return null;
+        }
+        switch (type) {
+            case 'number': {
+                const number = parseFloat(String(value).replace(/[^0-9.\-]/g, ''));
+                return Number.isNaN(number) ? null : number;
+            }
+            case 'integer': {
+                const number = parseInt(String(value).replace(/[^0-9\-]/g, ''), 10);
+                return Number.isNaN(number) ? null : number;
+            }
+            case 'boolean':
+                return !['', 'false', '0', 'no', 'off'].includes(String(value).trim().toLowerCase());
+            case 'url':
+                try {
+                    return new URL(value, document.baseURI).href;
+                } catch (e) {
+                    return null;
+                }
+            default:
+                return String(value);
+        }
+    }
+
+    function selectNodes(root, field) {
+        if (field.xpath) {
+            let snapshot;
+            try {
+                snapshot = document.evaluate(field.xpath, root, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+            } catch (e) {
+                throw new Error(`Invalid XPath "${field.xpath}"`);
+            }
+            const nodes = [];
+            for (let i = 0; i < snapshot.snapshotLength; i++) {
+                nodes.push(snapshot.snapshotItem(i));
+            }
+            return nodes;
+        }
+        if (field.selector) {
+            try {
+                return Array.from(root.querySelectorAll(field.selector));
+            } catch (e) {
+                throw new Error(`Invalid selector "${field.selector}"`);
+            }
+        }
+        return [root];
+    }
+
+    function extractField(root, field) {
+        const nodes = selectNodes(root, field);
+
+        const toValue = node => field.fields
+            ? extractObject(node, field.fields)
+            : coerce(applyRegex(readValue(node, field), field), field.type);
+
+        if (field.multiple) {
+            return nodes.map(toValue);
+        }
+        if (nodes.length === 0) {
+            return field.default;
+        }
+        const value = toValue(nodes[0]);
+        return value === null ? field.default : value;
+    }
+
+    function extractObject(root, fields) {
+        const result = {};
+        for (const name of Object.keys(fields)) {
+            result[name] = extractField(root, fields[name]);
+        }
+        return result;
+    }
+
+    return extractObject(document, schema);
+}
+
+module.exports = { validateSchema, buildSelectionSchema, extractWithSchema, FIELD_TYPES };
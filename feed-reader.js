@@ -0,0 +1,326 @@
+// RSS 2.0 / RSS 1.0 / Atom / JSON Feed discovery and parsing into one normalized item list
+const { JSDOM } = require('jsdom');
+
+const FEED_LIMITS = {
+    defaultItems: 50,
+    maxItems: 200,
+    defaultFetchItems: 10,
+    maxFetchItems: 25,
+    maxCandidates: 8,       // feed URLs tried when the page itself is not a feed
+    summaryLength: 1000
+};
+
+// Paths tried when the page does not link its feed
+const FEED_PATHS = ['/feed', '/rss', '/feed.xml', '/rss.xml', '/atom.xml', '/index.xml', '/feed.json', '/?feed=rss2'];
+
+const FEED_ACCEPT = 'application/rss+xml, application/atom+xml, application/feed+json, application/xml;q=0.9, text/xml;q=0.9, application/json;q=0.8, text/html;q=0.7, */*;q=0.5';
+const FEED_LINK_TYPES = /^application\/(rss|atom|rdf|feed)\+(xml|json)$|^application\/json$|^text\/xml$/i;
+
+// Validate options.feed: { maxItems, fetchItems, itemOptions, discover } (only used with type "feed")
+function validateFeedOptions(options) {
+    if (options.type !== 'feed') {
+        return { valid: true, feed: null };
+    }
+
+    const settings = options.feed === undefined ? {} : options.feed;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { valid: false, reason: 'feed must be an object' };
+    }
+
+    const maxItems = settings.maxItems !== undefined ? parseInt(settings.maxItems) : FEED_LIMITS.defaultItems;
+    if (!(maxItems >= 1 && maxItems <= FEED_LIMITS.maxItems)) {
+        return { valid: false, reason: `feed.maxItems must be between 1 and ${FEED_LIMITS.maxItems}` };
+    }
+
+    // true fetches the default number of item pages, a number sets it
+    let fetchItems = 0;
+    if (settings.fetchItems === true) {
+        fetchItems = FEED_LIMITS.defaultFetchItems;
+    } else if (settings.fetchItems !== undefined && settings.fetchItems !== false) {
+        fetchItems = parseInt(settings.fetchItems);
+        if (!(fetchItems >= 1 && fetchItems <= FEED_LIMITS.maxFetchItems)) {
+            return { valid: false, reason: `feed.fetchItems must be true, false or a number between 1 and ${FEED_LIMITS.maxFetchItems}` };
+        }
+    }
+
+    const itemOptions = settings.itemOptions === undefined ? {} : settings.itemOptions;
+    if (!itemOptions || typeof itemOptions !== 'object' || Array.isArray(itemOptions)) {
+        return { valid: false, reason: 'feed.itemOptions must be an object of scrape options' };
+    }
+    if (itemOptions.type === 'feed' || itemOptions.pagination || itemOptions.encoding === 'binary' || itemOptions.format === 'csv') {
+        return { valid: false, reason: 'feed.itemOptions cannot use type "feed", pagination or file downloads' };
+    }
+
+    return {
+        valid: true,
+        feed: {
+            maxItems,
+            fetchItems: Math.min(fetchItems, maxItems),
+            itemOptions,
+            discover: settings.discover !== false
+        }
+    };
+}
+
+// Number of item pages a feed request may scrape (billed like extra pages)
+function feedItemPages(options) {
+    const check = validateFeedOptions(options);
+    return check.valid && check.feed ? check.feed.fetchItems : 0;
+}
+
+// Plain text from an HTML fragment
+function stripHtml(html) {
+    const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return String(html || '')
+        .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1));
+                return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+            }
+            return entities[entity.toLowerCase()] || match;
+        })
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function toIsoDate(value) {
+    if (!value) {
+        return null;
+    }
+    const date = new Date(String(value).trim());
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function resolveUrl(url, base) {
+    if (!url) {
+        return null;
+    }
+    try {
+        return new URL(String(url).trim(), base).href;
+    } catch {
+        return null;
+    }
+}
+
+function summarize(value) {
+    const text = stripHtml(value);
+    if (!text) {
+        return null;
+    }
+    return text.length > FEED_LIMITS.summaryLength ? `${text.slice(0, FEED_LIMITS.summaryLength - 1).trimEnd()}…` : text;
+}
+
+// Child elements by qualified name ("title", "dc:creator", "media:content")
+function children(el, name) {
+    return el ? Array.from(el.children).filter(child => child.nodeName === name || child.localName === name) : [];
+}
+function childText(el, ...names) {
+    for (const name of names) {
+        const child = children(el, name)[0];
+        const text = child && child.textContent.trim();
+        if (text) {
+            return text;
+        }
+    }
+    return null;
+}
+
+function parseRssItem(item, base) {
+    const guid = children(item, 'guid')[0];
+    const permalink = guid && guid.getAttribute('isPermaLink') !== 'false' && /^https?:/i.test(guid.textContent.trim())
+        ? guid.textContent.trim()
+        : null;
+
+    const enclosures = [
+        ...children(item, 'enclosure').map(el => ({
+            url: resolveUrl(el.getAttribute('url'), base),
+            type: el.getAttribute('type') || null,
+            length: parseInt(el.getAttribute('length')) || null
+        })),
+        ...children(item, 'media:content').map(el => ({
+            url: resolveUrl(el.getAttribute('url'), base),
+            type: el.getAttribute('type') || el.getAttribute('medium') || null,
+            length: parseInt(el.getAttribute('fileSize')) || null
+        }))
+    ].filter(enclosure => enclosure.url);
+
+    const date = toIsoDate(childText(item, 'pubDate', 'dc:date', 'published'));
+    return {
+        id: childText(item, 'guid') || childText(item, 'link') || null,
+        title: stripHtml(childText(item, 'title')) || null,
+        link: resolveUrl(childText(item, 'link') || permalink, base),
+        date,
+        updated: toIsoDate(childText(item, 'atom:updated', 'dc:modified')) || date,
+        author: childText(item, 'author', 'dc:creator'),
+        summary: summarize(childText(item, 'description', 'content:encoded')),
+        categories: children(item, 'category').map(el => el.textContent.trim()).filter(Boolean),
+        enclosures
+    };
+}
+
+function parseAtomEntry(entry, base) {
+    const links = children(entry, 'link');
+    const alternate = links.find(link => !link.getAttribute('rel') || link.getAttribute('rel') === 'alternate');
+    const entryBase = resolveUrl(entry.getAttribute('xml:base'), base) || base;
+    const authors = children(entry, 'author').map(author => childText(author, 'name')).filter(Boolean);
+    const published = toIsoDate(childText(entry, 'published', 'issued'));
+    const updated = toIsoDate(childText(entry, 'updated', 'modified'));
+
+    return {
+        id: childText(entry, 'id'),
+        title: stripHtml(childText(entry, 'title')) || null,
+        link: resolveUrl(alternate && alternate.getAttribute('href'), entryBase),
+        date: published || updated,
+        updated: updated || published,
+        author: authors.length ? authors.join(', ') : null,
+        summary: summarize(childText(entry, 'summary', 'content')),
+        categories: children(entry, 'category').map(el => el.getAttribute('label') || el.getAttribute('term')).filter(Boolean),
+        enclosures: links
+            .filter(link => link.getAttribute('rel') === 'enclosure')
+            .map(link => ({
+                url: resolveUrl(link.getAttribute('href'), entryBase),
+                type: link.getAttribute('type') || null,
+                length: parseInt(link.getAttribute('length')) || null
+            }))
+            .filter(enclosure => enclosure.url)
+    };
+}
+
+function parseJsonFeed(feed, base) {
+    const name = author => (author && typeof author === 'object' ? author.name : null);
+    const feedAuthors = (feed.authors || [feed.author]).map(name).filter(Boolean);
+
+    return {
+        format: 'json',
+        version: feed.version || null,
+        title: feed.title || null,
+        description: feed.description || null,
+        link: resolveUrl(feed.home_page_url, base),
+        updated: null,
+        language: feed.language || null,
+        items: (Array.isArray(feed.items) ? feed.items : []).map(item => {
+            const authors = (item.authors || (item.author ? [item.author] : [])).map(name).filter(Boolean);
+            const date = toIsoDate(item.date_published);
+            return {
+                id: item.id !== undefined ? String(item.id) : null,
+                title: item.title ? stripHtml(item.title) : null,
+                link: resolveUrl(item.url || item.external_url, base),
+                date,
+                updated: toIsoDate(item.date_modified) || date,
+                author: (authors.length ? authors : feedAuthors).join(', ') || null,
+                summary: summarize(item.summary || item.content_text || item.content_html),
+                categories: Array.isArray(item.tags) ? item.tags.map(String) : [],
+                enclosures: (Array.isArray(item.attachments) ? item.attachments : [])
+                    .map(attachment => ({
+                        url: resolveUrl(attachment.url, base),
+                        type: attachment.mime_type || null,
+                        length: parseInt(attachment.size_in_bytes) || null
+                    }))
+                    .filter(enclosure => enclosure.url)
+            };
+        })
+    };
+}
+
+// Parse a feed document. Returns null when the body is not a feed, and throws when it looks like
+// one but cannot be parsed.
+function parseFeed(body, url) {
+    const text = String(body || '').replace(/^\uFEFF/, '').trim();
+
+    if (text.startsWith('{')) {
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Invalid JSON Feed: ${error.message}`);
+        }
+        const isJsonFeed = /jsonfeed\.org/i.test(String(json.version || '')) || (Array.isArray(json.items) && 'title' in json);
+        return isJsonFeed ? parseJsonFeed(json, url) : null;
+    }
+
+    if (!text.startsWith('<') || !/<(rss|feed|rdf:RDF)[\s>]/i.test(text.slice(0, 2000))) {
+        return null;
+    }
+
+    const { document } = new JSDOM(text, { contentType: 'application/xml' }).window;
+    const parserError = document.getElementsByTagName('parsererror')[0];
+    if (parserError) {
+        throw new Error(`Invalid feed XML: ${parserError.textContent.replace(/\s+/g, ' ').trim().slice(0, 200)}`);
+    }
+
+    const root = document.documentElement;
+    if (root.localName === 'feed') {
+        const alternate = children(root, 'link').find(link => !link.getAttribute('rel') || link.getAttribute('rel') === 'alternate');
+        const base = resolveUrl(root.getAttribute('xml:base'), url) || url;
+        return {
+            format: 'atom',
+            version: '1.0',
+            title: stripHtml(childText(root, 'title')) || null,
+            description: stripHtml(childText(root, 'subtitle', 'tagline')) || null,
+            link: resolveUrl(alternate && alternate.getAttribute('href'), base),
+            updated: toIsoDate(childText(root, 'updated', 'modified')),
+            language: root.getAttribute('xml:lang') || null,
+            items: children(root, 'entry').map(entry => parseAtomEntry(entry, base))
+        };
+    }
+
+    if (root.localName === 'rss' || root.localName === 'RDF') {
+        const channel = children(root, 'channel')[0];
+        // RSS 1.0 (RDF) lists items next to the channel instead of inside it
+        const items = root.localName === 'rss' ? children(channel, 'item') : children(root, 'item');
+        return {
+            format: root.localName === 'rss' ? 'rss' : 'rdf',
+            version: root.getAttribute('version') || (root.localName === 'RDF' ? '1.0' : null),
+            title: stripHtml(childText(channel, 'title')) || null,
+            description: stripHtml(childText(channel, 'description')) || null,
+            link: resolveUrl(childText(channel, 'link'), url),
+            updated: toIsoDate(childText(channel, 'lastBuildDate', 'pubDate', 'dc:date')),
+            language: childText(channel, 'language', 'dc:language'),
+            items: items.map(item => parseRssItem(item, url))
+        };
+    }
+
+    return null;
+}
+
+// Feed URLs for an HTML page: <link rel="alternate"> tags, then feed-looking links, then common paths
+function discoverFeeds(html, pageUrl) {
+    const candidates = [];
+    const add = (href, source, title = null, type = null) => {
+        const url = resolveUrl(href, pageUrl);
+        if (url && /^https?:/i.test(url) && !candidates.some(candidate => candidate.url === url)) {
+            candidates.push({ url, source, title, type });
+        }
+    };
+
+    const { document } = new JSDOM(html, { url: pageUrl }).window;
+    document.querySelectorAll('link[rel~="alternate" i][href]').forEach(link => {
+        const type = (link.getAttribute('type') || '').trim();
+        if (FEED_LINK_TYPES.test(type) && !/oembed/i.test(link.getAttribute('href'))) {
+            add(link.getAttribute('href'), 'link', link.getAttribute('title'), type);
+        }
+    });
+    document.querySelectorAll('a[href]').forEach(anchor => {
+        const href = anchor.getAttribute('href');
+        if (/(\.(rss|atom)|\/(feed|rss|atom)(\.xml|\.json)?\/?)(\?.*)?$/i.test(href)) {
+            add(href, 'anchor', anchor.textContent.trim() || null);
+        }
+    });
+    const origin = new URL(pageUrl).origin;
+    FEED_PATHS.forEach(path => add(origin + path, 'path'));
+
+    return candidates.slice(0, FEED_LIMITS.maxCandidates);
+}
+
+module.exports = {
+    validateFeedOptions,
+    feedItemPages,
+    parseFeed,
+    discoverFeeds,
+    stripHtml,
+    FEED_LIMITS,
+    FEED_ACCEPT,
+    FEED_PATHS
+};
@@ -1,5 +1,5 @@
+require('dotenv').config();
 const express = require('express');
-const puppeteer = require('puppeteer');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -8,16 +8,45 @@ const crypto = require('crypto');
 const { MockPaymentSystem } = require('./public/lemonsqueezy');
 const { CreditManager } = require('./credit-system');
 const { EnhancedScraper } = require('./enhanced-scraper');
+const { BrowserPool } = require('./browser-pool');
 const { BlacklistManager } = require('./blacklist-manager');
 const { TERMS_OF_SERVICE, generateComplianceReport } = require('./legal-tos');
 const { AbuseProtectionSystem } = require('./abuse-protection');
+const { JobManager } = require('./job-manager');
+const { CrawlManager, validateCrawlSettings } = require('./crawl-manager');
+const { validateSchema, buildSelectionSchema, extractWithSchema } = require('./extraction-schema');
+const { validatePagination } = require('./pagination');
+const { validateCaptureOptions } = require('./page-capture');
+const { validateActions } = require('./page-actions');
+const { validateScrollOptions } = require('./infinite-scroll');
+const { validateBlockOptions } = require('./request-blocking');
+const { ENGINES, browserOnlyReason } = require('./static-engine');
+const { ResponseCache, createCacheStore, validateCacheOptions } = require('./response-cache');
+const { MonitorManager, validateMonitorSettings, checkWebhookUrl } = require('./monitor-manager');
+const { validateMarkdownOptions } = require('./markdown-output');
+const { validateChunkOptions } = require('./text-chunks');
+const { validateTableOptions } = require('./table-extraction');
+const { validateFeedOptions, feedItemPages } = require('./feed-reader');
+const { validateNetworkOptions } = require('./network-capture');
+const { validateEmulationOptions } = require('./page-emulation');
+const { ProxyPool, validateProxyOptions } = require('./proxy-pool');
+const { validateRetryOptions, scrapeFailure, failureFromError, publicFailure } = require('./scrape-errors');
+const { ScheduleManager, validateScheduleSettings } = require('./schedule-manager');
 
 const mockPayments = new MockPaymentSystem();
 const creditManager = new CreditManager();
-const enhancedScraper = new EnhancedScraper();
+const browserPool = new BrowserPool();
+const cacheStore = createCacheStore();
+const responseCache = cacheStore ? new ResponseCache(cacheStore) : null;
+const proxyPool = new ProxyPool();
 const blacklistManager = new BlacklistManager();
+const enhancedScraper = new EnhancedScraper({ pool: browserPool, cache: responseCache, proxies: proxyPool, blacklist: blacklistManager });
 const abuseProtection = new AbuseProtectionSystem();
-require('dotenv').config();
+const jobManager = new JobManager(enhancedScraper, creditManager);
+const crawlManager = new CrawlManager(enhancedScraper, blacklistManager, creditManager);
+const monitorManager = new MonitorManager(enhancedScraper, blacklistManager, creditManager);
+// Schedules run through the same pipeline as POST /scrape
+const scheduleManager = new ScheduleManager(request => runBilledScrape(request));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -93,15 +122,173 @@ function isValidUrl(url) {
   }
 }
 
+// Validate scrape options before any credits are consumed
+function validateScrapeOptions(options) {
+  if (!options || typeof options !== 'object' || Array.isArray(options)) {
+    return { valid: false, reason: 'options must be an object' };
+  }
+  
+  if (options.schema) {
+    const schemaCheck = validateSchema(options.schema);
+    if (!schemaCheck.valid) {
+      return schemaCheck;
+    }
+  }
+  
+  if (options.selector || options.xpath) {
+    const selectionCheck = buildSelectionSchema(options, {});
+    if (!selectionCheck.valid) {
+      return selectionCheck;
+    }
+  }
+  
+  let pagination = null;
+  if (options.pagination) {
+    const paginationCheck = validatePagination(options.pagination);
+    if (!paginationCheck.valid) {
+      return paginationCheck;
+    }
+    pagination = paginationCheck.pagination;
+  }
+  
+  if (options.actions) {
+    const actionsCheck = validateActions(options.actions);
+    if (!actionsCheck.valid) {
+      return actionsCheck;
+    }
+  }
+  
+  if (options.scroll) {
+    const scrollCheck = validateScrollOptions(options.scroll);
+    if (!scrollCheck.valid) {
+      return scrollCheck;
+    }
+  }
+  
+  if (options.blockResources) {
+    const blockCheck = validateBlockOptions(options.blockResources);
+    if (!blockCheck.valid) {
+      return blockCheck;
+    }
+  }
+  
+  const captureCheck = validateCaptureOptions(options);
+  if (!captureCheck.valid) {
+    return captureCheck;
+  }
+  if (captureCheck.capture && options.pagination) {
+    return { valid: false, reason: 'pagination cannot be combined with screenshot or pdf output' };
+  }
+  
+  if (options.engine) {
+    if (!ENGINES.includes(options.engine)) {
+      return { valid: false, reason: `engine must be one of ${ENGINES.join(', ')}` };
+    }
+    const browserOnly = browserOnlyReason(options, { capture: captureCheck.capture, pagination });
+    if (options.engine === 'static' && browserOnly) {
+      return { valid: false, reason: browserOnly };
+    }
+  }
+  
+  const markdownCheck = validateMarkdownOptions(options);
+  if (!markdownCheck.valid) {
+    return markdownCheck;
+  }
+  
+  const chunkCheck = validateChunkOptions(options);
+  if (!chunkCheck.valid) {
+    return chunkCheck;
+  }
+  
+  const tableCheck = validateTableOptions(options);
+  if (!tableCheck.valid) {
+    return tableCheck;
+  }
+  
+  const feedCheck = validateFeedOptions(options);
+  if (!feedCheck.valid) {
+    return feedCheck;
+  }
+  
+  const networkCheck = validateNetworkOptions(options);
+  if (!networkCheck.valid) {
+    return networkCheck;
+  }
+  
+  const emulationCheck = validateEmulationOptions(options);
+  if (!emulationCheck.valid) {
+    return emulationCheck;
+  }
+  
+  const proxyCheck = validateProxyOptions(options);
+  if (!proxyCheck.valid) {
+    return proxyCheck;
+  }
+  if (options.proxy !== undefined && !proxyPool.enabled) {
+    return { valid: false, reason: 'No proxies are configured on this server' };
+  }
+  
+  const retryCheck = validateRetryOptions(options);
+  if (!retryCheck.valid) {
+    return retryCheck;
+  }
+  
+  const cacheCheck = validateCacheOptions(options);
+  if (!cacheCheck.valid) {
+    return cacheCheck;
+  }
+  
+  return { valid: true };
+}
+
+// For work billed later (monitors, schedules): is the token valid and can it pay for one scrape now?
+function checkTokenCanPay(accessToken, tier) {
+  const tokenInfo = creditManager.getTokenInfo(accessToken);
+  const creditsPerScrape = creditManager.credits[tier] || 1;
+  
+  if (!tokenInfo || new Date(tokenInfo.expiresAt) < new Date()) {
+    return { valid: false, body: { error: tokenInfo ? 'Access token expired' : 'Invalid access token' } };
+  }
+  if (tokenInfo.remainingCredits < creditsPerScrape) {
+    return {
+      valid: false,
+      body: {
+        error: 'Insufficient credits',
+        available: tokenInfo.remainingCredits,
+        needed: creditsPerScrape
+      }
+    };
+  }
+  
+  return { valid: true, tokenInfo, creditsPerScrape };
+}
+
+// Screenshots/PDFs with encoding "binary" and CSV tables are sent as files instead of JSON
+function isDownload(options, data) {
+  return Boolean(data && data.contentType) && (options.encoding === 'binary' || options.format === 'csv');
+}
+
+// Send a screenshot/PDF capture or CSV table as a file download
+function sendCaptureDownload(res, url, capture) {
+  const extension = capture.type === 'pdf' ? 'pdf' : capture.format;
+  const hostname = new URL(url).hostname.replace(/[^a-z0-9.-]/gi, '_');
+  
+  res.set('Content-Type', capture.contentType);
+  res.set('Content-Disposition', `attachment; filename="${hostname}-${Date.now()}.${extension}"`);
+  res.send(Buffer.from(capture.content, capture.encoding));
+}
+
 // Main scraping function
 async function scrapeWebsite(url, options = {}) {
-  const browser = await puppeteer.launch({
-    args: ['--no-sandbox', '--disable-setuid-sandbox'],
-    headless: true
-  });
+  let lease;
+  try {
+    lease = await browserPool.acquire();
+  } catch (error) {
+    return publicFailure(failureFromError(error));
+  }
   
   try {
-    const page = await browser.newPage();
+    const page = lease.page;
     
     // Set user agent to avoid blocking
     await page.setUserAgent(
@@ -129,16 +316,17 @@ async function scrapeWebsite(url, options = {}) {
     } else if (options.type === 'html') {
       // Extract HTML
       result = await page.content();
-    } else if (options.selector) {
-      // Extract specific elements
-      result = await page.evaluate((sel) => {
-        const elements = document.querySelectorAll(sel);
-        return Array.from(elements).map(el => ({
-          text: el.innerText,
-          html: el.innerHTML,
-          href: el.href || null
-        }));
-      }, options.selector);
+    } else if (options.selector || options.xpath) {
+      // Extract specific elements (CSS or XPath, plus optional attributes/styles/regex)
+      const selectionCheck = buildSelectionSchema(options, {
+        text: { attribute: 'text' },
+        html: { attribute: 'html' },
+        href: { attribute: 'href' }
+      });
+      if (!selectionCheck.valid) {
+        return scrapeFailure('INVALID_OPTIONS', selectionCheck.reason);
+      }
+      result = (await page.evaluate(extractWithSchema, selectionCheck.schema)).selection;
     } else {
       // Default: extract basic page info
       result = await page.evaluate(() => ({
@@ -155,12 +343,9 @@ async function scrapeWebsite(url, options = {}) {
     return { success: true, data: result };
     
   } catch (error) {
-    return { 
-      success: false, 
-      error: error.message 
-    };
+    return publicFailure(failureFromError(error));
   } finally {
-    await browser.close();
+    await lease.release();
   }
 }
 
@@ -183,15 +368,247 @@ app.get('/api', (req, res) => {
     version: '1.0.0',
     endpoints: {
       scrape: 'POST /api/scrape',
+      jobs: 'POST /api/jobs, GET /api/jobs/:id, DELETE /api/jobs/:id',
+      crawl: 'POST /api/crawl, GET /api/crawl/:id, DELETE /api/crawl/:id',
+      monitors: 'POST /api/monitors, GET /api/monitors/:id, GET /api/monitors/:id/changes, DELETE /api/monitors/:id',
+      schedules: 'POST /api/schedules, GET /api/schedules/:id, POST /api/schedules/:id/pause|resume, DELETE /api/schedules/:id',
       payment: 'POST /api/create-payment',
       health: 'GET /api/health'
     }
   });
 });
 
+// The /scrape pipeline: validate, reserve credits, scrape, refund what was not used.
+// Resolves to { result, credits } on success, or { status, body } with the error response.
+async function runBilledScrape({ url, accessToken, tier = 'basic', options = {} }) {
+  // Validate input
+  if (!url || !accessToken) {
+    return {
+      status: 400,
+      body: { error: 'Missing required fields: url, accessToken' }
+    };
+  }
+  
+  if (!isValidUrl(url)) {
+    return {
+      status: 400,
+      body: {
+        error: 'Invalid URL or restricted domain',
+        details: 'This domain is restricted due to Terms of Service or anti-scraping measures',
+        restrictedDomains: RESTRICTED_DOMAINS
+      }
+    };
+  }
+  
+  const optionsCheck = validateScrapeOptions(options);
+  if (!optionsCheck.valid) {
+    return {
+      status: 400,
+      body: { error: 'Invalid options', details: optionsCheck.reason }
+    };
+  }
+  
+  // Paginated scrapes and feed item pages are charged per page: reserve the most it can take, refund pages not scraped
+  const pagesReserved = options.pagination
+    ? validatePagination(options.pagination).pagination.maxPages
+    : 1 + feedItemPages(options);
+  
+  // Validate and consume credits
+  const creditCheck = creditManager.validateAndConsumeCredit(accessToken, tier, pagesReserved);
+  if (!creditCheck.valid) {
+    return {
+      status: 402,
+      body: {
+        error: creditCheck.error,
+        available: creditCheck.available,
+        needed: creditCheck.needed
+      }
+    };
+  }
+  
+  // Perform enhanced scraping
+  console.log(`Enhanced scraping ${url} with token ${accessToken} (${creditCheck.remainingCredits} credits left)`);
+  
+  try {
+    const result = options.pagination
+      ? await enhancedScraper.scrapePaginated(url, options)
+      : await enhancedScraper.scrapeEnhanced(url, options);
+    
+    if (!result.success) {
+      // Refund credit on failure
+      creditManager.refundCredits(accessToken, tier, pagesReserved);
+      
+      return {
+        status: 500,
+        body: {
+          error: 'Scraping failed',
+          code: result.errorCode,
+          retryable: result.retryable,
+          details: result.error,
+          ...(result.httpStatus && { httpStatus: result.httpStatus }),
+          ...(result.metadata && { metadata: result.metadata }),
+          creditRefunded: true
+        }
+      };
+    }
+    
+    const pageCount = result.metadata.pagination || (result.metadata.feed && result.metadata.feed.pagesByEngine ? result.metadata.feed : null);
+    const pagesScraped = pageCount ? pageCount.pagesScraped : 1;
+    const pagesByEngine = pageCount
+      ? pageCount.pagesByEngine
+      : { [result.metadata.engine]: 1 };
+    
+    // Refund pages not scraped, and the discount for pages served without a browser or from the cache
+    const refunded = Object.entries(pagesByEngine).reduce(
+      (sum, [engine, pages]) => sum + creditManager.refundEngineDiscount(accessToken, tier, engine, pages),
+      creditManager.refundCredits(accessToken, tier, pagesReserved - pagesScraped)
+    );
+    
+    return {
+      result,
+      credits: {
+        used: creditCheck.creditsUsed - refunded,
+        remaining: creditManager.getTokenInfo(accessToken).remainingCredits,
+        tier: creditCheck.tier
+      }
+    };
+  } catch (error) {
+    // Refund credit on server error
+    creditManager.refundCredits(accessToken, tier, pagesReserved);
+    console.error(`❌ Scrape of ${url} crashed:`, error);
+    
+    return {
+      status: 500,
+      body: {
+        error: 'Server error during scraping',
+        code: 'SCRAPE_FAILED',
+        details: 'Please try again later',
+        creditRefunded: true
+      }
+    };
+  }
+}
+
 // Enhanced scraping endpoint with credit system
 app.post('/scrape', async (req, res) => {
-  const { url, accessToken, tier = 'basic', options = {} } = req.body;
+  const { url, options = {} } = req.body;
+  const outcome = await runBilledScrape(req.body);
+  
+  if (!outcome.result) {
+    return res.status(outcome.status).json(outcome.body);
+  }
+  
+  const { result, credits } = outcome;
+  if (isDownload(options, result.data)) {
+    return sendCaptureDownload(res, url, result.data);
+  }
+  
+  res.json({
+    success: true,
+    url: url,
+    data: result.data,
+    ...(result.pages && { pages: result.pages }),
+    ...(result.network && { network: result.network }),
+    metadata: result.metadata,
+    credits,
+    scrapedAt: new Date().toISOString()
+  });
+});
+
+// Batch scraping jobs - returns a job ID immediately, poll GET /jobs/:id for results
+app.post('/jobs', (req, res) => {
+  const { urls, accessToken, tier = 'basic', options = {} } = req.body;
+  
+  // Validate input
+  if (!Array.isArray(urls) || urls.length === 0 || !accessToken) {
+    return res.status(400).json({
+      error: 'Missing required fields: urls (non-empty array), accessToken'
+    });
+  }
+  
+  if (urls.length > jobManager.limits.maxUrlsPerJob) {
+    return res.status(400).json({
+      error: `Too many URLs: maximum ${jobManager.limits.maxUrlsPerJob} per job`
+    });
+  }
+  
+  const invalidUrls = urls.filter(url => typeof url !== 'string' || !isValidUrl(url));
+  if (invalidUrls.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid URL or restricted domain',
+      details: 'This domain is restricted due to Terms of Service or anti-scraping measures',
+      invalidUrls: invalidUrls,
+      restrictedDomains: RESTRICTED_DOMAINS
+    });
+  }
+  
+  const optionsCheck = validateScrapeOptions(options);
+  if (!optionsCheck.valid) {
+    return res.status(400).json({
+      error: 'Invalid options',
+      details: optionsCheck.reason
+    });
+  }
+  
+  if (options.pagination || feedItemPages(options)) {
+    return res.status(400).json({
+      error: 'Invalid options',
+      details: 'pagination and feed.fetchItems are not supported for batch jobs; use POST /scrape'
+    });
+  }
+  
+  // Reserve credits for every URL up front; failures are refunded as the job runs
+  const creditCheck = creditManager.validateAndConsumeCredit(accessToken, tier, urls.length);
+  if (!creditCheck.valid) {
+    return res.status(402).json({
+      error: creditCheck.error,
+      available: creditCheck.available,
+      needed: creditCheck.needed
+    });
+  }
+  
+  const job = jobManager.createJob({ urls, options, accessToken, tier });
+  console.log(`Batch job ${job.id}: ${urls.length} URLs with token ${accessToken} (${creditCheck.remainingCredits} credits left)`);
+  
+  res.status(202).json({
+    success: true,
+    jobId: job.id,
+    status: job.status,
+    totalUrls: urls.length,
+    credits: {
+      reserved: creditCheck.creditsUsed,
+      remaining: creditCheck.remainingCredits,
+      tier: creditCheck.tier
+    },
+    statusUrl: `/jobs/${job.id}`
+  });
+});
+
+// Batch job status and per-URL results
+app.get('/jobs/:id', (req, res) => {
+  const job = jobManager.getJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json(job);
+});
+
+// Cancel a batch job - URLs not yet scraped are refunded
+app.delete('/jobs/:id', (req, res) => {
+  const job = jobManager.cancelJob(req.params.id);
+  
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  
+  res.json(job);
+});
+
+// Same-site crawl - returns a crawl ID immediately, poll GET /crawl/:id for pages
+app.post('/crawl', (req, res) => {
+  const { url, accessToken, tier = 'basic', options = {}, ...crawlSettings } = req.body;
   
   // Validate input
   if (!url || !accessToken) {
@@ -208,8 +625,25 @@ app.post('/scrape', async (req, res) => {
     });
   }
   
-  // Validate and consume credits
-  const creditCheck = creditManager.validateAndConsumeCredit(accessToken, tier);
+  const settingsCheck = validateCrawlSettings(crawlSettings);
+  if (!settingsCheck.valid) {
+    return res.status(400).json({
+      error: 'Invalid crawl settings',
+      details: settingsCheck.reason
+    });
+  }
+  
+  const optionsCheck = validateScrapeOptions(options);
+  if (!optionsCheck.valid || options.pagination || feedItemPages(options)) {
+    return res.status(400).json({
+      error: 'Invalid options',
+      details: optionsCheck.valid ? 'pagination and feed.fetchItems are not supported for crawls' : optionsCheck.reason
+    });
+  }
+  
+  // Reserve credits for maxPages up front; pages not scraped are refunded when the crawl ends
+  const settings = settingsCheck.settings;
+  const creditCheck = creditManager.validateAndConsumeCredit(accessToken, tier, settings.maxPages);
   if (!creditCheck.valid) {
     return res.status(402).json({
       error: creditCheck.error,
@@ -218,50 +652,218 @@ app.post('/scrape', async (req, res) => {
     });
   }
   
-  // Perform enhanced scraping
-  console.log(`Enhanced scraping ${url} with token ${accessToken} (${creditCheck.remainingCredits} credits left)`);
+  const crawl = crawlManager.createCrawl({ url, settings, options, accessToken, tier });
+  console.log(`Crawl ${crawl.id}: ${url} (max ${settings.maxPages} pages, depth ${settings.maxDepth}) with token ${accessToken}`);
   
-  try {
-    const result = await enhancedScraper.scrapeEnhanced(url, options);
-    
-    if (result.success) {
-      res.json({
-        success: true,
-        url: url,
-        data: result.data,
-        metadata: result.metadata,
-        credits: {
-          remaining: creditCheck.remainingCredits,
-          tier: creditCheck.tier
-        },
-        scrapedAt: new Date().toISOString()
-      });
-    } else {
-      // Refund credit on failure
-      const token = creditManager.tokens.get(accessToken);
-      if (token) {
-        token.usedCredits -= creditManager.credits[tier] || 1;
-      }
-      
-      res.status(500).json({
-        error: 'Scraping failed',
-        details: result.error,
-        creditRefunded: true
-      });
-    }
-  } catch (error) {
-    // Refund credit on server error
-    const token = creditManager.tokens.get(accessToken);
-    if (token) {
-      token.usedCredits -= creditManager.credits[tier] || 1;
-    }
-    
-    res.status(500).json({
-      error: 'Server error during scraping',
-      details: error.message,
-      creditRefunded: true
+  res.status(202).json({
+    success: true,
+    crawlId: crawl.id,
+    status: crawl.status,
+    settings: settings,
+    credits: {
+      reserved: creditCheck.creditsUsed,
+      remaining: creditCheck.remainingCredits,
+      tier: creditCheck.tier
+    },
+    statusUrl: `/crawl/${crawl.id}`
+  });
+});
+
+// Crawl status and per-page results
+app.get('/crawl/:id', (req, res) => {
+  const crawl = crawlManager.getCrawl(req.params.id);
+  
+  if (!crawl) {
+    return res.status(404).json({ error: 'Crawl not found' });
+  }
+  
+  res.json(crawl);
+});
+
+// Cancel a crawl - unused credits are refunded
+app.delete('/crawl/:id', (req, res) => {
+  const crawl = crawlManager.cancelCrawl(req.params.id);
+  
+  if (!crawl) {
+    return res.status(404).json({ error: 'Crawl not found' });
+  }
+  
+  res.json(crawl);
+});
+
+// Page change monitor - re-scrapes on an interval and records diffs, one scrape's credits per check
+app.post('/monitors', async (req, res) => {
+  const { url, accessToken, tier = 'basic', options = {}, ...monitorSettings } = req.body;
+  
+  // Validate input
+  if (!url || !accessToken) {
+    return res.status(400).json({
+      error: 'Missing required fields: url, accessToken'
+    });
+  }
+  
+  if (!isValidUrl(url)) {
+    return res.status(400).json({
+      error: 'Invalid URL or restricted domain',
+      details: 'This domain is restricted due to Terms of Service or anti-scraping measures',
+      restrictedDomains: RESTRICTED_DOMAINS
+    });
+  }
+  
+  const optionsCheck = validateScrapeOptions(options);
+  if (!optionsCheck.valid || options.pagination || feedItemPages(options) || ['screenshot', 'pdf'].includes(options.type)) {
+    return res.status(400).json({
+      error: 'Invalid options',
+      details: optionsCheck.valid ? 'pagination, feed.fetchItems and screenshot/pdf output are not supported for monitors' : optionsCheck.reason
+    });
+  }
+  
+  const settingsCheck = validateMonitorSettings(monitorSettings, options);
+  const webhookCheck = settingsCheck.valid && settingsCheck.settings.webhookUrl
+    ? await checkWebhookUrl(settingsCheck.settings.webhookUrl)
+    : { valid: true };
+  if (!settingsCheck.valid || !webhookCheck.valid) {
+    return res.status(400).json({
+      error: 'Invalid monitor settings',
+      details: settingsCheck.valid ? webhookCheck.reason : settingsCheck.reason
+    });
+  }
+  
+  // Checks are billed as they run; make sure the token can pay for at least the first one
+  const tokenCheck = checkTokenCanPay(accessToken, tier);
+  if (!tokenCheck.valid) {
+    return res.status(402).json(tokenCheck.body);
+  }
+  const { tokenInfo, creditsPerScrape: creditsPerCheck } = tokenCheck;
+  
+  const monitor = monitorManager.createMonitor({ url, settings: settingsCheck.settings, options, accessToken, tier });
+  console.log(`Monitor ${monitor.id}: ${url} every ${monitor.settings.intervalMinutes} min with token ${accessToken}`);
+  
+  res.status(201).json({
+    success: true,
+    ...monitorManager.getMonitor(monitor.id),
+    credits: {
+      perCheck: creditsPerCheck,
+      remaining: tokenInfo.remainingCredits,
+      tier: tokenInfo.tier
+    },
+    statusUrl: `/monitors/${monitor.id}`,
+    changesUrl: `/monitors/${monitor.id}/changes`
+  });
+});
+
+// Monitor status
+app.get('/monitors/:id', (req, res) => {
+  const monitor = monitorManager.getMonitor(req.params.id);
+  
+  if (!monitor) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  
+  res.json(monitor);
+});
+
+// Change events with added/removed lines, newest first
+app.get('/monitors/:id/changes', (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const changes = monitorManager.getChanges(req.params.id, { since: req.query.since, limit });
+  
+  if (!changes) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  
+  res.json(changes);
+});
+
+// Stop and remove a monitor
+app.delete('/monitors/:id', (req, res) => {
+  if (!monitorManager.deleteMonitor(req.params.id)) {
+    return res.status(404).json({ error: 'Monitor not found' });
+  }
+  
+  res.json({ success: true, monitorId: req.params.id, status: 'deleted' });
+});
+
+// Recurring scrapes on a cron schedule, billed per URL per run like /scrape
+app.post('/schedules', async (req, res) => {
+  const { accessToken, tier = 'basic', options = {}, ...scheduleSettings } = req.body;
+  
+  // Validate input
+  if (!scheduleSettings.cron || !accessToken) {
+    return res.status(400).json({
+      error: 'Missing required fields: cron, url or urls, accessToken'
+    });
+  }
+  
+  const settingsCheck = validateScheduleSettings(scheduleSettings);
+  if (!settingsCheck.valid) {
+    return res.status(400).json({
+      error: 'Invalid schedule',
+      details: settingsCheck.reason
+    });
+  }
+  
+  const invalidUrls = settingsCheck.settings.urls.filter(url => !isValidUrl(url));
+  if (invalidUrls.length > 0) {
+    return res.status(400).json({
+      error: 'Invalid URL or restricted domain',
+      details: 'This domain is restricted due to Terms of Service or anti-scraping measures',
+      invalidUrls,
+      restrictedDomains: RESTRICTED_DOMAINS
     });
   }
+  
+  const optionsCheck = validateScrapeOptions(options);
+  if (!optionsCheck.valid || options.encoding === 'binary') {
+    return res.status(400).json({
+      error: 'Invalid options',
+      details: optionsCheck.valid ? 'binary encoding is not supported for schedules' : optionsCheck.reason
+    });
+  }
+  
+  const tokenCheck = checkTokenCanPay(accessToken, tier);
+  if (!tokenCheck.valid) {
+    return res.status(402).json(tokenCheck.body);
+  }
+  
+  const schedule = await scheduleManager.createSchedule({ settings: settingsCheck.settings, options, accessToken, tier });
+  console.log(`Schedule ${schedule.id}: "${schedule.cron}" (${schedule.timezone}) for ${schedule.urls.length} URLs with token ${accessToken}`);
+  
+  res.status(201).json({
+    success: true,
+    ...scheduleManager.getSchedule(schedule.id, { includeHistory: false }),
+    statusUrl: `/schedules/${schedule.id}`
+  });
+});
+
+// Schedule status and run history (newest first)
+app.get('/schedules/:id', (req, res) => {
+  const schedule = scheduleManager.getSchedule(req.params.id);
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  res.json(schedule);
+});
+
+// Pause or resume a schedule
+app.post('/schedules/:id/:action(pause|resume)', async (req, res) => {
+  const schedule = await scheduleManager.setPaused(req.params.id, req.params.action === 'pause');
+  
+  if (!schedule) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  res.json(schedule);
+});
+
+app.delete('/schedules/:id', async (req, res) => {
+  if (!(await scheduleManager.deleteSchedule(req.params.id))) {
+    return res.status(404).json({ error: 'Schedule not found' });
+  }
+  
+  res.json({ success: true, scheduleId: req.params.id, status: 'deleted' });
 });
 
 // Legacy endpoint for backward compatibility (paymentId)
@@ -306,6 +908,7 @@ app.post('/scrape-legacy', async (req, res) => {
   } else {
     res.status(500).json({
       error: 'Scraping failed',
+      code: result.errorCode,
       details: result.error
     });
   }
@@ -352,13 +955,14 @@ app.get('/access-token/:paymentId', (req, res) => {
   const tokens = Array.from(creditManager.tokens.values());
   const token = tokens.find(t => t.paymentId === paymentId);
   
-  if (!token) {
+  // Tokens loaded from the credits file have no id: only the hash of the token is saved
+  if (!token || !token.id) {
     return res.status(404).json({ error: 'Payment not found or still processing' });
   }
   
   res.json({
     accessToken: token.id,
-    credits: token.credits - token.usedCredits,
+    credits: creditManager.getTokenInfo(token.id).remainingCredits,
     tier: token.tier,
     expiresAt: token.expiresAt
   });
@@ -461,6 +1065,18 @@ app.post('/test-scrape', async (req, res) => {
       return res.status(400).json({ error: 'URL is required' });
     }
 
+    const optionsCheck = validateScrapeOptions(options);
+    if (!optionsCheck.valid) {
+      abuseProtection.recordFailure(clientIP, 'Invalid options');
+      return res.status(400).json({ error: 'Invalid options', details: optionsCheck.reason });
+    }
+    if (options.pagination || feedItemPages(options)) {
+      return res.status(400).json({
+        error: 'Invalid options',
+        details: 'pagination and feed.fetchItems require an access token; use POST /scrape'
+      });
+    }
+
     // 4. Enhanced URL validation with blacklist and robots.txt
     console.log(`🔍 Validating URL: ${url} from IP: ${clientIP}`);
     const validation = await validateUrlEnhanced(url);
@@ -497,13 +1113,16 @@ app.post('/test-scrape', async (req, res) => {
     });
 
     // 8. Send enhanced response with legal compliance info
-    if (result.success) {
+    if (result.success && isDownload(options, result.data)) {
+      sendCaptureDownload(res, url, result.data);
+    } else if (result.success) {
       const complianceReport = generateComplianceReport(url, validation);
       
       res.json({
         success: true,
         url: url,
         data: result.data,
+        ...(result.network && { network: result.network }),
         metadata: {
           ...result.metadata,
           processingTime: processingTime,
@@ -517,6 +1136,7 @@ app.post('/test-scrape', async (req, res) => {
       abuseProtection.recordFailure(clientIP, 'Scraping failed');
       res.status(500).json({
         error: 'Scraping failed',
+        code: result.errorCode,
         details: result.error,
         url: url,
         legalNotice: 'Scraping failure may indicate target website restrictions'
@@ -540,11 +1160,18 @@ app.post('/test-scrape', async (req, res) => {
 });
 
 // Admin stats endpoint with comprehensive monitoring
-app.get('/admin/stats', (req, res) => {
+app.get('/admin/stats', async (req, res) => {
   const stats = {
     credits: creditManager.getStats(),
     abuse: abuseProtection.getStats(),
     blacklist: blacklistManager.getStats(),
+    jobs: jobManager.getStats(),
+    crawls: crawlManager.getStats(),
+    monitors: monitorManager.getStats(),
+    schedules: scheduleManager.getStats(),
+    browserPool: browserPool.getStats(),
+    proxies: proxyPool.enabled ? proxyPool.getStats() : null,
+    cache: responseCache ? await responseCache.getStats() : null,
     system: {
       uptime: process.uptime(),
       memoryUsage: process.memoryUsage(),
@@ -599,7 +1226,7 @@ app.get('/health', (req, res) => {
     status: 'OK', 
     timestamp: new Date().toISOString(),
     version: '2.0.0',
-    features: ['enhanced-scraping', 'credit-system', 'robots-txt-compliance']
+    features: ['enhanced-scraping', 'credit-system', 'robots-txt-compliance', 'batch-jobs', 'crawler', 'static-engine', 'response-cache', 'monitors', 'schedules']
   });
 });
 
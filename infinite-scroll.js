@@ -0,0 +1,96 @@
+// Infinite-scroll auto loading with stop conditions
+
+const SCROLL_LIMITS = {
+    maxScrolls: 50,
+    maxTimeBudgetMs: 30000,
+    minDelayMs: 250,
+    maxDelayMs: 5000
+};
+
+// Validate options.scroll (true for defaults, or an object) and fill in defaults
+function validateScrollOptions(scroll) {
+    const settings = scroll === true ? {} : scroll;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { valid: false, reason: 'scroll must be true or an object' };
+    }
+
+    const maxScrolls = parseInt(settings.maxScrolls) || 10;
+    if (maxScrolls < 1 || maxScrolls > SCROLL_LIMITS.maxScrolls) {
+        return { valid: false, reason: `scroll.maxScrolls must be between 1 and ${SCROLL_LIMITS.maxScrolls}` };
+    }
+    if (settings.itemSelector !== undefined && typeof settings.itemSelector !== 'string') {
+        return { valid: false, reason: 'scroll.itemSelector must be a CSS selector string' };
+    }
+    if (settings.targetCount !== undefined && !settings.itemSelector) {
+        return { valid: false, reason: 'scroll.targetCount needs an itemSelector to count' };
+    }
+
+    return {
+        valid: true,
+        scroll: {
+            maxScrolls,
+            itemSelector: settings.itemSelector || null,
+            targetCount: parseInt(settings.targetCount) || null,
+            timeBudgetMs: Math.min(parseInt(settings.timeBudgetMs) || 15000, SCROLL_LIMITS.maxTimeBudgetMs),
+            delayMs: Math.min(Math.max(parseInt(settings.delayMs) || 750, SCROLL_LIMITS.minDelayMs), SCROLL_LIMITS.maxDelayMs),
+            // Rounds without growth before the page counts as fully loaded
+            stableRounds: Math.max(parseInt(settings.stableRounds) || 2, 1)
+        }
+    };
+}
+
+// Scroll to the bottom until the page stops growing, the item target is reached,
+// maxScrolls is hit or the time budget runs out
+async function autoScroll(page, settings) {
+    const startTime = Date.now();
+    const measure = () => page.evaluate(itemSelector => ({
+        height: document.documentElement.scrollHeight,
+        items: itemSelector ? document.querySelectorAll(itemSelector).length : null
+    }), settings.itemSelector);
+
+    let state = await measure();
+    const initial = state;
+    let rounds = 0;
+    let unchangedRounds = 0;
+    let stopReason = 'maxScrolls';
+
+    while (rounds < settings.maxScrolls) {
+        if (settings.targetCount && state.items >= settings.targetCount) {
+            stopReason = 'targetReached';
+            break;
+        }
+        if (Date.now() - startTime + settings.delayMs > settings.timeBudgetMs) {
+            stopReason = 'timeBudget';
+            break;
+        }
+
+        await page.evaluate(() => window.scrollTo(0, document.documentElement.scrollHeight));
+        await new Promise(resolve => setTimeout(resolve, settings.delayMs));
+        rounds++;
+
+        const next = await measure();
+        const grew = next.height > state.height || (next.items !== null && next.items > state.items);
+        state = next;
+
+        unchangedRounds = grew ? 0 : unchangedRounds + 1;
+        if (unchangedRounds >= settings.stableRounds) {
+            stopReason = 'heightStable';
+            break;
+        }
+    }
+
+    if (stopReason === 'maxScrolls' && settings.targetCount && state.items >= settings.targetCount) {
+        stopReason = 'targetReached';
+    }
+
+    return {
+        rounds,
+        stopReason,
+        duration: Date.now() - startTime,
+        initialHeight: initial.height,
+        finalHeight: state.height,
+        itemCount: state.items
+    };
+}
+
+module.exports = { validateScrollOptions, autoScroll, SCROLL_LIMITS };
@@ -0,0 +1,199 @@
+// Asynchronous batch scraping jobs
+const crypto = require('crypto');
+
+class JobManager {
+    constructor(scraper, creditManager) {
+        this.scraper = scraper;
+        this.creditManager = creditManager;
+
+        // In-memory storage (for production, use Redis/database)
+        this.jobs = new Map();
+
+        this.limits = {
+            maxUrlsPerJob: 100,
+            jobTtlMs: 24 * 60 * 60 * 1000   // keep finished jobs for 24 hours
+        };
+
+        // Drop finished jobs every 10 minutes
+        setInterval(() => this.cleanFinishedJobs(), 10 * 60 * 1000).unref();
+    }
+
+    // Create a job and start it in the background
+    createJob({ urls, options = {}, accessToken, tier }) {
+        const job = {
+            id: crypto.randomBytes(16).toString('hex'),
+            status: 'queued',
+            accessToken,
+            tier,
+            options,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            cancelRequested: false,
+            creditsRefunded: 0,
+            items: urls.map(url => ({
+                url,
+                status: 'pending',
+                data: null,
+                metadata: null,
+                error: null,
+                errorCode: null,
+                finishedAt: null
+            }))
+        };
+
+        this.jobs.set(job.id, job);
+
+        this.runJob(job).catch(error => {
+            console.error(`❌ Job ${job.id} crashed:`, error.message);
+            this.finishJob(job, 'failed');
+        });
+
+        return job;
+    }
+
+    async runJob(job) {
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+
+        await this.scraper.scrapeBatch(job.items.map(item => item.url), job.options, {
+            isCancelled: () => job.cancelRequested,
+            onStart: (url, index) => {
+                job.items[index].status = 'running';
+            },
+            onResult: (url, result, index) => {
+                const item = job.items[index];
+                if (item.finishedAt) {
+                    // Already settled by finishJob
+                    return;
+                }
+                item.finishedAt = new Date().toISOString();
+
+                if (result.success) {
+                    item.status = 'success';
+                    item.data = result.data;
+                    item.metadata = result.metadata;
+                    if (result.network) {
+                        item.network = result.network;
+                    }
+                    job.creditsRefunded += this.creditManager.refundEngineDiscount(
+                        job.accessToken, job.tier, result.metadata.engine
+                    );
+                } else {
+                    item.status = 'failed';
+                    item.error = result.error;
+                    item.errorCode = result.errorCode;
+                    this.refund(job, 1);
+                }
+            }
+        });
+
+        this.finishJob(job, job.cancelRequested ? 'cancelled' : 'completed');
+    }
+
+    finishJob(job, status) {
+        if (job.finishedAt) {
+            return;
+        }
+
+        // Anything without a result is refunded: items that never started, and items still running
+        // when the job crashed (failed items were refunded as their result came in)
+        const unscraped = job.items.filter(item => item.status === 'pending' || item.status === 'running');
+        const finishedAt = new Date().toISOString();
+        unscraped.forEach(item => {
+            if (item.status === 'running') {
+                item.status = 'failed';
+                item.error = 'Scraping failed';
+                item.errorCode = 'SCRAPE_FAILED';
+            } else {
+                item.status = 'cancelled';
+            }
+            item.finishedAt = finishedAt;
+        });
+        this.refund(job, unscraped.length);
+
+        job.status = status;
+        job.finishedAt = finishedAt;
+    }
+
+    refund(job, count) {
+        if (count > 0) {
+            job.creditsRefunded += this.creditManager.refundCredits(job.accessToken, job.tier, count);
+        }
+    }
+
+    // Request cancellation; URLs already being scraped are allowed to finish
+    cancelJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return null;
+        }
+
+        if (!job.finishedAt) {
+            job.cancelRequested = true;
+        }
+
+        return this.getJob(jobId);
+    }
+
+    // Public view of a job (never exposes the access token)
+    getJob(jobId) {
+        const job = this.jobs.get(jobId);
+        if (!job) {
+            return null;
+        }
+
+        const count = status => job.items.filter(item => item.status === status).length;
+
+        return {
+            jobId: job.id,
+            status: job.cancelRequested && !job.finishedAt ? 'cancelling' : job.status,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            progress: {
+                total: job.items.length,
+                pending: count('pending'),
+                running: count('running'),
+                succeeded: count('success'),
+                failed: count('failed'),
+                cancelled: count('cancelled')
+            },
+            creditsRefunded: job.creditsRefunded,
+            results: job.items.map(item => ({
+                url: item.url,
+                status: item.status,
+                data: item.data,
+                metadata: item.metadata,
+                ...(item.network && { network: item.network }),
+                error: item.error,
+                errorCode: item.errorCode,
+                finishedAt: item.finishedAt
+            }))
+        };
+    }
+
+    // Clean finished jobs (run periodically)
+    cleanFinishedJobs() {
+        const cutoff = Date.now() - this.limits.jobTtlMs;
+        for (const [jobId, job] of this.jobs) {
+            if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+                this.jobs.delete(jobId);
+            }
+        }
+    }
+
+    // Get stats
+    getStats() {
+        const jobs = Array.from(this.jobs.values());
+        return {
+            totalJobs: jobs.length,
+            running: jobs.filter(j => !j.finishedAt).length,
+            completed: jobs.filter(j => j.status === 'completed').length,
+            cancelled: jobs.filter(j => j.status === 'cancelled').length,
+            failed: jobs.filter(j => j.status === 'failed').length
+        };
+    }
+}
+
+module.exports = { JobManager };
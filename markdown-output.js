@@ -0,0 +1,242 @@
+// GitHub-flavored Markdown output
+
+const MARKDOWN_SCOPES = ['main', 'page'];
+
+// Validate options.markdown: { scope: "main" | "page", tables } (only used with type "markdown")
+function validateMarkdownOptions(options) {
+    if (options.type !== 'markdown') {
+        return { valid: true, markdown: null };
+    }
+
+    const settings = options.markdown === undefined ? {} : options.markdown;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { valid: false, reason: 'markdown must be an object' };
+    }
+    const scope = settings.scope || 'main';
+    if (!MARKDOWN_SCOPES.includes(scope)) {
+        return { valid: false, reason: `markdown.scope must be one of ${MARKDOWN_SCOPES.join(', ')}` };
+    }
+
+    return {
+        valid: true,
+        markdown: {
+            scope,
+            tables: settings.tables !== false
+        }
+    };
+}
+
+// Convert the main content (marked by markMainContent) or the whole body to Markdown.
+// Runs inside the page (page.evaluate / evaluateInDom), so it must be self-contained.
+function convertToMarkdown(settings) {
+    const SKIP = 'script, style, noscript, template, svg, iframe, canvas, button, input:not([type="checkbox"]), select, textarea, [hidden], [aria-hidden="true"]';
+    const BLOCK = /^(ADDRESS|ARTICLE|ASIDE|BLOCKQUOTE|DD|DETAILS|DIV|DL|DT|FIELDSET|FIGCAPTION|FIGURE|FOOTER|FORM|H[1-6]|HEADER|HR|LI|MAIN|NAV|OL|P|PRE|SECTION|SUMMARY|TABLE|UL)$/;
+
+    const main = settings.scope === 'main' && document.querySelector('[data-instascrape-main]');
+    const root = (main || document.body).cloneNode(true);
+    root.querySelectorAll(SKIP).forEach(el => el.remove());
+    if (main) {
+        root.querySelectorAll('[data-instascrape-junk]').forEach(el => el.remove());
+    }
+
+    const absolute = url => {
+        try {
+            return new URL(url, document.baseURI).href;
+        } catch {
+            return url;
+        }
+    };
+    // Percent-encode what would end a link target (encodeURIComponent leaves parentheses alone)
+    const linkTarget = url => absolute(url).replace(/[()\s]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+    const escapeText = text => text.replace(/([\\`*_[\]])/g, '\\$1');
+    const collapse = text => text.replace(/\s+/g, ' ');
+
+    // Inline content of an element as a single Markdown string
+    function inline(node) {
+        let out = '';
+        node.childNodes.forEach(child => {
+            if (child.nodeType === 3) {
+                out += escapeText(collapse(child.nodeValue));
+                return;
+            }
+            if (child.nodeType !== 1) {
+                return;
+            }
+
+            const content = () => inline(child).trim();
+            switch (child.tagName) {
+                case 'BR':
+                    out += '  \n';
+                    break;
+                case 'STRONG':
+                case 'B': {
+                    const text = content();
+                    out += text ? `**${text}**` : '';
+                    break;
+                }
+                case 'EM':
+                case 'I': {
+                    const text = content();
+                    out += text ? `_${text}_` : '';
+                    break;
+                }
+                case 'DEL':
+                case 'S':
+                case 'STRIKE': {
+                    const text = content();
+                    out += text ? `~~${text}~~` : '';
+                    break;
+                }
+                case 'CODE': {
+                    const code = child.textContent;
+                    const fence = code.includes('`') ? '``' : '`';
+                    out += code ? `${fence}${code.includes('`') ? ` ${code} ` : code}${fence}` : '';
+                    break;
+                }
+                case 'A': {
+                    const text = content();
+                    const href = child.getAttribute('href');
+                    if (!href || /^(javascript:|#)/i.test(href) || !text) {
+                        out += text;
+                    } else {
+                        const title = child.getAttribute('title');
+                        out += `[${text}](${linkTarget(href)}${title ? ` "${title.replace(/"/g, '\\"')}"` : ''})`;
+                    }
+                    break;
+                }
+                case 'IMG': {
+                    const src = child.getAttribute('src');
+                    if (src) {
+                        out += `![${escapeText(collapse(child.getAttribute('alt') || '')).trim()}](${linkTarget(src)})`;
+                    }
+                    break;
+                }
+                case 'INPUT':
+                    break;
+                default:
+                    out += BLOCK.test(child.tagName) ? ` ${content()} ` : inline(child);
+            }
+        });
+        return out;
+    }
+
+    function table(el) {
+        const rows = Array.from(el.rows || []).filter(row => row.closest('table') === el);
+        if (rows.length === 0) {
+            return [];
+        }
+        const cells = row => Array.from(row.cells).map(cell => inline(cell).trim().replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' '));
+
+        if (!settings.tables) {
+            return [rows.map(row => cells(row).filter(Boolean).join(' · ')).filter(Boolean).join('  \n')];
+        }
+
+        const headerRow = el.tHead && el.tHead.rows[0] ? el.tHead.rows[0] : rows[0];
+        const header = cells(headerRow);
+        const body = rows.filter(row => row !== headerRow).map(cells);
+        const width = Math.max(header.length, ...body.map(row => row.length));
+        const pad = row => Array.from({ length: width }, (_, i) => row[i] || '');
+        const line = row => `| ${pad(row).join(' | ')} |`;
+
+        return [[line(header), `| ${Array(width).fill('---').join(' | ')} |`, ...body.map(line)].join('\n')];
+    }
+
+    function list(el) {
+        const ordered = el.tagName === 'OL';
+        let number = parseInt(el.getAttribute('start')) || 1;
+        const items = [];
+
+        Array.from(el.children).filter(child => child.tagName === 'LI').forEach(li => {
+            const marker = ordered ? `${number++}.` : '-';
+            const checkbox = li.querySelector(':scope > input[type="checkbox"]');
+            const task = checkbox ? (checkbox.checked || checkbox.hasAttribute('checked') ? '[x] ' : '[ ] ') : '';
+            const indent = ' '.repeat(marker.length + 1);
+
+            const content = blocks(li);
+            const [first = '', ...rest] = content;
+            let item = `${marker} ${task}${first.replace(/\n/g, `\n${indent}`)}`;
+            rest.forEach(block => {
+                // Nested lists stay tight; further paragraphs make the item loose
+                const separator = /^(-|\d+\.) /.test(block) ? '\n' : '\n\n';
+                item += separator + block.split('\n').map(line => (line ? indent + line : line)).join('\n');
+            });
+            items.push(item);
+        });
+
+        return items.length ? [items.join('\n')] : [];
+    }
+
+    // Block-level Markdown for an element's children; inline runs become paragraphs
+    function blocks(node) {
+        const out = [];
+        let run = document.createElement('span');
+
+        const flush = () => {
+            const text = inline(run).replace(/[ \t]+\n/g, '  \n').replace(/ {2,}(?!\n)/g, ' ').trim();
+            if (text) {
+                // Keep paragraph text from being read as a heading, quote or list
+                out.push(text.replace(/^([#>+-])(?=\s)/, '\\$1').replace(/^(\d+)\.(?=\s)/, '$1\\.'));
+            }
+            run = document.createElement('span');
+        };
+
+        node.childNodes.forEach(child => {
+            if (child.nodeType !== 1 || !BLOCK.test(child.tagName)) {
+                run.appendChild(child.cloneNode(true));
+                return;
+            }
+            flush();
+
+            const tag = child.tagName;
+            if (/^H[1-6]$/.test(tag)) {
+                const text = inline(child).trim();
+                if (text) {
+                    out.push(`${'#'.repeat(parseInt(tag[1]))} ${text.replace(/\s*\n\s*/g, ' ')}`);
+                }
+            } else if (tag === 'PRE') {
+                const code = child.textContent.replace(/\n$/, '');
+                const language = ((child.querySelector('code') || child).className.match(/(?:language|lang)-([\w+#-]+)/) || [])[1] || '';
+                const fence = code.includes('```') ? '~~~~' : '```';
+                out.push(`${fence}${language}\n${code}\n${fence}`);
+            } else if (tag === 'UL' || tag === 'OL') {
+                out.push(...list(child));
+            } else if (tag === 'TABLE') {
+                out.push(...table(child));
+            } else if (tag === 'BLOCKQUOTE') {
+                const quoted = blocks(child).join('\n\n');
+                if (quoted) {
+                    out.push(quoted.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n'));
+                }
+            } else if (tag === 'HR') {
+                out.push('---');
+            } else if (tag === 'DT') {
+                const text = inline(child).trim();
+                if (text) {
+                    out.push(`**${text}**`);
+                }
+            } else if (tag === 'FIGCAPTION') {
+                const text = inline(child).trim();
+                if (text) {
+                    out.push(`_${text}_`);
+                }
+            } else {
+                out.push(...blocks(child));
+            }
+        });
+        flush();
+
+        return out;
+    }
+
+    const markdown = blocks(root).join('\n\n').replace(/\n{3,}/g, '\n\n').trim();
+
+    return {
+        url: window.location.href,
+        title: document.title,
+        scope: main ? 'main' : 'page',
+        markdown,
+        length: markdown.length
+    };
+}
+
+module.exports = { validateMarkdownOptions, convertToMarkdown, MARKDOWN_SCOPES };
@@ -0,0 +1,508 @@
+// Page change monitors: re-scrape on an interval and diff against the last snapshot
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+
+const MONITOR_LIMITS = {
+    minIntervalMinutes: 5,
+    maxIntervalMinutes: 7 * 24 * 60,
+    maxChanges: 100,          // change events kept per monitor
+    maxDiffLines: 200,        // added/removed lines kept per change event
+    maxLcsCells: 4000000,     // above this the line diff falls back to set comparison
+    webhookTimeoutMs: 10000
+};
+
+// Addresses a webhook must never reach: loopback, private networks, link-local (cloud metadata
+// at 169.254.169.254), carrier-grade NAT, unspecified, multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+    const family = net.isIP(address);
+    return family !== 0 && PRIVATE_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// dns.lookup that refuses private addresses. Webhooks connect through it, so a host that
+// passed checkWebhookUrl and was re-pointed since (DNS rebinding) still cannot reach them.
+function publicLookup(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        if (addresses.some(isPrivateAddress)) {
+            return callback(new Error(`${hostname} resolves to a private address`));
+        }
+        callback(null, address, family);
+    });
+}
+
+const webhookAgents = {
+    httpAgent: new http.Agent({ lookup: publicLookup }),
+    httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+// Resolve the webhook host and reject internal targets (SSRF); validateMonitorSettings checks the format
+async function checkWebhookUrl(webhookUrl) {
+    const hostname = new URL(webhookUrl).hostname.replace(/^\[|\]$/g, '');
+    let addresses;
+    try {
+        addresses = net.isIP(hostname) ? [hostname] : (await dns.promises.lookup(hostname, { all: true })).map(entry => entry.address);
+    } catch {
+        return { valid: false, reason: `webhookUrl host ${hostname} could not be resolved` };
+    }
+    if (addresses.some(isPrivateAddress)) {
+        return { valid: false, reason: 'webhookUrl must not point to a loopback, private or link-local address' };
+    }
+    return { valid: true };
+}
+
+// Validate monitor settings and fill in defaults
+function validateMonitorSettings(settings, options = {}) {
+    const intervalMinutes = settings.intervalMinutes !== undefined ? Number(settings.intervalMinutes) : 60;
+    if (!Number.isFinite(intervalMinutes) ||
+        intervalMinutes < MONITOR_LIMITS.minIntervalMinutes ||
+        intervalMinutes > MONITOR_LIMITS.maxIntervalMinutes) {
+        return {
+            valid: false,
+            reason: `intervalMinutes must be between ${MONITOR_LIMITS.minIntervalMinutes} and ${MONITOR_LIMITS.maxIntervalMinutes}`
+        };
+    }
+
+    if (settings.selector !== undefined && (typeof settings.selector !== 'string' || !settings.selector.trim())) {
+        return { valid: false, reason: 'selector must be a CSS selector string' };
+    }
+    if (settings.selector && options.schema) {
+        return { valid: false, reason: 'use either selector or options.schema, not both' };
+    }
+    if (settings.selector && snapshotMode(options) !== 'text') {
+        return { valid: false, reason: `selector picks page text; type "${options.type}" is watched as a whole` };
+    }
+
+    if (settings.webhookUrl !== undefined) {
+        let webhook;
+        try {
+            webhook = new URL(settings.webhookUrl);
+        } catch {
+            return { valid: false, reason: 'webhookUrl must be a valid URL' };
+        }
+        if (!['http:', 'https:'].includes(webhook.protocol)) {
+            return { valid: false, reason: 'webhookUrl must be an http(s) URL' };
+        }
+    }
+
+    return {
+        valid: true,
+        settings: {
+            intervalMinutes,
+            selector: settings.selector || null,
+            webhookUrl: settings.webhookUrl || null
+        }
+    };
+}
+
+// What a monitor compares: the text of the selected elements (default and "text" / "html" types),
+// the page's Markdown, or the fields of a schema's or another type's output (article, feed...)
+function snapshotMode(options) {
+    if (options.schema) {
+        return 'fields';
+    }
+    if (!options.type || ['text', 'html'].includes(options.type)) {
+        return 'text';
+    }
+    return options.type === 'markdown' ? 'markdown' : 'fields';
+}
+
+// Collapse whitespace and drop empty lines so layout-only changes do not count
+function normalizeLines(text) {
+    return String(text || '')
+        .split('\n')
+        .map(line => line.replace(/\s+/g, ' ').trim())
+        .filter(Boolean);
+}
+
+// Flatten structured data into { "path.to[0].field": value } leaves
+function flattenData(value, prefix = '', out = {}) {
+    if (Array.isArray(value)) {
+        value.forEach((item, index) => flattenData(item, `${prefix}[${index}]`, out));
+        if (value.length === 0) {
+            out[prefix] = [];
+        }
+    } else if (value && typeof value === 'object') {
+        Object.keys(value).forEach(key => flattenData(value[key], prefix ? `${prefix}.${key}` : key, out));
+    } else {
+        out[prefix] = value === undefined ? null : value;
+    }
+    return out;
+}
+
+// Lines only in before (removed) or only in after (added), in document order.
+// Uses an LCS over the differing middle part, or multiset comparison when that would be too large.
+function diffLines(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) {
+        start++;
+    }
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+
+    if (a.length * b.length > MONITOR_LIMITS.maxLcsCells) {
+        const count = lines => lines.reduce((map, line) => map.set(line, (map.get(line) || 0) + 1), new Map());
+        const remaining = (lines, other) => {
+            const left = count(other);
+            return lines.filter(line => {
+                const n = left.get(line) || 0;
+                left.set(line, n - 1);
+                return n <= 0;
+            });
+        };
+        return { added: remaining(b, a), removed: remaining(a, b) };
+    }
+
+    // lcs[i][j] = LCS length of a[i..] and b[j..]
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const added = [];
+    const removed = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            removed.push(a[i++]);
+        } else {
+            added.push(b[j++]);
+        }
+    }
+    removed.push(...a.slice(i));
+    added.push(...b.slice(j));
+
+    return { added, removed };
+}
+
+// Field-level diff of two flattened snapshots
+function diffStructure(before, after) {
+    const added = [];
+    const removed = [];
+    const changed = [];
+
+    Object.keys(after).forEach(path => {
+        if (!(path in before)) {
+            added.push({ path, value: after[path] });
+        } else if (JSON.stringify(before[path]) !== JSON.stringify(after[path])) {
+            changed.push({ path, before: before[path], after: after[path] });
+        }
+    });
+    Object.keys(before).forEach(path => {
+        if (!(path in after)) {
+            removed.push({ path, value: before[path] });
+        }
+    });
+
+    return { added, removed, changed };
+}
+
+class MonitorManager {
+    constructor(scraper, blacklistManager, creditManager) {
+        this.scraper = scraper;
+        this.blacklistManager = blacklistManager;
+        this.creditManager = creditManager;
+
+        // In-memory storage (for production, use Redis/database)
+        this.monitors = new Map();
+    }
+
+    // Register a monitor; the first check runs right away and records the baseline snapshot
+    createMonitor({ url, settings, options = {}, accessToken, tier }) {
+        const monitor = {
+            id: crypto.randomBytes(16).toString('hex'),
+            url,
+            settings,
+            options,
+            accessToken,
+            tier,
+            status: 'active',
+            pauseReason: null,
+            createdAt: new Date().toISOString(),
+            lastCheckedAt: null,
+            nextCheckAt: null,
+            checks: 0,
+            failedChecks: 0,
+            creditsUsed: 0,
+            lastError: null,
+            lastWebhook: null,
+            snapshot: null,
+            changes: [],
+            timer: null,
+            checking: false
+        };
+
+        this.monitors.set(monitor.id, monitor);
+        this.runCheck(monitor);
+
+        return monitor;
+    }
+
+    scheduleNext(monitor) {
+        if (monitor.status !== 'active') {
+            return;
+        }
+        const delay = monitor.settings.intervalMinutes * 60 * 1000;
+        monitor.nextCheckAt = new Date(Date.now() + delay).toISOString();
+        monitor.timer = setTimeout(() => this.runCheck(monitor), delay);
+    }
+
+    pause(monitor, reason) {
+        monitor.status = 'paused';
+        monitor.pauseReason = reason;
+        monitor.nextCheckAt = null;
+        console.warn(`⏸️ Monitor ${monitor.id} paused: ${reason}`);
+    }
+
+    async runCheck(monitor) {
+        if (monitor.status !== 'active' || monitor.checking) {
+            return;
+        }
+        monitor.checking = true;
+
+        try {
+            await this.check(monitor);
+        } catch (error) {
+            console.error(`❌ Monitor ${monitor.id} check crashed:`, error.message);
+            monitor.lastError = error.message;
+        } finally {
+            monitor.checking = false;
+            this.scheduleNext(monitor);
+        }
+    }
+
+    async check(monitor) {
+        // Every check is a billed scrape
+        const creditCheck = this.creditManager.validateAndConsumeCredit(monitor.accessToken, monitor.tier);
+        if (!creditCheck.valid) {
+            this.pause(monitor, creditCheck.error);
+            return;
+        }
+
+        const validation = await this.blacklistManager.validateUrl(monitor.url, { agents: this.scraper.proxyAgentsFor(monitor.options) });
+        if (!validation.valid) {
+            this.creditManager.refundCredits(monitor.accessToken, monitor.tier);
+            this.pause(monitor, validation.reason);
+            return;
+        }
+
+        const { selector } = monitor.settings;
+        const mode = snapshotMode(monitor.options);
+        const options = {
+            ...monitor.options,
+            // Revalidate instead of trusting the cache: an unchanged page answers 304 and costs less
+            maxAge: 0,
+            ...(mode === 'text' && {
+                schema: { text: { selector: selector || 'body', attribute: 'text', multiple: true } }
+            })
+        };
+
+        const result = await this.scraper.scrapeEnhanced(monitor.url, options);
+        monitor.checks++;
+        monitor.lastCheckedAt = new Date().toISOString();
+
+        if (!result.success) {
+            monitor.failedChecks++;
+            monitor.lastError = result.error;
+            this.creditManager.refundCredits(monitor.accessToken, monitor.tier);
+            return;
+        }
+
+        const refunded = this.creditManager.refundEngineDiscount(monitor.accessToken, monitor.tier, result.metadata.engine);
+        monitor.creditsUsed += creditCheck.creditsUsed - refunded;
+        monitor.lastError = null;
+
+        const snapshot = this.createSnapshot(result.data, mode);
+        const previous = monitor.snapshot;
+        monitor.snapshot = snapshot;
+
+        if (!previous || previous.hash === snapshot.hash) {
+            return;
+        }
+
+        const change = this.createChange(previous, snapshot);
+        monitor.changes.unshift(change);
+        monitor.changes.length = Math.min(monitor.changes.length, MONITOR_LIMITS.maxChanges);
+
+        if (monitor.settings.webhookUrl) {
+            await this.sendWebhook(monitor, change);
+        }
+    }
+
+    // Normalized lines plus flattened fields; text and markdown monitors diff lines, the others both
+    createSnapshot(data, mode) {
+        const fields = mode === 'fields' ? flattenData(data) : null;
+        let lines;
+        if (mode === 'text') {
+            lines = normalizeLines((data.text || []).join('\n'));
+        } else if (mode === 'markdown') {
+            lines = normalizeLines(data.markdown);
+        } else {
+            lines = Object.entries(fields).map(([path, value]) => `${path}: ${JSON.stringify(value)}`);
+        }
+
+        return {
+            takenAt: new Date().toISOString(),
+            hash: crypto.createHash('sha256').update(lines.join('\n')).digest('hex'),
+            lines,
+            fields
+        };
+    }
+
+    createChange(previous, snapshot) {
+        const lines = diffLines(previous.lines, snapshot.lines);
+        const structure = previous.fields && snapshot.fields ? diffStructure(previous.fields, snapshot.fields) : null;
+
+        return {
+            id: crypto.randomBytes(8).toString('hex'),
+            detectedAt: snapshot.takenAt,
+            previousSnapshotAt: previous.takenAt,
+            summary: {
+                linesAdded: lines.added.length,
+                linesRemoved: lines.removed.length,
+                ...(structure && {
+                    fieldsAdded: structure.added.length,
+                    fieldsRemoved: structure.removed.length,
+                    fieldsChanged: structure.changed.length
+                })
+            },
+            added: lines.added.slice(0, MONITOR_LIMITS.maxDiffLines),
+            removed: lines.removed.slice(0, MONITOR_LIMITS.maxDiffLines),
+            ...(structure && { structure })
+        };
+    }
+
+    async sendWebhook(monitor, change) {
+        const sentAt = new Date().toISOString();
+        try {
+            const response = await axios.post(monitor.settings.webhookUrl, {
+                event: 'monitor.change',
+                monitorId: monitor.id,
+                url: monitor.url,
+                change
+            }, {
+                ...webhookAgents,
+                proxy: false,
+                // A redirect could point anywhere, including the internal network
+                maxRedirects: 0,
+                timeout: MONITOR_LIMITS.webhookTimeoutMs,
+                validateStatus: () => true
+            });
+            monitor.lastWebhook = { sentAt, status: response.status, ok: response.status >= 200 && response.status < 300 };
+        } catch (error) {
+            monitor.lastWebhook = { sentAt, status: null, ok: false, error: error.message };
+        }
+    }
+
+    // Stop a monitor and forget it
+    deleteMonitor(monitorId) {
+        const monitor = this.monitors.get(monitorId);
+        if (!monitor) {
+            return false;
+        }
+        monitor.status = 'deleted';
+        clearTimeout(monitor.timer);
+        this.monitors.delete(monitorId);
+        return true;
+    }
+
+    // Public view of a monitor (never exposes the access token)
+    getMonitor(monitorId) {
+        const monitor = this.monitors.get(monitorId);
+        if (!monitor) {
+            return null;
+        }
+
+        return {
+            monitorId: monitor.id,
+            url: monitor.url,
+            status: monitor.status,
+            pauseReason: monitor.pauseReason,
+            settings: monitor.settings,
+            createdAt: monitor.createdAt,
+            lastCheckedAt: monitor.lastCheckedAt,
+            nextCheckAt: monitor.nextCheckAt,
+            checks: monitor.checks,
+            failedChecks: monitor.failedChecks,
+            changesDetected: monitor.changes.length,
+            creditsUsed: monitor.creditsUsed,
+            lastError: monitor.lastError,
+            lastWebhook: monitor.lastWebhook,
+            snapshot: monitor.snapshot && {
+                takenAt: monitor.snapshot.takenAt,
+                hash: monitor.snapshot.hash,
+                lines: monitor.snapshot.lines.length
+            }
+        };
+    }
+
+    // Change events, newest first
+    getChanges(monitorId, { since, limit = 20 } = {}) {
+        const monitor = this.monitors.get(monitorId);
+        if (!monitor) {
+            return null;
+        }
+
+        const changes = since
+            ? monitor.changes.filter(change => change.detectedAt > since)
+            : monitor.changes;
+
+        return {
+            monitorId: monitor.id,
+            url: monitor.url,
+            total: changes.length,
+            changes: changes.slice(0, limit)
+        };
+    }
+
+    // Get stats
+    getStats() {
+        const monitors = Array.from(this.monitors.values());
+        return {
+            totalMonitors: monitors.length,
+            active: monitors.filter(m => m.status === 'active').length,
+            paused: monitors.filter(m => m.status === 'paused').length,
+            checks: monitors.reduce((sum, m) => sum + m.checks, 0),
+            changesDetected: monitors.reduce((sum, m) => sum + m.changes.length, 0)
+        };
+    }
+}
+
+module.exports = {
+    MonitorManager,
+    MONITOR_LIMITS,
+    validateMonitorSettings,
+    checkWebhookUrl,
+    normalizeLines,
+    flattenData,
+    diffLines,
+    diffStructure
+};
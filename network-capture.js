@@ -0,0 +1,358 @@
+// Network capture: requests and responses of a browser page load, as entries or a HAR 1.2 log
+const { compileUrlPatterns } = require('./request-blocking');
+const { version } = require('./package.json');
+
+const NETWORK_FORMATS = ['entries', 'har'];
+
+const NETWORK_LIMITS = {
+    defaultMaxEntries: 300,
+    maxEntries: 2000,
+    defaultMaxBodySize: 256 * 1024,
+    maxBodySize: 2 * 1024 * 1024,
+    // All captured bodies together; they are held in memory until the scrape returns
+    defaultMaxTotalBodySize: 4 * 1024 * 1024,
+    maxTotalBodySize: 16 * 1024 * 1024,
+    maxPatterns: 50,
+    // How long to wait for a response body once the page is done
+    bodyTimeout: 5000
+};
+
+// application/json, text/json, application/ld+json, application/vnd.api+json...
+const JSON_TYPE = /[/+]json\b/i;
+
+// Validate options.captureNetwork: true, or { format, bodies, maxEntries, maxBodySize, maxTotalBodySize } where
+// bodies is true (every JSON response) or URL patterns as in blockResources.patterns
+function validateNetworkOptions(options) {
+    if (!options.captureNetwork) {
+        return { valid: true, network: null };
+    }
+    const settings = options.captureNetwork === true ? {} : options.captureNetwork;
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        return { valid: false, reason: 'captureNetwork must be true or an object' };
+    }
+    if (options.type === 'feed') {
+        return { valid: false, reason: 'captureNetwork needs a browser page load; feeds are read over HTTP' };
+    }
+
+    const format = settings.format || 'entries';
+    if (!NETWORK_FORMATS.includes(format)) {
+        return { valid: false, reason: `captureNetwork.format must be one of ${NETWORK_FORMATS.join(', ')}` };
+    }
+
+    const bodies = settings.bodies || false;
+    if (bodies !== true && bodies !== false) {
+        if (!Array.isArray(bodies) || bodies.some(pattern => typeof pattern !== 'string' || !pattern)) {
+            return { valid: false, reason: 'captureNetwork.bodies must be true or an array of URL patterns' };
+        }
+        if (bodies.length > NETWORK_LIMITS.maxPatterns) {
+            return { valid: false, reason: `captureNetwork.bodies: at most ${NETWORK_LIMITS.maxPatterns} patterns` };
+        }
+    }
+
+    const maxEntries = settings.maxEntries === undefined ? NETWORK_LIMITS.defaultMaxEntries : settings.maxEntries;
+    if (!Number.isInteger(maxEntries) || maxEntries < 1 || maxEntries > NETWORK_LIMITS.maxEntries) {
+        return { valid: false, reason: `captureNetwork.maxEntries must be an integer between 1 and ${NETWORK_LIMITS.maxEntries}` };
+    }
+    const maxBodySize = settings.maxBodySize === undefined ? NETWORK_LIMITS.defaultMaxBodySize : settings.maxBodySize;
+    if (!Number.isInteger(maxBodySize) || maxBodySize < 1 || maxBodySize > NETWORK_LIMITS.maxBodySize) {
+        return { valid: false, reason: `captureNetwork.maxBodySize must be an integer between 1 and ${NETWORK_LIMITS.maxBodySize} bytes` };
+    }
+    const maxTotalBodySize = settings.maxTotalBodySize === undefined ? NETWORK_LIMITS.defaultMaxTotalBodySize : settings.maxTotalBodySize;
+    if (!Number.isInteger(maxTotalBodySize) || maxTotalBodySize < 1 || maxTotalBodySize > NETWORK_LIMITS.maxTotalBodySize) {
+        return { valid: false, reason: `captureNetwork.maxTotalBodySize must be an integer between 1 and ${NETWORK_LIMITS.maxTotalBodySize} bytes` };
+    }
+
+    return {
+        valid: true,
+        network: {
+            format,
+            // null: no bodies, []: every JSON response, otherwise only URLs matching a pattern
+            bodies: bodies === false ? null : compileUrlPatterns(bodies === true ? [] : bodies),
+            maxEntries,
+            maxBodySize,
+            maxTotalBodySize
+        }
+    };
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// HAR-style phase durations in ms (-1 when a phase did not happen) from Chrome's resource timing
+function phaseTimings(timing, total) {
+    if (!timing) {
+        return { blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: round(total), receive: 0 };
+    }
+    const span = (start, end) => (start >= 0 && end >= start ? round(end - start) : -1);
+    const firstStart = [timing.dnsStart, timing.connectStart, timing.sendStart].find(value => value >= 0);
+    return {
+        blocked: firstStart > 0 ? round(firstStart) : -1,
+        dns: span(timing.dnsStart, timing.dnsEnd),
+        // Includes ssl, as in HAR
+        connect: span(timing.connectStart, timing.connectEnd),
+        ssl: span(timing.sslStart, timing.sslEnd),
+        send: Math.max(span(timing.sendStart, timing.sendEnd), 0),
+        wait: Math.max(span(timing.sendEnd, timing.receiveHeadersEnd), 0),
+        receive: round(Math.max(total - Math.max(timing.receiveHeadersEnd, 0), 0))
+    };
+}
+
+// Resolve with fallback if promise takes longer than ms
+function withTimeout(promise, ms, fallback) {
+    let timer;
+    return Promise.race([
+        promise.finally(() => clearTimeout(timer)),
+        new Promise(resolve => {
+            timer = setTimeout(() => resolve(fallback), ms);
+        })
+    ]);
+}
+
+// Start recording the page's traffic; call stop() once the page is done to get the entries
+function startNetworkCapture(page, network) {
+    const records = new Map();
+    const bodyReads = [];
+    let dropped = 0;
+    // Bytes of the bodies kept, plus room held for reads still in flight
+    let bodyBytes = 0;
+
+    const wantsBody = (url, mimeType) => network.bodies !== null
+        && JSON_TYPE.test(mimeType || '')
+        && (network.bodies.length === 0 || network.bodies.some(({ regex }) => regex.test(url)));
+
+    async function readBody(record, response) {
+        const length = parseInt(response.headers()['content-length']);
+        if (length > network.maxBodySize) {
+            record.bodySkipped = 'too large';
+            return;
+        }
+        // Hold room for the body before reading it, so parallel reads cannot overshoot the total
+        const held = length >= 0 ? length : network.maxBodySize;
+        if (bodyBytes + held > network.maxTotalBodySize) {
+            record.bodySkipped = 'total size limit';
+            return;
+        }
+        bodyBytes += held;
+
+        let text;
+        try {
+            text = await response.text();
+        } catch {
+            // Redirects, evicted buffers and pages closed mid-read have no body to give
+            bodyBytes -= held;
+            record.bodySkipped = 'unavailable';
+            return;
+        }
+        record.bodySize = Buffer.byteLength(text);
+        bodyBytes -= held;
+        if (record.bodySize > network.maxBodySize) {
+            record.bodySkipped = 'too large';
+            return;
+        }
+        if (bodyBytes + record.bodySize > network.maxTotalBodySize) {
+            record.bodySkipped = 'total size limit';
+            return;
+        }
+        bodyBytes += record.bodySize;
+        try {
+            record.body = JSON.parse(text);
+        } catch {
+            // Labelled JSON but not parseable: keep the text
+            record.body = text;
+        }
+    }
+
+    const onRequest = request => {
+        if (records.size >= network.maxEntries) {
+            dropped++;
+            return;
+        }
+        const postData = request.postData();
+        records.set(request, {
+            url: request.url(),
+            method: request.method(),
+            resourceType: request.resourceType(),
+            startedAt: new Date().toISOString(),
+            start: Date.now(),
+            requestHeaders: request.headers(),
+            ...(postData !== undefined && { postData }),
+            status: null,
+            statusText: null,
+            mimeType: null,
+            responseHeaders: null,
+            remoteAddress: null,
+            fromCache: false,
+            failure: null,
+            time: null
+        });
+    };
+
+    const onResponse = response => {
+        const record = records.get(response.request());
+        if (!record) {
+            return;
+        }
+        const headers = response.headers();
+        const remote = response.remoteAddress();
+        record.status = response.status();
+        record.statusText = response.statusText();
+        record.mimeType = (headers['content-type'] || '').split(';')[0].trim() || null;
+        record.responseHeaders = headers;
+        record.remoteAddress = remote && remote.ip ? `${remote.ip}:${remote.port}` : null;
+        record.fromCache = response.fromCache() || response.fromServiceWorker();
+        record.timing = response.timing();
+    };
+
+    const finish = (request, failure) => {
+        const record = records.get(request);
+        if (!record || record.time !== null) {
+            return;
+        }
+        record.time = Date.now() - record.start;
+        record.failure = failure;
+
+        const response = request.response();
+        if (!failure && response && !(record.status >= 300 && record.status < 400) && wantsBody(record.url, record.mimeType)) {
+            bodyReads.push(withTimeout(readBody(record, response), NETWORK_LIMITS.bodyTimeout, null).then(() => {
+                if (record.body === undefined && !record.bodySkipped) {
+                    record.bodySkipped = 'timeout';
+                }
+            }));
+        }
+    };
+    const onFinished = request => finish(request, null);
+    const onFailed = request => finish(request, (request.failure() && request.failure().errorText) || 'failed');
+
+    page.on('request', onRequest);
+    page.on('response', onResponse);
+    page.on('requestfinished', onFinished);
+    page.on('requestfailed', onFailed);
+
+    return {
+        async stop() {
+            page.off('request', onRequest);
+            page.off('response', onResponse);
+            page.off('requestfinished', onFinished);
+            page.off('requestfailed', onFailed);
+            await Promise.all(bodyReads);
+
+            const entries = Array.from(records.values()).map(({ start, timing, ...record }) => {
+                // Still open when the scrape finished (long polls, streams...)
+                const pending = record.time === null;
+                const time = pending ? Date.now() - start : record.time;
+                return { ...record, pending, time, timings: phaseTimings(timing, time) };
+            });
+            return { entries, dropped };
+        }
+    };
+}
+
+// Navigation timings for the HAR page record - runs inside the page
+function pageLoadTimings() {
+    const navigation = performance.getEntriesByType('navigation')[0];
+    const at = value => (navigation && value > 0 ? Math.round(value) : -1);
+    return {
+        onContentLoad: at(navigation && navigation.domContentLoadedEventEnd),
+        onLoad: at(navigation && navigation.loadEventEnd)
+    };
+}
+
+const harHeaders = headers => Object.entries(headers || {}).flatMap(([name, value]) =>
+    // Puppeteer joins repeated headers with newlines
+    String(value).split('\n').map(line => ({ name, value: line }))
+);
+
+function harEntry(entry) {
+    let queryString = [];
+    try {
+        queryString = Array.from(new URL(entry.url).searchParams, ([name, value]) => ({ name, value }));
+    } catch {
+        // Not a URL with a query (data:, blob:...)
+    }
+    const bodyText = entry.body === undefined ? undefined : (typeof entry.body === 'string' ? entry.body : JSON.stringify(entry.body));
+    const responseHeaders = entry.responseHeaders || {};
+    const { ssl, ...phases } = entry.timings;
+
+    return {
+        pageref: 'page_1',
+        startedDateTime: entry.startedAt,
+        // HAR time is the sum of the phases, ssl being part of connect
+        time: round(Object.values(phases).filter(value => value > 0).reduce((sum, value) => sum + value, 0)),
+        request: {
+            method: entry.method,
+            url: entry.url,
+            httpVersion: '',
+            cookies: [],
+            headers: harHeaders(entry.requestHeaders),
+            queryString,
+            ...(entry.postData !== undefined && {
+                postData: { mimeType: (entry.requestHeaders && entry.requestHeaders['content-type']) || '', text: entry.postData }
+            }),
+            headersSize: -1,
+            bodySize: entry.postData !== undefined ? Buffer.byteLength(entry.postData) : 0
+        },
+        response: {
+            status: entry.status || 0,
+            statusText: entry.statusText || '',
+            httpVersion: '',
+            cookies: [],
+            headers: harHeaders(entry.responseHeaders),
+            content: {
+                size: entry.bodySize || parseInt(responseHeaders['content-length']) || 0,
+                mimeType: responseHeaders['content-type'] || entry.mimeType || '',
+                ...(bodyText !== undefined && { text: bodyText }),
+                ...(entry.bodySkipped && { comment: `body not captured: ${entry.bodySkipped}` })
+            },
+            redirectURL: responseHeaders.location || '',
+            headersSize: -1,
+            bodySize: -1
+        },
+        cache: {},
+        timings: { ...phases, ssl },
+        ...(entry.remoteAddress && { serverIPAddress: entry.remoteAddress.replace(/:\d+$/, '').replace(/^\[|\]$/g, '') }),
+        _resourceType: entry.resourceType,
+        ...(entry.failure && { _error: entry.failure })
+    };
+}
+
+// The capture as the result's network field (an entry array or a HAR 1.2 log) plus a metadata summary
+function buildNetworkOutput(captured, network, pageInfo) {
+    const { entries, dropped } = captured;
+    const summary = {
+        format: network.format,
+        requests: entries.length,
+        failed: entries.filter(entry => entry.failure).length,
+        bodies: entries.filter(entry => entry.body !== undefined).length,
+        dropped
+    };
+
+    if (network.format === 'entries') {
+        return { network: entries, summary };
+    }
+
+    const firstStart = entries.length ? entries[0].startedAt : new Date().toISOString();
+    return {
+        network: {
+            log: {
+                version: '1.2',
+                creator: { name: 'InstaScrape API', version },
+                pages: [{
+                    startedDateTime: firstStart,
+                    id: 'page_1',
+                    title: pageInfo.title || pageInfo.url,
+                    pageTimings: pageInfo.timings || { onContentLoad: -1, onLoad: -1 }
+                }],
+                entries: entries.map(harEntry)
+            }
+        },
+        summary
+    };
+}
+
+module.exports = {
+    validateNetworkOptions,
+    startNetworkCapture,
+    pageLoadTimings,
+    buildNetworkOutput,
+    NETWORK_FORMATS,
+    NETWORK_LIMITS
+};
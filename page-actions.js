@@ -0,0 +1,249 @@
+// Scripted page interactions run before extraction
+
+const ACTION_TYPES = [
+    'click', 'hover', 'type', 'select', 'press', 'scroll',
+    'waitForSelector', 'waitForTimeout', 'waitForNavigation'
+];
+const ACTION_LIMITS = {
+    maxSteps: 50,
+    maxWaitMs: 10000,
+    maxTextLength: 1000,
+    maxTypeDelayMs: 200,
+    defaultTimeoutMs: 10000,
+    // All steps together, so a long script cannot hold a pooled page for minutes
+    maxTotalMs: 60000
+};
+const NEEDS_SELECTOR = ['click', 'hover', 'type', 'select', 'waitForSelector'];
+
+// Validate options.actions and fill in defaults
+function validateActions(actions) {
+    if (!Array.isArray(actions)) {
+        return { valid: false, reason: 'actions must be an array of steps' };
+    }
+    if (actions.length > ACTION_LIMITS.maxSteps) {
+        return { valid: false, reason: `actions: at most ${ACTION_LIMITS.maxSteps} steps` };
+    }
+
+    const steps = [];
+    for (let index = 0; index < actions.length; index++) {
+        const action = actions[index];
+        const label = `actions[${index}]`;
+
+        if (!action || typeof action !== 'object' || !ACTION_TYPES.includes(action.type)) {
+            return { valid: false, reason: `${label}.type must be one of ${ACTION_TYPES.join(', ')}` };
+        }
+        if (NEEDS_SELECTOR.includes(action.type) && typeof action.selector !== 'string') {
+            return { valid: false, reason: `${label}: ${action.type} needs a selector` };
+        }
+        if (action.type === 'type' && (typeof action.text !== 'string' || action.text.length > ACTION_LIMITS.maxTextLength)) {
+            return { valid: false, reason: `${label}: type needs text of at most ${ACTION_LIMITS.maxTextLength} characters` };
+        }
+        if (action.type === 'type' && action.text.length * Math.min(parseInt(action.delay) || 0, ACTION_LIMITS.maxTypeDelayMs) > ACTION_LIMITS.maxWaitMs) {
+            return { valid: false, reason: `${label}: text length times delay must stay under ${ACTION_LIMITS.maxWaitMs}ms` };
+        }
+        if (action.type === 'select' && action.value === undefined) {
+            return { valid: false, reason: `${label}: select needs a value (or an array of values)` };
+        }
+        if (action.type === 'press' && typeof action.key !== 'string') {
+            return { valid: false, reason: `${label}: press needs a key such as "Enter" or "Escape"` };
+        }
+
+        const timeout = Math.min(parseInt(action.timeout) || ACTION_LIMITS.defaultTimeoutMs, ACTION_LIMITS.maxWaitMs);
+        if (action.type === 'waitForTimeout') {
+            const ms = parseInt(action.ms);
+            if (Number.isNaN(ms) || ms < 0 || ms > ACTION_LIMITS.maxWaitMs) {
+                return { valid: false, reason: `${label}: waitForTimeout needs ms between 0 and ${ACTION_LIMITS.maxWaitMs}` };
+            }
+        }
+
+        steps.push({ ...action, timeout, optional: Boolean(action.optional) });
+    }
+
+    return { valid: true, actions: steps };
+}
+
+async function runStep(page, step) {
+    const { selector, timeout } = step;
+
+    switch (step.type) {
+        case 'click':
+            await page.waitForSelector(selector, { visible: true, timeout });
+            if (step.navigation) {
+                // Start listening before the click so a fast navigation is not missed
+                await Promise.all([
+                    page.waitForNavigation({ timeout, waitUntil: 'networkidle2' }),
+                    page.click(selector)
+                ]);
+            } else {
+                await page.click(selector);
+            }
+            break;
+        case 'hover':
+            await page.waitForSelector(selector, { visible: true, timeout });
+            await page.hover(selector);
+            break;
+        case 'type':
+            await page.waitForSelector(selector, { visible: true, timeout });
+            if (step.clear) {
+                await page.$eval(selector, el => { el.value = ''; });
+            }
+            await page.type(selector, step.text, { delay: Math.min(parseInt(step.delay) || 0, ACTION_LIMITS.maxTypeDelayMs) });
+            break;
+        case 'select': {
+            await page.waitForSelector(selector, { timeout });
+            const values = Array.isArray(step.value) ? step.value.map(String) : [String(step.value)];
+            const selected = await page.select(selector, ...values);
+            if (selected.length === 0) {
+                throw new Error(`No option matching ${values.join(', ')}`);
+            }
+            break;
+        }
+        case 'press':
+            if (selector) {
+                await page.waitForSelector(selector, { timeout });
+                await page.focus(selector);
+            }
+            await page.keyboard.press(step.key);
+            break;
+        case 'scroll':
+            if (selector) {
+                await page.waitForSelector(selector, { timeout });
+                await page.$eval(selector, el => el.scrollIntoView({ block: 'center' }));
+            } else if (step.to === 'bottom') {
+                await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+            } else {
+                await page.evaluate((x, y) => window.scrollBy(x, y), parseInt(step.x) || 0, parseInt(step.y) || 0);
+            }
+            break;
+        case 'waitForSelector':
+            await page.waitForSelector(selector, { visible: Boolean(step.visible), timeout });
+            break;
+        case 'waitForTimeout':
+            await new Promise(resolve => setTimeout(resolve, Math.min(parseInt(step.ms), timeout)));
+            break;
+        case 'waitForNavigation':
+            await page.waitForNavigation({ timeout, waitUntil: 'networkidle2' });
+            break;
+    }
+}
+
+const originOf = url => {
+    try {
+        return new URL(url).origin;
+    } catch {
+        return null;
+    }
+};
+
+// Abort top-level navigations that would leave allowedOrigins before they are sent, so a click
+// cannot take the request, with its cookies and headers, to another site. Turns on request
+// interception; once disarmed the handler only lets requests through.
+async function guardNavigations(page, allowedOrigins) {
+    const guard = { armed: true, blockedUrl: null };
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) {
+            return;
+        }
+        const topLevel = request.isNavigationRequest() && request.frame() && !request.frame().parentFrame();
+        if (guard.armed && topLevel && !allowedOrigins.includes(originOf(request.url()))) {
+            guard.blockedUrl = request.url();
+            // Cooperative interception (priority 0), like the resource blocking handler
+            request.abort('blockedbyclient', 0);
+        } else {
+            request.continue(request.continueRequestOverrides(), 0);
+        }
+    });
+    return guard;
+}
+
+// Reject once ms have passed, for steps that would otherwise run past the actions' deadline
+function withDeadline(promise, ms) {
+    let timer;
+    return Promise.race([
+        promise.finally(() => clearTimeout(timer)),
+        new Promise((resolve, reject) => {
+            const error = new Error(`actions exceeded their ${ACTION_LIMITS.maxTotalMs}ms total time limit`);
+            error.code = 'ACTIONS_TIMEOUT';
+            timer = setTimeout(() => reject(error), ms);
+        })
+    ]);
+}
+
+// Error code (see scrape-errors.js) for a failed step. Set here, where the step is known, so a
+// failed wait is not mistaken for a slow page and retried.
+function stepErrorCode(error) {
+    const message = String(error.message || '');
+    if (error.code === 'ACTIONS_TIMEOUT') {
+        return 'ACTIONS_TIMEOUT';
+    }
+    if (/is not a valid selector|Invalid selector|Unknown selector|query handler|Unknown key/i.test(message)) {
+        return 'INVALID_OPTIONS';
+    }
+    if (/Waiting for selector|No element found|failed to find element|No node found/i.test(message)) {
+        return 'SELECTOR_NOT_FOUND';
+    }
+    return error.name === 'TimeoutError' ? 'ACTIONS_TIMEOUT' : 'ACTION_FAILED';
+}
+
+// Run the steps in order. Stops at the first failing non-optional step, when the steps run
+// out of time (maxTotalMs), or when one tries to leave allowedOrigins (the validated URL's
+// origin and where it landed after redirects). Failures carry an errorCode.
+async function runActions(page, actions, allowedOrigins) {
+    const outcomes = [];
+    const guard = await guardNavigations(page, allowedOrigins);
+    const deadline = Date.now() + ACTION_LIMITS.maxTotalMs;
+
+    try {
+        for (let index = 0; index < actions.length; index++) {
+            const step = actions[index];
+            const remaining = deadline - Date.now();
+            if (remaining <= 0) {
+                return {
+                    success: false,
+                    error: `Actions exceeded their ${ACTION_LIMITS.maxTotalMs}ms total time limit before action ${index} (${step.type})`,
+                    errorCode: 'ACTIONS_TIMEOUT',
+                    actions: outcomes
+                };
+            }
+
+            const startTime = Date.now();
+            const outcome = { index, type: step.type, selector: step.selector || null, success: true, error: null, errorCode: null };
+
+            try {
+                await withDeadline(runStep(page, { ...step, timeout: Math.min(step.timeout, remaining) }), remaining);
+            } catch (error) {
+                outcome.success = false;
+                outcome.error = error.message;
+                outcome.errorCode = stepErrorCode(error);
+            }
+            outcome.duration = Date.now() - startTime;
+            outcome.url = page.url();
+            outcomes.push(outcome);
+
+            if (guard.blockedUrl || !allowedOrigins.includes(originOf(page.url()))) {
+                return {
+                    success: false,
+                    error: `Action ${index} (${step.type}) tried to navigate off the validated origin to ${guard.blockedUrl || page.url()}`,
+                    errorCode: 'NAVIGATION_BLOCKED',
+                    actions: outcomes
+                };
+            }
+
+            if (!outcome.success && !step.optional) {
+                return {
+                    success: false,
+                    error: `Action ${index} (${step.type}) failed: ${outcome.error}`,
+                    errorCode: outcome.errorCode,
+                    actions: outcomes
+                };
+            }
+        }
+    } finally {
+        guard.armed = false;
+    }
+
+    return { success: true, actions: outcomes };
+}
+
+module.exports = { validateActions, runActions, stepErrorCode, ACTION_TYPES, ACTION_LIMITS };
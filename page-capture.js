@@ -0,0 +1,120 @@
+// Screenshot and PDF capture output types
+
+const SCREENSHOT_FORMATS = {
+    png: 'image/png',
+    jpeg: 'image/jpeg',
+    webp: 'image/webp'
+};
+const PDF_PAPER_FORMATS = ['letter', 'legal', 'tabloid', 'ledger', 'a0', 'a1', 'a2', 'a3', 'a4', 'a5', 'a6'];
+
+// Validate options.screenshot / options.pdf for type "screenshot" or "pdf" and fill in defaults
+function validateCaptureOptions(options) {
+    if (options.encoding && !['base64', 'binary'].includes(options.encoding)) {
+        return { valid: false, reason: 'encoding must be "base64" or "binary"' };
+    }
+
+    if (options.type === 'screenshot') {
+        const settings = options.screenshot || {};
+        const format = (settings.format || 'png').toLowerCase().replace('jpg', 'jpeg');
+        if (!SCREENSHOT_FORMATS[format]) {
+            return { valid: false, reason: `screenshot.format must be one of ${Object.keys(SCREENSHOT_FORMATS).join(', ')}` };
+        }
+
+        let quality = null;
+        if (settings.quality !== undefined) {
+            quality = parseInt(settings.quality);
+            if (format === 'png' || Number.isNaN(quality) || quality < 0 || quality > 100) {
+                return { valid: false, reason: 'screenshot.quality must be 0-100 and only applies to jpeg/webp' };
+            }
+        }
+        if (settings.selector !== undefined && typeof settings.selector !== 'string') {
+            return { valid: false, reason: 'screenshot.selector must be a CSS selector string' };
+        }
+
+        return {
+            valid: true,
+            capture: {
+                type: 'screenshot',
+                format,
+                contentType: SCREENSHOT_FORMATS[format],
+                quality,
+                fullPage: settings.fullPage !== false && !settings.selector,
+                selector: settings.selector || null
+            }
+        };
+    }
+
+    if (options.type === 'pdf') {
+        const settings = options.pdf || {};
+        const format = (settings.format || 'A4').toLowerCase();
+        if (!PDF_PAPER_FORMATS.includes(format)) {
+            return { valid: false, reason: `pdf.format must be one of ${PDF_PAPER_FORMATS.join(', ')}` };
+        }
+
+        const margin = {};
+        for (const side of ['top', 'right', 'bottom', 'left']) {
+            const value = settings.margin && settings.margin[side];
+            if (value !== undefined) {
+                if (!/^\d+(\.\d+)?(px|in|cm|mm)?$/.test(String(value))) {
+                    return { valid: false, reason: `pdf.margin.${side} must be a number or a length such as "1cm"` };
+                }
+                margin[side] = String(value);
+            }
+        }
+
+        return {
+            valid: true,
+            capture: {
+                type: 'pdf',
+                format,
+                contentType: 'application/pdf',
+                landscape: Boolean(settings.landscape),
+                printBackground: settings.printBackground !== false,
+                margin
+            }
+        };
+    }
+
+    return { valid: true, capture: null };
+}
+
+// Capture the page as seen by the scraper; the file comes back base64 encoded
+async function capturePage(page, capture) {
+    let buffer;
+
+    if (capture.type === 'screenshot') {
+        const screenshotOptions = { type: capture.format };
+        if (capture.quality !== null) {
+            screenshotOptions.quality = capture.quality;
+        }
+
+        if (capture.selector) {
+            const element = await page.$(capture.selector);
+            if (!element) {
+                throw new Error(`Screenshot selector "${capture.selector}" not found`);
+            }
+            buffer = await element.screenshot(screenshotOptions);
+        } else {
+            buffer = await page.screenshot({ ...screenshotOptions, fullPage: capture.fullPage });
+        }
+    } else {
+        buffer = await page.pdf({
+            format: capture.format,
+            landscape: capture.landscape,
+            printBackground: capture.printBackground,
+            margin: capture.margin
+        });
+    }
+
+    buffer = Buffer.from(buffer);
+    return {
+        type: capture.type,
+        format: capture.format,
+        contentType: capture.contentType,
+        byteLength: buffer.length,
+        encoding: 'base64',
+        content: buffer.toString('base64')
+    };
+}
+
+module.exports = { validateCaptureOptions, capturePage, SCREENSHOT_FORMATS, PDF_PAPER_FORMATS };
@@ -0,0 +1,269 @@
+// Per-request emulation: device presets, extra headers, cookies, locale and timezone
+const { isValidTimezone } = require('./cron-expression');
+
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+
+// Viewport, pixel ratio, touch and user agent change together, or sites serve a mixed layout
+const DEVICE_PRESETS = {
+    desktop: {
+        userAgent: DEFAULT_USER_AGENT,
+        viewport: { width: 1920, height: 1080, deviceScaleFactor: 1, isMobile: false, hasTouch: false }
+    },
+    iphone: {
+        userAgent: 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+        viewport: { width: 393, height: 852, deviceScaleFactor: 3, isMobile: true, hasTouch: true }
+    },
+    pixel: {
+        userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Mobile Safari/537.36',
+        viewport: { width: 412, height: 915, deviceScaleFactor: 2.625, isMobile: true, hasTouch: true }
+    },
+    tablet: {
+        userAgent: 'Mozilla/5.0 (iPad; CPU OS 17_2 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.2 Mobile/15E148 Safari/604.1',
+        viewport: { width: 820, height: 1180, deviceScaleFactor: 2, isMobile: true, hasTouch: true }
+    }
+};
+
+const EMULATION_LIMITS = {
+    maxHeaders: 30,
+    maxHeaderLength: 4096,
+    maxCookies: 50,
+    maxCookieLength: 4096
+};
+
+// Set by the browser or the HTTP client itself; cookies go in options.cookies
+const RESTRICTED_HEADERS = [
+    'host', 'content-length', 'connection', 'keep-alive', 'transfer-encoding', 'te', 'trailer',
+    'upgrade', 'expect', 'cookie', 'proxy-authorization', 'proxy-connection'
+];
+
+const SAME_SITE_VALUES = ['Strict', 'Lax', 'None'];
+// RFC 7230 token, for header and cookie names
+const TOKEN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+function validateHeaders(headers) {
+    if (typeof headers !== 'object' || headers === null || Array.isArray(headers)) {
+        return { valid: false, reason: 'headers must be an object of header names to values' };
+    }
+    const entries = Object.entries(headers);
+    if (entries.length > EMULATION_LIMITS.maxHeaders) {
+        return { valid: false, reason: `headers: at most ${EMULATION_LIMITS.maxHeaders} headers` };
+    }
+
+    const normalized = {};
+    for (const [name, value] of entries) {
+        const key = name.toLowerCase();
+        if (!TOKEN.test(name)) {
+            return { valid: false, reason: `headers: "${name}" is not a valid header name` };
+        }
+        if (RESTRICTED_HEADERS.includes(key)) {
+            return { valid: false, reason: `headers: "${name}" cannot be set${key === 'cookie' ? ' (use cookies)' : ''}` };
+        }
+        if (typeof value !== 'string' || /[\r\n]/.test(value) || value.length > EMULATION_LIMITS.maxHeaderLength) {
+            return { valid: false, reason: `headers: "${name}" must be a single-line string of at most ${EMULATION_LIMITS.maxHeaderLength} characters` };
+        }
+        normalized[key] = value;
+    }
+    return { valid: true, headers: normalized };
+}
+
+function validateCookies(cookies) {
+    if (!Array.isArray(cookies)) {
+        return { valid: false, reason: 'cookies must be an array of { name, value } objects' };
+    }
+    if (cookies.length > EMULATION_LIMITS.maxCookies) {
+        return { valid: false, reason: `cookies: at most ${EMULATION_LIMITS.maxCookies} cookies` };
+    }
+
+    const normalized = [];
+    for (const [index, cookie] of cookies.entries()) {
+        const label = `cookies[${index}]`;
+        if (!cookie || typeof cookie !== 'object' || !TOKEN.test(cookie.name || '')) {
+            return { valid: false, reason: `${label}.name must be a valid cookie name` };
+        }
+        if (typeof cookie.value !== 'string' || /[;\r\n]/.test(cookie.value) || cookie.name.length + cookie.value.length > EMULATION_LIMITS.maxCookieLength) {
+            return { valid: false, reason: `${label}.value must be a string without ";" or line breaks, up to ${EMULATION_LIMITS.maxCookieLength} characters` };
+        }
+        if (cookie.domain !== undefined && (typeof cookie.domain !== 'string' || !/^\.?[a-z0-9.-]+$/i.test(cookie.domain))) {
+            return { valid: false, reason: `${label}.domain must be a hostname such as ".example.com"` };
+        }
+        if (cookie.path !== undefined && (typeof cookie.path !== 'string' || !cookie.path.startsWith('/'))) {
+            return { valid: false, reason: `${label}.path must start with "/"` };
+        }
+        if (cookie.sameSite !== undefined && !SAME_SITE_VALUES.includes(cookie.sameSite)) {
+            return { valid: false, reason: `${label}.sameSite must be one of ${SAME_SITE_VALUES.join(', ')}` };
+        }
+        if (cookie.expires !== undefined && (typeof cookie.expires !== 'number' || !Number.isFinite(cookie.expires))) {
+            return { valid: false, reason: `${label}.expires must be a Unix timestamp in seconds` };
+        }
+
+        normalized.push({
+            name: cookie.name,
+            value: cookie.value,
+            ...(cookie.domain && { domain: cookie.domain.toLowerCase() }),
+            path: cookie.path || '/',
+            secure: cookie.secure === true,
+            httpOnly: cookie.httpOnly === true,
+            ...(cookie.sameSite && { sameSite: cookie.sameSite }),
+            ...(cookie.expires !== undefined && { expires: cookie.expires })
+        });
+    }
+    return { valid: true, cookies: normalized };
+}
+
+// "de-DE" -> "de-DE,de;q=0.9"
+function acceptLanguageFor(locale) {
+    const language = locale.split('-')[0];
+    return language === locale ? locale : `${locale},${language};q=0.9`;
+}
+
+// Validate options.device / headers / cookies / locale / timezone. Settings are returned for every
+// call, since every scrape sends a user agent; without options that is the desktop preset.
+function validateEmulationOptions(options) {
+    const device = options.device || 'desktop';
+    if (!Object.keys(DEVICE_PRESETS).includes(device)) {
+        return { valid: false, reason: `device must be one of ${Object.keys(DEVICE_PRESETS).join(', ')}` };
+    }
+
+    let headers = {};
+    if (options.headers !== undefined) {
+        const headerCheck = validateHeaders(options.headers);
+        if (!headerCheck.valid) {
+            return headerCheck;
+        }
+        headers = headerCheck.headers;
+    }
+
+    let cookies = [];
+    if (options.cookies !== undefined) {
+        const cookieCheck = validateCookies(options.cookies);
+        if (!cookieCheck.valid) {
+            return cookieCheck;
+        }
+        cookies = cookieCheck.cookies;
+    }
+
+    let locale = null;
+    if (options.locale !== undefined) {
+        try {
+            locale = typeof options.locale === 'string' ? Intl.getCanonicalLocales(options.locale)[0] : null;
+        } catch {
+            locale = null;
+        }
+        if (!locale) {
+            return { valid: false, reason: 'locale must be a BCP 47 language tag such as "de-DE"' };
+        }
+    }
+
+    if (options.timezone !== undefined && (typeof options.timezone !== 'string' || !isValidTimezone(options.timezone))) {
+        return { valid: false, reason: 'timezone must be an IANA timezone such as "Europe/Belgrade"' };
+    }
+
+    // A user-agent header replaces the preset's; an explicit accept-language wins over the locale's
+    const { 'user-agent': userAgent, ...extraHeaders } = headers;
+    if (locale && !extraHeaders['accept-language']) {
+        extraHeaders['accept-language'] = acceptLanguageFor(locale);
+    }
+
+    return {
+        valid: true,
+        emulation: {
+            device,
+            userAgent: userAgent || DEVICE_PRESETS[device].userAgent,
+            viewport: DEVICE_PRESETS[device].viewport,
+            headers: extraHeaders,
+            cookies,
+            locale,
+            timezone: options.timezone || null
+        }
+    };
+}
+
+// Whether a cookie would be sent to url (domain, path and secure rules of RFC 6265)
+function cookieMatches(cookie, target) {
+    const host = target.hostname.toLowerCase();
+    if (cookie.domain) {
+        const domain = cookie.domain.replace(/^\./, '');
+        if (host !== domain && !host.endsWith(`.${domain}`)) {
+            return false;
+        }
+    }
+    const path = cookie.path.endsWith('/') ? cookie.path : `${cookie.path}/`;
+    if (target.pathname !== cookie.path && !target.pathname.startsWith(path)) {
+        return false;
+    }
+    return !cookie.secure || target.protocol === 'https:';
+}
+
+// Headers for a plain HTTP fetch of url (the static engine and feeds). As in the browser, custom
+// headers only go to the host of scrapedUrl; other hosts (redirect targets, feeds found on the page)
+// get Accept-Language and the cookies that match them.
+function requestHeaders(url, emulation, scrapedUrl = url) {
+    const target = new URL(url);
+    const sameHost = target.hostname === new URL(scrapedUrl).hostname;
+    const cookie = emulation.cookies
+        // Cookies without a domain are host-only cookies of the scraped host
+        .filter(item => cookieMatches(item, target) && (item.domain || sameHost))
+        .map(item => `${item.name}=${item.value}`)
+        .join('; ');
+    const { 'accept-language': acceptLanguage } = emulation.headers;
+    const headers = sameHost ? emulation.headers : { ...(acceptLanguage && { 'accept-language': acceptLanguage }) };
+    return { ...headers, ...(cookie && { cookie }) };
+}
+
+// Apply the emulation settings to a fresh page, before it navigates to url
+async function applyEmulation(page, url, emulation) {
+    await page.setUserAgent(emulation.userAgent);
+    await page.setViewport(emulation.viewport);
+
+    // Custom headers (API keys, Authorization...) only go to the scraped host, never to the CDNs and
+    // trackers the page loads from. Accept-Language is not sensitive and goes everywhere, as in a browser.
+    const { 'accept-language': acceptLanguage, ...customHeaders } = emulation.headers;
+    if (acceptLanguage) {
+        await page.setExtraHTTPHeaders({ 'accept-language': acceptLanguage });
+    }
+    if (Object.keys(customHeaders).length) {
+        const host = new URL(url).hostname;
+        await page.setRequestInterception(true);
+        // Registered before the blocking and action handlers, which pass these overrides on
+        page.on('request', request => {
+            if (request.isInterceptResolutionHandled()) {
+                return;
+            }
+            let sameHost = false;
+            try {
+                sameHost = new URL(request.url()).hostname === host;
+            } catch {
+                // data:, blob:...
+            }
+            request.continue(sameHost ? { headers: { ...request.headers(), ...customHeaders } } : request.continueRequestOverrides(), 0);
+        });
+    }
+    if (emulation.cookies.length) {
+        // Cookies without a domain are host-only cookies of the scraped URL
+        await page.setCookie(...emulation.cookies.map(cookie => (cookie.domain ? cookie : { ...cookie, url })));
+    }
+    if (emulation.timezone) {
+        await page.emulateTimezone(emulation.timezone);
+    }
+    if (emulation.locale) {
+        // Intl and date formatting follow the locale override; navigator.language needs a script.
+        // The session stays attached, since the override ends with it.
+        const session = await page.target().createCDPSession();
+        await session.send('Emulation.setLocaleOverride', { locale: emulation.locale });
+        const languages = emulation.headers['accept-language'].split(',').map(part => part.split(';')[0].trim());
+        await page.evaluateOnNewDocument(list => {
+            Object.defineProperty(navigator, 'language', { get: () => list[0] });
+            Object.defineProperty(navigator, 'languages', { get: () => list.slice() });
+        }, languages);
+    }
+}
+
+module.exports = {
+    validateEmulationOptions,
+    applyEmulation,
+    requestHeaders,
+    cookieMatches,
+    DEFAULT_USER_AGENT,
+    DEVICE_PRESETS,
+    EMULATION_LIMITS
+};
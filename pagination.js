@@ -0,0 +1,166 @@
+// Pagination following for the scraping API
+
+const PAGINATION_LIMITS = {
+    maxPages: 20,
+    minDelayMs: 1000,       // COMPLIANCE_RULES.maxRequestRate: 1 request per second
+    loadMoreTimeoutMs: 10000
+};
+
+// Validate options.pagination and fill in defaults
+function validatePagination(pagination) {
+    if (!pagination || typeof pagination !== 'object' || Array.isArray(pagination)) {
+        return { valid: false, reason: 'pagination must be an object' };
+    }
+
+    const { nextSelector, urlTemplate, loadMoreSelector } = pagination;
+    const modes = [nextSelector, urlTemplate, loadMoreSelector].filter(Boolean).length;
+    if (modes > 1) {
+        return { valid: false, reason: 'pagination: use only one of nextSelector, urlTemplate or loadMoreSelector' };
+    }
+    for (const [key, value] of Object.entries({ nextSelector, urlTemplate, loadMoreSelector })) {
+        if (value !== undefined && typeof value !== 'string') {
+            return { valid: false, reason: `pagination.${key} must be a string` };
+        }
+    }
+    if (urlTemplate && !urlTemplate.includes('{n}')) {
+        return { valid: false, reason: 'pagination.urlTemplate must contain a {n} placeholder' };
+    }
+
+    const maxPages = parseInt(pagination.maxPages) || 5;
+    if (maxPages < 1 || maxPages > PAGINATION_LIMITS.maxPages) {
+        return { valid: false, reason: `pagination.maxPages must be between 1 and ${PAGINATION_LIMITS.maxPages}` };
+    }
+
+    let mode = 'auto';
+    if (nextSelector) mode = 'nextSelector';
+    if (urlTemplate) mode = 'urlTemplate';
+    if (loadMoreSelector) mode = 'loadMore';
+
+    return {
+        valid: true,
+        pagination: {
+            mode,
+            nextSelector: nextSelector || null,
+            urlTemplate: urlTemplate || null,
+            loadMoreSelector: loadMoreSelector || null,
+            startPage: parseInt(pagination.startPage) || 1,
+            maxPages,
+            delay: Math.max(parseInt(pagination.delay) || 0, PAGINATION_LIMITS.minDelayMs)
+        }
+    };
+}
+
+// URL of page number n (0-based index) for urlTemplate mode, e.g. "?page={n}" or "/page/{n}/"
+function templatePageUrl(baseUrl, pagination, index) {
+    const pageNumber = pagination.startPage + index;
+    return new URL(pagination.urlTemplate.replace(/\{n\}/g, pageNumber), baseUrl).href;
+}
+
+// Runs inside the page via page.evaluate - must stay self-contained
+function findNextPageUrl(nextSelector) {
+    function usable(href) {
+        return href && !href.startsWith('javascript:') && href.split('#')[0] !== window.location.href.split('#')[0];
+    }
+
+    if (nextSelector) {
+        const element = document.querySelector(nextSelector);
+        // data-href is the raw attribute, so resolve it like a link's href
+        const raw = element && (element.href || element.getAttribute('data-href'));
+        let href = null;
+        try {
+            href = raw && new URL(raw, document.baseURI).href;
+        } catch {
+            // Not a URL
+        }
+        return usable(href) ? href : null;
+    }
+
+    // 1. rel="next" on <link> or <a>
+    const relNext = document.querySelector('link[rel~="next"][href], a[rel~="next"][href]');
+    if (relNext && usable(relNext.href)) {
+        return relNext.href;
+    }
+
+    // 2. Common pagination markup
+    const candidates = document.querySelectorAll(
+        'a[aria-label*="next" i], a[title*="next" i], .pagination .next a, .pagination a.next, .pager .next a, a.next, [data-next][href]'
+    );
+    for (const link of candidates) {
+        if (usable(link.href)) {
+            return link.href;
+        }
+    }
+
+    // 3. Link text such as "Next", "Next page", "›", "»"
+    const nextText = /^(next( page)?|older( posts)?|›|»|→|>|>>)$/i;
+    for (const link of document.querySelectorAll('a[href]')) {
+        const text = (link.innerText || link.textContent || '').replace(/\s+/g, ' ').trim();
+        if (nextText.test(text) && usable(link.href)) {
+            return link.href;
+        }
+    }
+
+    return null;
+}
+
+// Click a "load more" button until it disappears, stops adding content or maxClicks is hit
+async function clickLoadMore(page, selector, maxClicks) {
+    let clicks = 0;
+    let stopReason = 'maxPages';
+
+    while (clicks < maxClicks) {
+        const button = await page.$(selector);
+        if (!button || !(await button.boundingBox())) {
+            stopReason = 'noLoadMoreButton';
+            break;
+        }
+
+        const before = await page.evaluate(() => document.querySelectorAll('body *').length);
+        await button.click();
+
+        try {
+            await page.waitForFunction(
+                count => document.querySelectorAll('body *').length > count,
+                { timeout: PAGINATION_LIMITS.loadMoreTimeoutMs },
+                before
+            );
+        } catch (e) {
+            stopReason = 'noNewContent';
+            break;
+        }
+        clicks++;
+    }
+
+    return { clicks, stopReason };
+}
+
+// Merge one page's data into the running result: arrays are concatenated,
+// objects merged key by key, text joined and other values kept from the first page
+function mergePageData(merged, data) {
+    if (merged === undefined || merged === null) {
+        return data;
+    }
+    if (Array.isArray(merged) && Array.isArray(data)) {
+        return merged.concat(data);
+    }
+    if (typeof merged === 'string' && typeof data === 'string') {
+        return `${merged}\n\n${data}`;
+    }
+    if (merged && data && typeof merged === 'object' && typeof data === 'object') {
+        const result = { ...merged };
+        for (const key of Object.keys(data)) {
+            result[key] = typeof merged[key] === 'string' ? merged[key] : mergePageData(merged[key], data[key]);
+        }
+        return result;
+    }
+    return merged;
+}
+
+module.exports = {
+    PAGINATION_LIMITS,
+    validatePagination,
+    templatePageUrl,
+    findNextPageUrl,
+    clickLoadMore,
+    mergePageData
+};
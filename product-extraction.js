@@ -0,0 +1,394 @@
+// Product pages: schema.org Product data, OpenGraph product tags and page heuristics merged into
+// one record, with localized prices normalized to an amount and an ISO 4217 currency code
+
+// ISO 4217 codes recognized when written out in a price ("1.299,00 EUR", "CHF 49.90")
+const CURRENCY_CODES = new Set([
+    'AED', 'ARS', 'AUD', 'BAM', 'BGN', 'BRL', 'CAD', 'CHF', 'CLP', 'CNY', 'COP', 'CZK', 'DKK', 'EGP',
+    'EUR', 'GBP', 'HKD', 'HRK', 'HUF', 'IDR', 'ILS', 'INR', 'ISK', 'JPY', 'KRW', 'KZT', 'MAD', 'MKD',
+    'MXN', 'MYR', 'NGN', 'NOK', 'NZD', 'PEN', 'PHP', 'PKR', 'PLN', 'RON', 'RSD', 'RUB', 'SAR', 'SEK',
+    'SGD', 'THB', 'TRY', 'TWD', 'UAH', 'USD', 'VND', 'ZAR'
+]);
+
+// Symbols and local abbreviations, longest first so "US$" wins over "$"
+const CURRENCY_SYMBOLS = [
+    ['US$', 'USD'], ['CA$', 'CAD'], ['AU$', 'AUD'], ['NZ$', 'NZD'], ['HK$', 'HKD'], ['MX$', 'MXN'],
+    ['C$', 'CAD'], ['A$', 'AUD'], ['S$', 'SGD'], ['R$', 'BRL'],
+    ['€', 'EUR'], ['£', 'GBP'], ['₹', 'INR'], ['₽', 'RUB'], ['₺', 'TRY'], ['₩', 'KRW'], ['₪', 'ILS'],
+    ['₫', 'VND'], ['฿', 'THB'], ['₴', 'UAH'], ['₦', 'NGN'], ['₱', 'PHP'], ['zł', 'PLN'], ['Kč', 'CZK'],
+    ['¥', 'JPY'], ['$', 'USD']
+];
+const CURRENCY_WORDS = [
+    [/(^|[\s\d])(din\.?|дин\.?)(?=$|[\s\d])/i, 'RSD'],
+    [/(^|[\s\d])Ft(?=$|[\s\d])/, 'HUF'],
+    [/(^|[\s\d])lei(?=$|[\s\d])/i, 'RON'],
+    [/(^|[\s\d])KM(?=$|[\s\d])/, 'BAM'],
+    [/(^|[\s\d])(kr|kn)\.?(?=$|[\s\d])/i, null] // Scandinavian crowns are told apart by the hint only
+];
+
+// Symbols shared by several currencies; a hint (e.g. priceCurrency) picks between them
+const AMBIGUOUS_SYMBOLS = {
+    USD: ['USD', 'CAD', 'AUD', 'NZD', 'HKD', 'SGD', 'MXN', 'ARS', 'CLP', 'COP', 'TWD'],
+    JPY: ['JPY', 'CNY']
+};
+
+const AVAILABILITY = [
+    'InStock', 'OutOfStock', 'PreOrder', 'PreSale', 'BackOrder', 'LimitedAvailability', 'SoldOut',
+    'Discontinued', 'OnlineOnly', 'InStoreOnly', 'MadeToOrder', 'Reserved'
+];
+const AVAILABILITY_TEXT = [
+    [/out of stock|sold out|unavailable|not available|nicht verfügbar|ausverkauft|rupture|agotado|nema na stanju|rasprodato|^oos$/i, 'OutOfStock'],
+    [/pre-?order|vorbestell/i, 'PreOrder'],
+    [/back-?order|available for order|pending/i, 'BackOrder'],
+    [/only \d+ left|limited|few left/i, 'LimitedAvailability'],
+    [/discontinued/i, 'Discontinued'],
+    [/in stock|available|auf lager|en stock|disponible|na stanju|dostupno|add to (cart|bag|basket)/i, 'InStock']
+];
+
+const PRODUCT_TYPES = ['Product', 'ProductGroup', 'ProductModel', 'IndividualProduct', 'SomeProducts', 'Vehicle', 'Car', 'Book'];
+
+// ISO code for a currency code or symbol, or null
+function normalizeCurrency(value, hint = null) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    const code = value.trim().toUpperCase();
+    if (/^[A-Z]{3}$/.test(code)) {
+        return code;
+    }
+    return detectCurrency(value, hint);
+}
+
+// Currency written in a price string, using the hint for symbols such as "$", "¥" or "kr"
+function detectCurrency(text, hint = null) {
+    const hinted = hint && /^[A-Za-z]{3}$/.test(hint.trim()) ? hint.trim().toUpperCase() : null;
+
+    const code = (text.match(/\b[A-Z]{3}\b/g) || []).find(candidate => CURRENCY_CODES.has(candidate));
+    if (code) {
+        return code;
+    }
+
+    for (const [symbol, currency] of CURRENCY_SYMBOLS) {
+        if (text.includes(symbol)) {
+            const shared = AMBIGUOUS_SYMBOLS[currency];
+            return shared && symbol.length === 1 && shared.includes(hinted) ? hinted : currency;
+        }
+    }
+    for (const [pattern, currency] of CURRENCY_WORDS) {
+        if (pattern.test(text)) {
+            return currency || hinted;
+        }
+    }
+    return null;
+}
+
+// Number from a localized amount: "1.299,00", "1,299.00", "1 299,00", "1'299.00", "12,-"
+function parseAmount(raw) {
+    let token = raw
+        .replace(/[\s'’](?=\d{3}(?!\d))/g, '') // space and apostrophe thousand separators
+        .split(/[\s'’]/)[0]
+        .replace(/[.,]+$/, '');
+
+    const lastDot = token.lastIndexOf('.');
+    const lastComma = token.lastIndexOf(',');
+    let decimal = null;
+    if (lastDot >= 0 && lastComma >= 0) {
+        decimal = lastDot > lastComma ? '.' : ',';
+    } else if (lastDot >= 0 || lastComma >= 0) {
+        // A single separator followed by exactly three digits is a thousands separator ("1.299"),
+        // unless the number starts with "0" ("0.500")
+        const separator = lastDot >= 0 ? '.' : ',';
+        const count = token.split(separator).length - 1;
+        const digitsAfter = token.length - token.lastIndexOf(separator) - 1;
+        if (count === 1 && (digitsAfter !== 3 || /^0[.,]/.test(token))) {
+            decimal = separator;
+        }
+    }
+
+    if (decimal) {
+        const index = token.lastIndexOf(decimal);
+        token = `${token.slice(0, index).replace(/[.,]/g, '')}.${token.slice(index + 1)}`;
+    } else {
+        token = token.replace(/[.,]/g, '');
+    }
+
+    const amount = parseFloat(token);
+    return Number.isFinite(amount) ? amount : null;
+}
+
+// Parse a price into { amount, currency }; currencyHint is used when the text has no currency
+// or only a shared symbol. Returns null when there is no number.
+function parsePrice(value, currencyHint = null) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? { amount: value, currency: normalizeCurrency(currencyHint) } : null;
+    }
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const text = value.replace(/[\u00a0\u2009\u202f]/g, ' ').trim();
+    const match = text.match(/\d[\d.,'’ ]*/);
+    if (!match) {
+        return null;
+    }
+    const amount = parseAmount(match[0].trim());
+    if (amount === null) {
+        return null;
+    }
+
+    return { amount, currency: detectCurrency(text, currencyHint) || normalizeCurrency(currencyHint) };
+}
+
+// schema.org availability name for a URL, OpenGraph value or page text
+function normalizeAvailability(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    const key = value.trim().replace(/^(https?:\/\/schema\.org\/|schema:)/i, '').replace(/[\s_-]/g, '').toLowerCase();
+    const known = AVAILABILITY.find(name => name.toLowerCase() === key);
+    if (known) {
+        return known;
+    }
+    const match = AVAILABILITY_TEXT.find(([pattern]) => pattern.test(value.trim()));
+    return match ? match[1] : null;
+}
+
+// OpenGraph / product meta tags and page heuristics. Runs inside the page
+// (page.evaluate / evaluateInDom), so it must be self-contained.
+function collectProductSignals() {
+    const meta = {};
+    document.querySelectorAll('meta[property], meta[name]').forEach(el => {
+        const key = (el.getAttribute('property') || el.getAttribute('name') || '').toLowerCase();
+        const content = (el.getAttribute('content') || '').trim();
+        if (/^(og|product|twitter):/.test(key) && content) {
+            (meta[key] = meta[key] || []).push(content);
+        }
+    });
+    const description = document.querySelector('meta[name="description"]');
+
+    const visible = el => !el.closest('[hidden], [aria-hidden="true"], del, s, strike');
+    const text = el => (el.textContent || '').replace(/\s+/g, ' ').trim();
+    const first = (selector, accept) => Array.from(document.querySelectorAll(selector)).find(el => visible(el) && accept(el));
+
+    // Current price: price-like elements, skipping struck-through and "was" prices
+    const priceElement = first(
+        '[data-price], [class*="price" i], [id*="price" i]',
+        el => {
+            const marker = `${el.getAttribute('class') || ''} ${el.id}`;
+            const own = el.getAttribute('data-price') || text(el);
+            return /\d/.test(own) && own.length <= 40 && !/old|was|regular|strike|compare|before|list|original/i.test(marker);
+        }
+    );
+
+    const availabilityElement = first(
+        '[data-availability], [class*="availability" i], [class*="stock" i], [id*="availability" i]',
+        el => text(el).length > 0 && text(el).length <= 60
+    );
+    const brandElement = first('[class*="brand" i]:not(body)', el => text(el).length > 0 && text(el).length <= 60);
+    const skuMatch = (document.body ? document.body.innerText || document.body.textContent : '').match(/\bSKU\s*[:#]?\s*([A-Z0-9][\w.\-/]{2,40})/i);
+    const h1 = first('h1', el => text(el).length > 0);
+
+    const images = Array.from(document.querySelectorAll('[class*="product" i] img, [class*="gallery" i] img, [id*="product" i] img'))
+        .filter(visible)
+        .map(img => img.currentSrc || img.src || img.getAttribute('data-src'))
+        .filter(src => src && !src.startsWith('data:'));
+
+    return {
+        url: window.location.href,
+        title: document.title,
+        meta,
+        description: description ? description.getAttribute('content') : null,
+        page: {
+            name: h1 ? text(h1) : null,
+            price: priceElement ? (priceElement.getAttribute('data-price') || text(priceElement)) : null,
+            currency: priceElement ? priceElement.getAttribute('data-currency') : null,
+            availability: availabilityElement
+                ? (availabilityElement.getAttribute('data-availability') || text(availabilityElement))
+                : (first('button, input[type="submit"]', el => /add to (cart|bag|basket)/i.test(text(el) || el.value || '')) ? 'add to cart' : null),
+            brand: brandElement ? text(brandElement) : null,
+            sku: skuMatch ? skuMatch[1] : null,
+            images: Array.from(new Set(images)).slice(0, 10)
+        }
+    };
+}
+
+const isProduct = entity => entity && typeof entity === 'object' && entity.types && entity.types.some(type => PRODUCT_TYPES.includes(type));
+const list = value => (value === undefined || value === null ? [] : [].concat(value));
+const textOf = value => {
+    const item = list(value)[0];
+    if (item && typeof item === 'object') {
+        return textOf(item.properties && item.properties.name);
+    }
+    return typeof item === 'string' || typeof item === 'number' ? String(item).trim() || null : null;
+};
+const numberOf = value => {
+    const parsed = parsePrice(textOf(value));
+    return parsed ? parsed.amount : null;
+};
+
+// First Product entity, also looking inside other entities (e.g. WebPage.mainEntity)
+function findProduct(entities) {
+    const queue = [...entities];
+    const found = [];
+    while (queue.length) {
+        const entity = queue.shift();
+        if (!entity || typeof entity !== 'object' || !entity.properties) {
+            continue;
+        }
+        if (isProduct(entity)) {
+            found.push(entity);
+        }
+        Object.values(entity.properties).forEach(value => {
+            queue.push(...list(value).filter(item => item && typeof item === 'object'));
+        });
+    }
+    // Prefer a product that has offers over a bare mention
+    return found.find(entity => entity.properties.offers) || found[0] || null;
+}
+
+// Price fields of the first offer that has one (Offer, AggregateOffer or a priceSpecification)
+function offerPrice(offers) {
+    for (const offer of list(offers)) {
+        if (!offer || typeof offer !== 'object' || !offer.properties) {
+            continue;
+        }
+        const props = offer.properties;
+        const spec = list(props.priceSpecification).find(item => item && item.properties) || null;
+        const specProps = spec ? spec.properties : {};
+        const price = textOf(props.price) || textOf(props.lowPrice) || textOf(specProps.price);
+        if (price) {
+            return {
+                price,
+                currency: textOf(props.priceCurrency) || textOf(specProps.priceCurrency),
+                highPrice: textOf(props.highPrice),
+                availability: textOf(props.availability),
+                condition: textOf(props.itemCondition)
+            };
+        }
+    }
+    return null;
+}
+
+function imageUrls(value) {
+    return list(value).map(item => {
+        if (item && typeof item === 'object') {
+            return textOf(item.properties && (item.properties.url || item.properties.contentUrl));
+        }
+        return typeof item === 'string' ? item : null;
+    }).filter(Boolean);
+}
+
+// Merge structured data (from extractStructuredData) and signals (from collectProductSignals).
+// Each field comes from schema.org data first, then OpenGraph tags, then the page itself.
+function buildProduct(structuredData, signals) {
+    const product = findProduct(structuredData.entities);
+    const props = product ? product.properties : {};
+    const offer = product ? offerPrice(props.offers) : null;
+    const og = key => (signals.meta[key] || [])[0] || null;
+    const absolute = url => {
+        if (!url) {
+            return null;
+        }
+        try {
+            return new URL(url, signals.url).href;
+        } catch {
+            return null;
+        }
+    };
+
+    const sources = {};
+    const pick = (field, candidates) => {
+        const found = candidates.find(([, value]) => value !== null && value !== undefined && value !== '');
+        sources[field] = found ? found[0] : null;
+        return found ? found[1] : null;
+    };
+
+    const name = pick('name', [['schema', textOf(props.name)], ['opengraph', og('og:title')], ['page', signals.page.name]]);
+    const description = pick('description', [['schema', textOf(props.description)], ['opengraph', og('og:description')], ['page', signals.description]]);
+    const sku = pick('sku', [['schema', textOf(props.sku)], ['opengraph', og('product:retailer_item_id')], ['page', signals.page.sku]]);
+    const brand = pick('brand', [['schema', textOf(props.brand) || textOf(props.manufacturer)], ['opengraph', og('product:brand') || og('og:brand')], ['page', signals.page.brand]]);
+
+    // Sale price tags win over the regular OpenGraph price
+    const ogAmount = og('product:sale_price:amount') || og('product:price:amount') || og('og:price:amount');
+    const ogCurrency = og('product:sale_price:currency') || og('product:price:currency') || og('og:price:currency');
+    const priceText = pick('price', [
+        ['schema', offer && offer.price],
+        ['opengraph', ogAmount],
+        ['page', signals.page.price]
+    ]);
+    const currencyHint = {
+        schema: offer && offer.currency,
+        opengraph: ogCurrency,
+        page: signals.page.currency || (offer && offer.currency) || ogCurrency
+    }[sources.price] || null;
+    const price = parsePrice(priceText, currencyHint);
+    sources.currency = price && price.currency ? sources.price : null;
+    const highPrice = offer && offer.highPrice && sources.price === 'schema' ? parsePrice(offer.highPrice, currencyHint) : null;
+
+    const availabilityText = pick('availability', [
+        ['schema', offer && offer.availability],
+        ['opengraph', og('product:availability') || og('og:availability')],
+        ['page', signals.page.availability]
+    ]);
+
+    const aggregate = list(props.aggregateRating).find(item => item && item.properties);
+    const rating = aggregate && numberOf(aggregate.properties.ratingValue) !== null
+        ? {
+            value: numberOf(aggregate.properties.ratingValue),
+            count: numberOf(aggregate.properties.reviewCount) ?? numberOf(aggregate.properties.ratingCount),
+            best: numberOf(aggregate.properties.bestRating) ?? 5
+        }
+        : null;
+    sources.rating = rating ? 'schema' : null;
+
+    const images = Array.from(new Set([
+        ...imageUrls(props.image),
+        ...(signals.meta['og:image'] || []),
+        ...signals.page.images
+    ].map(absolute).filter(Boolean))).slice(0, 20);
+
+    return {
+        url: absolute(textOf(props.url) || og('og:url')) || signals.url,
+        name,
+        description,
+        sku,
+        mpn: textOf(props.mpn),
+        gtin: textOf(props.gtin13) || textOf(props.gtin12) || textOf(props.gtin14) || textOf(props.gtin8) || textOf(props.gtin),
+        brand,
+        price: price ? price.amount : null,
+        highPrice: highPrice ? highPrice.amount : null,
+        currency: price ? price.currency : null,
+        priceText: priceText !== null ? String(priceText) : null,
+        availability: normalizeAvailability(availabilityText),
+        condition: normalizeCondition(offer && offer.condition ? offer.condition : og('product:condition')),
+        rating,
+        images,
+        sources,
+        structuredDataErrors: structuredData.errors
+    };
+}
+
+function normalizeCondition(value) {
+    if (typeof value !== 'string' || !value.trim()) {
+        return null;
+    }
+    const key = value.replace(/^(https?:\/\/schema\.org\/|schema:)/i, '').toLowerCase();
+    if (key.startsWith('new')) {
+        return 'NewCondition';
+    }
+    if (key.startsWith('used')) {
+        return 'UsedCondition';
+    }
+    if (key.startsWith('refurbished')) {
+        return 'RefurbishedCondition';
+    }
+    return key.startsWith('damaged') ? 'DamagedCondition' : null;
+}
+
+module.exports = {
+    collectProductSignals,
+    buildProduct,
+    parsePrice,
+    normalizeCurrency,
+    normalizeAvailability,
+    CURRENCY_CODES
+};
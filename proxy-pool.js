@@ -0,0 +1,266 @@
+// Outbound proxy pool: region-tagged HTTP/SOCKS proxies, sticky sessions and health tracking
+const fs = require('fs');
+const axios = require('axios');
+const { HttpProxyAgent } = require('http-proxy-agent');
+const { HttpsProxyAgent } = require('https-proxy-agent');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks4:', 'socks5:'];
+
+const PROXY_LIMITS = {
+    maxSessionLength: 100,
+    // Proxy failures in a row before a proxy is taken out of rotation
+    failureThreshold: 3,
+    // First health check after that, doubling while it keeps failing
+    recheckMs: 60 * 1000,
+    maxRecheckMs: 30 * 60 * 1000,
+    healthCheckTimeout: 10000,
+    // Sticky sessions unused for this long are forgotten
+    sessionTtlMs: 30 * 60 * 1000
+};
+
+// Errors that say the proxy itself is broken, as opposed to the target failing through it
+const PROXY_ERROR = /ERR_PROXY|ERR_TUNNEL|ERR_SOCKS|ERR_NO_SUPPORTED_PROXIES|HTTP 407|proxy|socks|ECONNREFUSED|ECONNRESET|EHOSTUNREACH|socket hang up/i;
+// Answers that usually mean the target blocked the proxy's address
+const BLOCKED_ERROR = /HTTP (403|429)\b/;
+
+// Validate options.proxy: a region tag, or { region, session } where requests with the same
+// session keep the same proxy while it stays healthy
+function validateProxyOptions(options) {
+    if (options.proxy === undefined) {
+        return { valid: true, routing: { region: null, session: null } };
+    }
+    const settings = typeof options.proxy === 'string' ? { region: options.proxy } : options.proxy;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { valid: false, reason: 'proxy must be a region tag or an object { region, session }' };
+    }
+    if (settings.region !== undefined && (typeof settings.region !== 'string' || !/^[a-z0-9_-]+$/i.test(settings.region))) {
+        return { valid: false, reason: 'proxy.region must be a region tag such as "eu" or "us-east"' };
+    }
+    if (settings.session !== undefined
+        && (typeof settings.session !== 'string' || !/^[\w.-]+$/.test(settings.session) || settings.session.length > PROXY_LIMITS.maxSessionLength)) {
+        return { valid: false, reason: `proxy.session must be up to ${PROXY_LIMITS.maxSessionLength} letters, digits, ".", "-" or "_"` };
+    }
+
+    return {
+        valid: true,
+        routing: {
+            region: settings.region ? settings.region.toLowerCase() : null,
+            session: settings.session || null
+        }
+    };
+}
+
+// Parse one configured proxy ({ url, region, id }) into a pool entry
+function parseProxy(config, index) {
+    const url = new URL(config.url);
+    if (!PROXY_PROTOCOLS.includes(url.protocol) || !url.hostname || !url.port) {
+        throw new Error(`Proxy ${index + 1}: use ${PROXY_PROTOCOLS.map(p => `${p}//`).join(', ')} with a host and port`);
+    }
+    const username = decodeURIComponent(url.username);
+    // Chromium can authenticate to HTTP proxies only
+    if (username && url.protocol.startsWith('socks')) {
+        throw new Error(`Proxy ${index + 1}: SOCKS proxies with credentials are not supported by Chromium`);
+    }
+
+    return {
+        id: config.id || `proxy-${index + 1}`,
+        url: url.href,
+        // Address without credentials, for Chromium and for stats
+        server: `${url.protocol}//${url.host}`,
+        protocol: url.protocol.slice(0, -1),
+        region: config.region ? String(config.region).toLowerCase() : null,
+        credentials: username ? { username, password: decodeURIComponent(url.password) } : null,
+        healthy: true,
+        consecutiveFailures: 0,
+        recheckMs: PROXY_LIMITS.recheckMs,
+        nextCheckAt: null,
+        agents: null,
+        stats: {
+            requests: 0,
+            successes: 0,
+            failures: 0,
+            blocked: 0,
+            totalResponseMs: 0,
+            removedFromRotation: 0,
+            lastUsedAt: null,
+            lastError: null,
+            lastErrorAt: null,
+            lastHealthCheckAt: null
+        }
+    };
+}
+
+// Proxies from PROXIES_FILE (a JSON array of { url, region, id }) and PROXIES
+// (comma-separated URLs, each optionally prefixed with "region=")
+function loadProxyConfig() {
+    const configs = [];
+    if (process.env.PROXIES_FILE) {
+        configs.push(...JSON.parse(fs.readFileSync(process.env.PROXIES_FILE, 'utf8')));
+    }
+    (process.env.PROXIES || '').split(',').map(item => item.trim()).filter(Boolean).forEach(item => {
+        const match = item.match(/^([a-z0-9_-]+)=(.+)$/i);
+        configs.push(match ? { region: match[1], url: match[2] } : { url: item });
+    });
+    return configs;
+}
+
+class ProxyPool {
+    constructor(configs = loadProxyConfig(), options = {}) {
+        this.proxies = configs.map(parseProxy);
+        this.options = {
+            healthCheckUrl: options.healthCheckUrl || process.env.PROXY_HEALTH_CHECK_URL || 'http://www.gstatic.com/generate_204',
+            failureThreshold: options.failureThreshold || parseInt(process.env.PROXY_FAILURE_THRESHOLD) || PROXY_LIMITS.failureThreshold
+        };
+
+        this.next = 0;
+        this.sessions = new Map(); // session -> { proxy, lastUsedAt }
+
+        if (this.proxies.length) {
+            console.log(`🌐 Proxy pool: ${this.proxies.length} proxies`);
+            setInterval(() => this.runHealthChecks(), 15 * 1000).unref();
+        }
+    }
+
+    get enabled() {
+        return this.proxies.length > 0;
+    }
+
+    // Pick the proxy for a request: its sticky session's proxy, else the next healthy one
+    // in the region, round robin. Returns { proxy, session } or { reason } when none can serve it.
+    select(routing) {
+        const { region, session } = routing;
+        const candidates = this.proxies.filter(proxy => !region || proxy.region === region);
+        if (!candidates.length) {
+            return { reason: `No proxy configured for region "${region}"` };
+        }
+
+        const key = session && `${region || '*'}:${session}`;
+        const sticky = key && this.sessions.get(key);
+        if (sticky && sticky.proxy.healthy && Date.now() - sticky.lastUsedAt < PROXY_LIMITS.sessionTtlMs) {
+            sticky.lastUsedAt = Date.now();
+            return { proxy: sticky.proxy, session: { id: session, reassigned: false } };
+        }
+
+        const healthy = candidates.filter(proxy => proxy.healthy);
+        if (!healthy.length) {
+            return { reason: region ? `No healthy proxy for region "${region}"` : 'No healthy proxy available' };
+        }
+        const proxy = healthy[this.next++ % healthy.length];
+
+        if (key) {
+            this.sessions.set(key, { proxy, lastUsedAt: Date.now() });
+        }
+        return { proxy, ...(key && { session: { id: session, reassigned: Boolean(sticky) && sticky.proxy !== proxy } }) };
+    }
+
+    // Record how a scrape through the proxy went; repeated proxy failures take it out of rotation
+    report(proxy, result, responseMs) {
+        const { stats } = proxy;
+        stats.requests++;
+        stats.lastUsedAt = new Date().toISOString();
+        stats.totalResponseMs += responseMs;
+
+        const error = result.success ? null : String(result.error || '');
+        if (error && PROXY_ERROR.test(error)) {
+            stats.failures++;
+            stats.lastError = error.slice(0, 200);
+            stats.lastErrorAt = stats.lastUsedAt;
+            proxy.consecutiveFailures++;
+            if (proxy.healthy && proxy.consecutiveFailures >= this.options.failureThreshold) {
+                this.markUnhealthy(proxy);
+            }
+            return;
+        }
+
+        // Anything else reached the target, whatever it answered
+        stats.successes++;
+        proxy.consecutiveFailures = 0;
+        if (error && BLOCKED_ERROR.test(error)) {
+            stats.blocked++;
+        }
+    }
+
+    markUnhealthy(proxy) {
+        proxy.healthy = false;
+        proxy.stats.removedFromRotation++;
+        proxy.recheckMs = PROXY_LIMITS.recheckMs;
+        proxy.nextCheckAt = Date.now() + proxy.recheckMs;
+        console.warn(`⚠️ Proxy ${proxy.id} taken out of rotation after ${proxy.consecutiveFailures} failures`);
+    }
+
+    // Agents routing plain HTTP requests (static engine, feeds) through the proxy
+    agentsFor(proxy) {
+        if (!proxy.agents) {
+            proxy.agents = proxy.protocol.startsWith('socks')
+                ? { httpAgent: new SocksProxyAgent(proxy.url), httpsAgent: new SocksProxyAgent(proxy.url) }
+                : { httpAgent: new HttpProxyAgent(proxy.url), httpsAgent: new HttpsProxyAgent(proxy.url) };
+        }
+        return proxy.agents;
+    }
+
+    // Request the health check URL through the proxy; any answer but 407 means it works
+    async checkProxy(proxy) {
+        proxy.stats.lastHealthCheckAt = new Date().toISOString();
+        try {
+            const response = await axios.get(this.options.healthCheckUrl, {
+                ...this.agentsFor(proxy),
+                proxy: false,
+                timeout: PROXY_LIMITS.healthCheckTimeout,
+                validateStatus: () => true
+            });
+            return response.status !== 407;
+        } catch {
+            return false;
+        }
+    }
+
+    // Health-check the proxies out of rotation that are due, and put back the ones that answer
+    async runHealthChecks() {
+        const now = Date.now();
+        const due = this.proxies.filter(proxy => !proxy.healthy && proxy.nextCheckAt <= now);
+        await Promise.all(due.map(async proxy => {
+            proxy.nextCheckAt = Infinity; // not again while this check runs
+            if (await this.checkProxy(proxy)) {
+                proxy.healthy = true;
+                proxy.consecutiveFailures = 0;
+                proxy.nextCheckAt = null;
+                console.log(`✅ Proxy ${proxy.id} back in rotation`);
+            } else {
+                proxy.recheckMs = Math.min(proxy.recheckMs * 2, PROXY_LIMITS.maxRecheckMs);
+                proxy.nextCheckAt = Date.now() + proxy.recheckMs;
+            }
+        }));
+
+        // Forget sticky sessions nobody used for a while
+        this.sessions.forEach((sticky, key) => {
+            if (now - sticky.lastUsedAt >= PROXY_LIMITS.sessionTtlMs) {
+                this.sessions.delete(key);
+            }
+        });
+    }
+
+    getStats() {
+        return {
+            total: this.proxies.length,
+            healthy: this.proxies.filter(proxy => proxy.healthy).length,
+            stickySessions: this.sessions.size,
+            proxies: this.proxies.map(proxy => {
+                const { totalResponseMs, ...stats } = proxy.stats;
+                return {
+                    id: proxy.id,
+                    server: proxy.server,
+                    region: proxy.region,
+                    healthy: proxy.healthy,
+                    consecutiveFailures: proxy.consecutiveFailures,
+                    nextHealthCheckAt: proxy.healthy || !Number.isFinite(proxy.nextCheckAt) ? null : new Date(proxy.nextCheckAt).toISOString(),
+                    ...stats,
+                    successRate: stats.requests ? Math.round((stats.successes / stats.requests) * 1000) / 1000 : null,
+                    avgResponseMs: stats.requests ? Math.round(totalResponseMs / stats.requests) : null
+                };
+            })
+        };
+    }
+}
+
+module.exports = { ProxyPool, validateProxyOptions, PROXY_LIMITS, PROXY_PROTOCOLS };
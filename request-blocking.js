@@ -0,0 +1,134 @@
+// Resource blocking and request interception
+
+const BLOCKABLE_TYPES = ['image', 'font', 'media', 'stylesheet', 'script', 'xhr', 'fetch', 'websocket', 'other'];
+
+// Known ad, analytics and tracking hosts (subdomains match too)
+const TRACKER_HOSTS = [
+    'google-analytics.com', 'googletagmanager.com', 'googletagservices.com',
+    'doubleclick.net', 'googlesyndication.com', 'googleadservices.com', 'adservice.google.com',
+    'connect.facebook.net', 'analytics.tiktok.com', 'px.ads.linkedin.com', 'snap.licdn.com',
+    'static.ads-twitter.com', 'analytics.twitter.com', 'bat.bing.com', 'clarity.ms',
+    'hotjar.com', 'fullstory.com', 'mouseflow.com', 'crazyegg.com', 'luckyorange.com',
+    'segment.com', 'segment.io', 'mixpanel.com', 'amplitude.com', 'heap.io', 'heapanalytics.com',
+    'optimizely.com', 'newrelic.com', 'nr-data.net', 'hs-analytics.net', 'hs-scripts.com',
+    'scorecardresearch.com', 'quantserve.com', 'chartbeat.com', 'mc.yandex.ru',
+    'taboola.com', 'outbrain.com', 'criteo.com', 'criteo.net', 'adnxs.com', 'amazon-adsystem.com',
+    'pubmatic.com', 'rubiconproject.com', 'openx.net', 'moatads.com', 'casalemedia.com',
+    'adsrvr.org', 'media.net', 'bidswitch.net', 'smartadserver.com', 'teads.tv'
+];
+
+const BLOCK_LIMITS = {
+    maxPatterns: 50
+};
+
+// "*" matches any run of characters; a pattern without "*" matches anywhere in the URL
+function compileUrlPatterns(patterns) {
+    return patterns.map(pattern => ({
+        pattern,
+        regex: new RegExp(
+            pattern.includes('*')
+                ? `^${pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`
+                : pattern.replace(/[.+?^${}()|[\]\\*]/g, '\\$&'),
+            'i'
+        )
+    }));
+}
+
+// Validate options.blockResources: an array of resource types, or
+// { types, patterns, trackers } where trackers (default true) enables TRACKER_HOSTS
+function validateBlockOptions(blockResources) {
+    const settings = Array.isArray(blockResources) ? { types: blockResources } : blockResources;
+    if (!settings || typeof settings !== 'object') {
+        return { valid: false, reason: 'blockResources must be an array of resource types or an object' };
+    }
+
+    const types = settings.types || [];
+    const patterns = settings.patterns || [];
+    if (!Array.isArray(types) || types.some(type => !BLOCKABLE_TYPES.includes(type))) {
+        return { valid: false, reason: `blockResources.types must only contain ${BLOCKABLE_TYPES.join(', ')}` };
+    }
+    if (!Array.isArray(patterns) || patterns.some(pattern => typeof pattern !== 'string' || !pattern)) {
+        return { valid: false, reason: 'blockResources.patterns must be an array of URL patterns' };
+    }
+    if (patterns.length > BLOCK_LIMITS.maxPatterns) {
+        return { valid: false, reason: `blockResources.patterns: at most ${BLOCK_LIMITS.maxPatterns} patterns` };
+    }
+
+    return {
+        valid: true,
+        blocking: {
+            types,
+            patterns: compileUrlPatterns(patterns),
+            trackers: settings.trackers !== false
+        }
+    };
+}
+
+function isTrackerHost(hostname) {
+    return TRACKER_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+}
+
+// Why a request should be blocked, or null to let it through
+function blockReason(request, blocking) {
+    // Never block the page itself
+    if (request.isNavigationRequest() && request.frame() && !request.frame().parentFrame()) {
+        return null;
+    }
+
+    const url = request.url();
+    if (url.startsWith('data:')) {
+        return null;
+    }
+    if (blocking.types.includes(request.resourceType())) {
+        return 'type';
+    }
+    if (blocking.patterns.some(({ regex }) => regex.test(url))) {
+        return 'pattern';
+    }
+    if (blocking.trackers) {
+        try {
+            if (isTrackerHost(new URL(url).hostname.toLowerCase())) {
+                return 'tracker';
+            }
+        } catch {
+            // Unparseable URL, let the browser deal with it
+        }
+    }
+    return null;
+}
+
+// Turn on request interception for the page; the returned stats object is updated live
+async function enableRequestBlocking(page, blocking) {
+    const stats = {
+        total: 0,
+        allowed: 0,
+        blocked: 0,
+        byType: {},
+        byReason: { type: 0, pattern: 0, tracker: 0 }
+    };
+
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+        if (request.isInterceptResolutionHandled()) {
+            return;
+        }
+        stats.total++;
+
+        const reason = blockReason(request, blocking);
+        if (reason) {
+            stats.blocked++;
+            stats.byReason[reason]++;
+            const type = request.resourceType();
+            stats.byType[type] = (stats.byType[type] || 0) + 1;
+            // Cooperative interception (priority 0) so other handlers can still take part
+            request.abort('blockedbyclient', 0);
+        } else {
+            stats.allowed++;
+            request.continue(request.continueRequestOverrides(), 0);
+        }
+    });
+
+    return stats;
+}
+
+module.exports = { validateBlockOptions, compileUrlPatterns, enableRequestBlocking, TRACKER_HOSTS, BLOCKABLE_TYPES };
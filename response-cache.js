@@ -0,0 +1,428 @@
+// Response cache in front of scrapeEnhanced, with HTTP freshness rules and conditional revalidation
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+const CACHE_MODES = ['default', 'bypass'];
+
+// Options that change how a result is delivered or billed, not what is extracted
+const KEY_IGNORED_OPTIONS = ['cache', 'maxAge', 'timeout', 'encoding', 'batchSize', 'retries'];
+
+// Response headers kept with an entry for freshness and revalidation
+const CACHE_HEADERS = ['cache-control', 'expires', 'date', 'age', 'etag', 'last-modified'];
+
+// Validate options.cache / options.maxAge
+function validateCacheOptions(options) {
+    const mode = options.cache === undefined ? 'default' : options.cache;
+    if (!CACHE_MODES.includes(mode)) {
+        return { valid: false, reason: `cache must be one of ${CACHE_MODES.join(', ')}` };
+    }
+
+    let maxAge = null;
+    if (options.maxAge !== undefined) {
+        maxAge = Number(options.maxAge);
+        if (!Number.isFinite(maxAge) || maxAge < 0) {
+            return { valid: false, reason: 'maxAge must be a number of seconds (0 or more)' };
+        }
+    }
+
+    return { valid: true, cache: { mode, maxAge } };
+}
+
+// Lowercase host, default port and fragment dropped, query parameters sorted
+function normalizeCacheUrl(url) {
+    const urlObj = new URL(url);
+    urlObj.hash = '';
+    urlObj.searchParams.sort();
+    return urlObj.href;
+}
+
+// JSON with object keys sorted, so equal options always give the same key
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+function cacheKey(url, options) {
+    const keyed = {};
+    Object.keys(options)
+        .filter(name => !KEY_IGNORED_OPTIONS.includes(name))
+        .forEach(name => {
+            keyed[name] = options[name];
+        });
+    return crypto.createHash('sha256')
+        .update(`${normalizeCacheUrl(url)}\n${stableStringify(keyed)}`)
+        .digest('hex');
+}
+
+// Pick the caching headers out of a response's header object
+function pickCacheHeaders(headers) {
+    const picked = {};
+    if (headers) {
+        CACHE_HEADERS.forEach(name => {
+            const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+            if (value !== undefined && value !== null) {
+                picked[name] = String(value);
+            }
+        });
+    }
+    return picked;
+}
+
+function parseCacheControl(value) {
+    const directives = {};
+    String(value || '').split(',').forEach(part => {
+        const [name, arg] = part.trim().split('=');
+        if (name) {
+            directives[name.toLowerCase()] = arg === undefined ? true : arg.replace(/^"|"$/g, '');
+        }
+    });
+    return directives;
+}
+
+// Freshness lifetime in ms from the origin's headers (we are a shared cache, so s-maxage wins),
+// null when the origin says nothing, or false when the response must not be stored
+function headerLifetime(headers) {
+    const directives = parseCacheControl(headers['cache-control']);
+    if (directives['no-store'] || directives.private) {
+        return false;
+    }
+    if (directives['no-cache']) {
+        return 0;
+    }
+
+    const maxAge = directives['s-maxage'] !== undefined ? directives['s-maxage'] : directives['max-age'];
+    if (maxAge !== undefined) {
+        const age = parseInt(headers.age) || 0;
+        return Math.max((parseInt(maxAge) || 0) - age, 0) * 1000;
+    }
+    if (headers.expires) {
+        const expires = Date.parse(headers.expires);
+        const date = Date.parse(headers.date) || Date.now();
+        return Number.isNaN(expires) ? 0 : Math.max(expires - date, 0);
+    }
+    return null;
+}
+
+// In-memory store; a Map keeps insertion order, so the first key is the least recently used.
+// Bounded by entry count and by the entries' JSON size, as screenshots and PDFs run to megabytes.
+class MemoryCacheStore {
+    constructor(options = {}) {
+        this.name = 'memory';
+        this.maxEntries = options.maxEntries || 500;
+        this.maxBytes = options.maxBytes || 100 * 1024 * 1024;
+        this.entries = new Map();
+        this.sizes = new Map();
+        this.bytes = 0;
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+        if (entry) {
+            this.entries.delete(key);
+            this.entries.set(key, entry);
+        }
+        return entry || null;
+    }
+
+    async set(key, entry) {
+        this.remove(key);
+        const bytes = Buffer.byteLength(JSON.stringify(entry));
+        if (bytes > this.maxBytes) {
+            // Would evict everything else and still not fit
+            return;
+        }
+        this.entries.set(key, entry);
+        this.sizes.set(key, bytes);
+        this.bytes += bytes;
+        while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+            this.remove(this.entries.keys().next().value);
+        }
+    }
+
+    async delete(key) {
+        this.remove(key);
+    }
+
+    remove(key) {
+        if (this.entries.delete(key)) {
+            this.bytes -= this.sizes.get(key);
+            this.sizes.delete(key);
+        }
+    }
+
+    async size() {
+        return this.entries.size;
+    }
+}
+
+// On-disk store: one JSON file per key, least recently used files pruned past maxEntries
+class DiskCacheStore {
+    constructor(options = {}) {
+        this.name = 'disk';
+        this.dir = options.dir || path.join(process.cwd(), '.cache', 'responses');
+        this.maxEntries = options.maxEntries || 500;
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    file(key) {
+        return path.join(this.dir, `${key}.json`);
+    }
+
+    async get(key) {
+        try {
+            const entry = JSON.parse(await fs.promises.readFile(this.file(key), 'utf8'));
+            // Touch the file so pruning sees it as recently used
+            const now = new Date();
+            await fs.promises.utimes(this.file(key), now, now);
+            return entry;
+        } catch {
+            return null;
+        }
+    }
+
+    async set(key, entry) {
+        // Write then rename so readers never see a half-written file
+        const temp = `${this.file(key)}.${process.pid}.tmp`;
+        await fs.promises.writeFile(temp, JSON.stringify(entry));
+        await fs.promises.rename(temp, this.file(key));
+        await this.prune();
+    }
+
+    async delete(key) {
+        await fs.promises.rm(this.file(key), { force: true });
+    }
+
+    async list() {
+        const names = await fs.promises.readdir(this.dir);
+        return names.filter(name => name.endsWith('.json'));
+    }
+
+    async size() {
+        return (await this.list()).length;
+    }
+
+    async prune() {
+        const names = await this.list();
+        if (names.length <= this.maxEntries) {
+            return;
+        }
+        const files = await Promise.all(names.map(async name => {
+            const stat = await fs.promises.stat(path.join(this.dir, name)).catch(() => null);
+            return { name, mtime: stat ? stat.mtimeMs : 0 };
+        }));
+        files.sort((a, b) => a.mtime - b.mtime);
+        await Promise.all(files.slice(0, files.length - this.maxEntries)
+            .map(({ name }) => fs.promises.rm(path.join(this.dir, name), { force: true })));
+    }
+}
+
+// Build the store named by CACHE_STORE (memory, disk or off)
+function createCacheStore(type = process.env.CACHE_STORE || 'memory', options = {}) {
+    const storeOptions = {
+        maxEntries: options.maxEntries || parseInt(process.env.CACHE_MAX_ENTRIES) || 500,
+        maxBytes: options.maxBytes || (parseInt(process.env.CACHE_MAX_MB) || 100) * 1024 * 1024,
+        dir: options.dir || process.env.CACHE_DIR
+    };
+    switch (type) {
+        case 'off':
+            return null;
+        case 'disk':
+            return new DiskCacheStore(storeOptions);
+        case 'memory':
+            return new MemoryCacheStore(storeOptions);
+        default:
+            throw new Error(`Unknown CACHE_STORE "${type}" (use memory, disk or off)`);
+    }
+}
+
+class ResponseCache {
+    constructor(store, options = {}) {
+        this.store = store;
+        this.options = {
+            // Used when the origin sends no freshness information
+            defaultTtlMs: options.defaultTtlMs || (parseInt(process.env.CACHE_TTL_SECONDS) || 300) * 1000,
+            // Upper bound on any freshness lifetime, whatever the origin says
+            maxTtlMs: options.maxTtlMs || (parseInt(process.env.CACHE_MAX_TTL_SECONDS) || 86400) * 1000,
+            revalidateTimeout: options.revalidateTimeout || 10000
+        };
+
+        this.stats = {
+            hits: 0,
+            misses: 0,
+            revalidated: 0,
+            bypassed: 0,
+            stored: 0
+        };
+    }
+
+    // Serve url + options from the cache, or run scrape() and store its result.
+    // scrape() resolves to a scrapeEnhanced result carrying the page's cacheHeaders.
+    // originRequest() gives the axios options a revalidation needs to reach the site the way the
+    // scrape would (its request headers, proxy agents), or null when it cannot be sent.
+    async fetch(url, options, settings, scrape, originRequest = () => ({})) {
+        const key = cacheKey(url, options);
+        let status = 'miss';
+
+        if (settings.mode === 'bypass') {
+            status = 'bypass';
+            this.stats.bypassed++;
+        } else {
+            const entry = await this.store.get(key);
+            if (entry) {
+                const now = Date.now();
+                const age = now - entry.storedAt;
+                const withinMaxAge = settings.maxAge === null || age <= settings.maxAge * 1000;
+
+                if (now < entry.expiresAt && withinMaxAge) {
+                    this.stats.hits++;
+                    return this.fromEntry(entry, 'fresh');
+                }
+
+                // Stale (or older than the client accepts): ask the origin whether it changed
+                if (await this.revalidate(url, entry, originRequest)) {
+                    await this.store.set(key, entry);
+                    this.stats.hits++;
+                    this.stats.revalidated++;
+                    return this.fromEntry(entry, 'revalidated');
+                }
+                status = 'stale';
+            }
+            this.stats.misses++;
+        }
+
+        const { cacheHeaders, ...result } = await scrape();
+        let stored = false;
+        if (result.success) {
+            const entry = this.createEntry(url, result, cacheHeaders || {});
+            if (entry) {
+                await this.store.set(key, entry);
+                this.stats.stored++;
+                stored = true;
+            }
+        }
+
+        if (result.metadata) {
+            result.metadata = { ...result.metadata, cache: { hit: false, status, stored } };
+        }
+        return result;
+    }
+
+    createEntry(url, result, headers) {
+        const lifetime = headerLifetime(headers);
+        if (lifetime === false) {
+            return null;
+        }
+
+        const now = Date.now();
+        return {
+            url,
+            result,
+            headers,
+            storedAt: now,
+            expiresAt: now + this.freshFor(lifetime)
+        };
+    }
+
+    // Origin lifetime (or the default TTL when there is none), capped at maxTtlMs
+    freshFor(lifetime) {
+        return Math.min(lifetime === null ? this.options.defaultTtlMs : lifetime || 0, this.options.maxTtlMs);
+    }
+
+    // Conditional GET with the stored validators; on 304 the entry is refreshed in place
+    async revalidate(url, entry, originRequest) {
+        const { etag } = entry.headers;
+        const lastModified = entry.headers['last-modified'];
+        if (!etag && !lastModified) {
+            return false;
+        }
+        const request = originRequest();
+        if (!request) {
+            return false;
+        }
+
+        let response;
+        try {
+            response = await axios.get(url, {
+                ...request,
+                timeout: this.options.revalidateTimeout,
+                // The request carries the scrape's custom headers, which must not follow a redirect;
+                // a redirect is not a 304 anyway
+                maxRedirects: 0,
+                responseType: 'stream',
+                validateStatus: () => true,
+                headers: {
+                    ...request.headers,
+                    ...(etag && { 'If-None-Match': etag }),
+                    ...(lastModified && { 'If-Modified-Since': lastModified })
+                }
+            });
+        } catch {
+            return false;
+        }
+        // Only the status matters; do not download a changed body here
+        response.data.destroy();
+
+        if (response.status !== 304) {
+            return false;
+        }
+
+        entry.headers = { ...entry.headers, ...pickCacheHeaders(response.headers) };
+        entry.storedAt = Date.now();
+        entry.expiresAt = entry.storedAt + this.freshFor(headerLifetime(entry.headers));
+        return true;
+    }
+
+    // A cached result; metadata.engine becomes "cache" (billed at the cache rate)
+    fromEntry(entry, status) {
+        const { result } = entry;
+        return {
+            ...result,
+            metadata: {
+                ...result.metadata,
+                engine: 'cache',
+                // No request went to the target; the stored attempts belong to the original scrape
+                attempts: [],
+                cache: {
+                    hit: true,
+                    status,
+                    engine: result.metadata.engine,
+                    storedAt: new Date(entry.storedAt).toISOString(),
+                    expiresAt: new Date(entry.expiresAt).toISOString(),
+                    age: Math.round((Date.now() - entry.storedAt) / 1000)
+                }
+            }
+        };
+    }
+
+    async getStats() {
+        return {
+            store: this.store.name,
+            entries: await this.store.size(),
+            defaultTtlSeconds: this.options.defaultTtlMs / 1000,
+            ...this.stats
+        };
+    }
+}
+
+module.exports = {
+    ResponseCache,
+    MemoryCacheStore,
+    DiskCacheStore,
+    createCacheStore,
+    validateCacheOptions,
+    pickCacheHeaders,
+    headerLifetime,
+    stableStringify,
+    cacheKey,
+    CACHE_MODES
+};
@@ -0,0 +1,309 @@
+// Recurring scrapes on cron schedules, persisted to disk so they survive restarts
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { parseCron, nextRun, isValidTimezone } = require('./cron-expression');
+const { TokenRef, hashToken } = require('./credit-system');
+
+const SCHEDULE_LIMITS = {
+    maxUrls: 20,
+    maxHistory: 20,                 // runs kept per schedule
+    previewLength: 300,             // characters of each result kept in the history
+    maxTimerMs: 24 * 60 * 60 * 1000 // longer waits are re-armed, setTimeout cannot sleep past ~24.8 days
+};
+
+// Validate schedule settings and fill in defaults
+function validateScheduleSettings(settings) {
+    const cronCheck = parseCron(settings.cron);
+    if (!cronCheck.valid) {
+        return cronCheck;
+    }
+
+    const timezone = settings.timezone || 'UTC';
+    if (typeof timezone !== 'string' || !isValidTimezone(timezone)) {
+        return { valid: false, reason: 'timezone must be an IANA timezone such as "Europe/Belgrade"' };
+    }
+    if (!nextRun(cronCheck.fields, new Date(), timezone)) {
+        return { valid: false, reason: 'cron expression never matches a real date' };
+    }
+
+    const urls = settings.urls || (settings.url ? [settings.url] : []);
+    if (!Array.isArray(urls) || urls.length === 0 || urls.some(url => typeof url !== 'string')) {
+        return { valid: false, reason: 'url or urls (non-empty array of URLs) is required' };
+    }
+    if (urls.length > SCHEDULE_LIMITS.maxUrls) {
+        return { valid: false, reason: `At most ${SCHEDULE_LIMITS.maxUrls} URLs per schedule` };
+    }
+
+    return {
+        valid: true,
+        settings: {
+            name: typeof settings.name === 'string' ? settings.name.slice(0, 100) : null,
+            cron: settings.cron.trim(),
+            timezone,
+            urls
+        }
+    };
+}
+
+// What a run keeps of a scraped URL's data: not the payload itself, which can be a base64
+// screenshot or PDF, but its size, a hash that shows whether it changed, and a short preview
+function summarizeData(data) {
+    const text = typeof data === 'string' ? data : (JSON.stringify(data) || '');
+    return {
+        size: Buffer.byteLength(text),
+        hash: crypto.createHash('sha256').update(text).digest('hex'),
+        preview: text.slice(0, SCHEDULE_LIMITS.previewLength)
+    };
+}
+
+class ScheduleManager {
+    // runScrape({ url, accessToken, tier, options }) is the billed /scrape pipeline:
+    // it resolves to { result, credits } or { status, body } on error.
+    // Schedules keep only the hash of their access token and bill through a TokenRef, so the
+    // schedules file holds no usable token; the balances are saved by the CreditManager.
+    constructor(runScrape, options = {}) {
+        this.runScrape = runScrape;
+        this.schedulesFile = options.file || process.env.SCHEDULES_FILE || path.join(__dirname, 'schedules.json');
+
+        this.schedules = new Map();
+        this.timers = new Map();
+        this.running = new Set();
+        this.saving = Promise.resolve();
+
+        this.loadSchedules();
+    }
+
+    async loadSchedules() {
+        try {
+            const data = JSON.parse(await fs.readFile(this.schedulesFile, 'utf8'));
+            data.schedules.forEach(schedule => {
+                this.schedules.set(schedule.id, schedule);
+                // Runs missed while the server was down are not made up; continue from now
+                this.arm(schedule);
+            });
+            console.log(`⏰ Loaded ${this.schedules.size} schedules`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('❌ Could not load schedules:', error.message);
+            }
+        }
+    }
+
+    // Queue a write so concurrent saves never interleave; write then rename so the file is never half-written
+    saveSchedules() {
+        this.saving = this.saving.then(async () => {
+            const temp = `${this.schedulesFile}.tmp`;
+            const schedules = Array.from(this.schedules.values());
+            const data = { schedules, savedAt: new Date().toISOString() };
+            await fs.writeFile(temp, JSON.stringify(data, null, 2));
+            await fs.rename(temp, this.schedulesFile);
+        }).catch(error => {
+            console.error('❌ Could not save schedules:', error.message);
+        });
+        return this.saving;
+    }
+
+    async createSchedule({ settings, options = {}, accessToken, tier }) {
+        const schedule = {
+            id: crypto.randomBytes(16).toString('hex'),
+            ...settings,
+            options,
+            tokenHash: hashToken(accessToken),
+            tier,
+            status: 'active',
+            pauseReason: null,
+            createdAt: new Date().toISOString(),
+            nextRunAt: null,
+            lastRunAt: null,
+            runs: 0,
+            creditsUsed: 0,
+            history: []
+        };
+
+        this.schedules.set(schedule.id, schedule);
+        this.arm(schedule);
+        await this.saveSchedules();
+
+        return schedule;
+    }
+
+    // Set the timer for the schedule's next run
+    arm(schedule) {
+        clearTimeout(this.timers.get(schedule.id));
+        this.timers.delete(schedule.id);
+
+        if (schedule.status !== 'active') {
+            schedule.nextRunAt = null;
+            return;
+        }
+
+        const { fields } = parseCron(schedule.cron);
+        const next = nextRun(fields, new Date(), schedule.timezone);
+        if (!next) {
+            schedule.status = 'paused';
+            schedule.pauseReason = 'No future run time';
+            schedule.nextRunAt = null;
+            return;
+        }
+        schedule.nextRunAt = next.toISOString();
+
+        const delay = next.getTime() - Date.now();
+        const timer = delay > SCHEDULE_LIMITS.maxTimerMs
+            ? setTimeout(() => this.arm(schedule), SCHEDULE_LIMITS.maxTimerMs)
+            : setTimeout(() => this.runSchedule(schedule), delay);
+        this.timers.set(schedule.id, timer);
+    }
+
+    pause(schedule, reason) {
+        schedule.status = 'paused';
+        schedule.pauseReason = reason;
+        console.warn(`⏸️ Schedule ${schedule.id} paused: ${reason}`);
+    }
+
+    async runSchedule(schedule) {
+        // A run that is still going when the next one is due skips that slot
+        if (this.running.has(schedule.id) || schedule.status !== 'active') {
+            this.arm(schedule);
+            return;
+        }
+        this.running.add(schedule.id);
+
+        const run = {
+            id: crypto.randomBytes(8).toString('hex'),
+            scheduledFor: schedule.nextRunAt,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            status: 'running',
+            creditsUsed: 0,
+            results: []
+        };
+
+        try {
+            for (const url of schedule.urls) {
+                if (schedule.status !== 'active') {
+                    break;
+                }
+
+                const outcome = await this.runScrape({
+                    url,
+                    accessToken: new TokenRef(schedule.tokenHash),
+                    tier: schedule.tier,
+                    options: schedule.options
+                });
+
+                if (outcome.result) {
+                    run.creditsUsed += outcome.credits.used;
+                    run.results.push({
+                        url,
+                        success: true,
+                        engine: outcome.result.metadata.engine,
+                        ...summarizeData(outcome.result.data),
+                        creditsUsed: outcome.credits.used
+                    });
+                } else {
+                    run.results.push({
+                        url,
+                        success: false,
+                        error: outcome.body.error,
+                        details: outcome.body.details || null,
+                        creditsUsed: 0
+                    });
+                    // No credits left, or the token expired: stop until someone resumes it
+                    if (outcome.status === 402) {
+                        this.pause(schedule, outcome.body.error);
+                    }
+                }
+            }
+        } catch (error) {
+            console.error(`❌ Schedule ${schedule.id} run crashed:`, error.message);
+            run.error = error.message;
+        } finally {
+            const succeeded = run.results.filter(result => result.success).length;
+            run.status = succeeded === schedule.urls.length ? 'success' : succeeded > 0 ? 'partial' : 'failed';
+            run.finishedAt = new Date().toISOString();
+
+            schedule.runs++;
+            schedule.lastRunAt = run.startedAt;
+            schedule.creditsUsed += run.creditsUsed;
+            schedule.history.unshift(run);
+            schedule.history.length = Math.min(schedule.history.length, SCHEDULE_LIMITS.maxHistory);
+
+            this.running.delete(schedule.id);
+            // A schedule deleted mid-run is not re-armed or saved back
+            if (this.schedules.has(schedule.id)) {
+                this.arm(schedule);
+                await this.saveSchedules();
+            }
+        }
+    }
+
+    async setPaused(scheduleId, paused) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule) {
+            return null;
+        }
+
+        if (paused) {
+            this.pause(schedule, 'Paused by user');
+        } else {
+            schedule.status = 'active';
+            schedule.pauseReason = null;
+        }
+        this.arm(schedule);
+        await this.saveSchedules();
+
+        return this.getSchedule(scheduleId);
+    }
+
+    async deleteSchedule(scheduleId) {
+        if (!this.schedules.has(scheduleId)) {
+            return false;
+        }
+        clearTimeout(this.timers.get(scheduleId));
+        this.timers.delete(scheduleId);
+        this.schedules.delete(scheduleId);
+        await this.saveSchedules();
+        return true;
+    }
+
+    // Public view of a schedule (never exposes the access token)
+    getSchedule(scheduleId, { includeHistory = true } = {}) {
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule) {
+            return null;
+        }
+
+        return {
+            scheduleId: schedule.id,
+            name: schedule.name,
+            cron: schedule.cron,
+            timezone: schedule.timezone,
+            urls: schedule.urls,
+            options: schedule.options,
+            tier: schedule.tier,
+            status: this.running.has(schedule.id) ? 'running' : schedule.status,
+            pauseReason: schedule.pauseReason,
+            createdAt: schedule.createdAt,
+            nextRunAt: schedule.nextRunAt,
+            lastRunAt: schedule.lastRunAt,
+            runs: schedule.runs,
+            creditsUsed: schedule.creditsUsed,
+            ...(includeHistory && { history: schedule.history })
+        };
+    }
+
+    // Get stats
+    getStats() {
+        const schedules = Array.from(this.schedules.values());
+        return {
+            totalSchedules: schedules.length,
+            active: schedules.filter(s => s.status === 'active').length,
+            paused: schedules.filter(s => s.status === 'paused').length,
+            running: this.running.size,
+            runs: schedules.reduce((sum, s) => sum + s.runs, 0)
+        };
+    }
+}
+
+module.exports = { ScheduleManager, SCHEDULE_LIMITS, validateScheduleSettings };
@@ -0,0 +1,156 @@
+// Stable error codes for failed scrapes, the retry policy, and what clients are told
+
+// expose: the failure's own message is safe to return (written by us, or only echoing the
+// caller's input); otherwise clients get the code's message and the raw one is only logged
+const ERROR_CODES = {
+    TIMEOUT: { retryable: true, expose: false, message: 'The page took too long to respond' },
+    DNS: { retryable: true, expose: false, message: 'The host name could not be resolved' },
+    CONNECTION_REFUSED: { retryable: true, expose: false, message: 'The host refused or dropped the connection' },
+    HTTP_4XX: { retryable: false, expose: true, message: 'The site answered with a client error' },
+    HTTP_5XX: { retryable: true, expose: true, message: 'The site answered with a server error' },
+    ROBOTS_DISALLOWED: { retryable: false, expose: true, message: 'Scraping disallowed by robots.txt' },
+    SELECTOR_NOT_FOUND: { retryable: false, expose: true, message: 'An element the request needs was not found' },
+    NAVIGATION_BLOCKED: { retryable: false, expose: true, message: 'An action tried to leave the validated site' },
+    ACTIONS_TIMEOUT: { retryable: false, expose: true, message: 'The page actions took too long' },
+    ACTION_FAILED: { retryable: false, expose: true, message: 'A page action failed' },
+    BLOCKED: { retryable: false, expose: true, message: 'The site blocked the request' },
+    UNSUPPORTED_CONTENT: { retryable: false, expose: true, message: 'The URL does not serve content this request can read' },
+    PROXY_UNAVAILABLE: { retryable: false, expose: true, message: 'No proxy available for the request' },
+    INVALID_OPTIONS: { retryable: false, expose: true, message: 'Invalid options' },
+    SCRAPE_FAILED: { retryable: false, expose: false, message: 'Scraping failed' }
+};
+
+const RETRY_LIMITS = {
+    defaultRetries: 2,
+    maxRetries: 5,
+    baseDelayMs: 500,
+    maxDelayMs: 10000,
+    // A longer Retry-After ends the retries instead of holding the request open
+    maxRetryAfterMs: 30000
+};
+
+// Challenge and captcha pages served by bot protection instead of the page
+const BLOCK_PAGE = /captcha|are you a robot|verify you are human|attention required|access denied|bot detection|unusual traffic|just a moment/i;
+
+// Validate options.retries (retries after the first attempt)
+function validateRetryOptions(options) {
+    const retries = options.retries === undefined ? RETRY_LIMITS.defaultRetries : options.retries;
+    if (!Number.isInteger(retries) || retries < 0 || retries > RETRY_LIMITS.maxRetries) {
+        return { valid: false, reason: `retries must be an integer between 0 and ${RETRY_LIMITS.maxRetries}` };
+    }
+    return { valid: true, retry: { retries } };
+}
+
+// A failure result with a code, for failures whose message we wrote ourselves
+function scrapeFailure(code, message, extra = {}) {
+    return { success: false, error: message || ERROR_CODES[code].message, errorCode: code, ...extra };
+}
+
+// Retry-After as milliseconds: delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) {
+        return Math.max(seconds, 0) * 1000;
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+// Failure for a non-2xx response. 429s, and 403/503 challenge pages, are blocks rather than page errors.
+function httpFailure(status, statusText, headers = {}, pageText = '') {
+    const blocked = status === 429
+        || ((status === 403 || status === 503) && (Boolean(headers['cf-mitigated']) || BLOCK_PAGE.test(pageText)));
+    const code = blocked ? 'BLOCKED' : status >= 500 ? 'HTTP_5XX' : 'HTTP_4XX';
+    return scrapeFailure(code, `HTTP ${status}: ${statusText}`, {
+        httpStatus: status,
+        retryAfterMs: parseRetryAfter(headers['retry-after'])
+    });
+}
+
+// Code for a raw error (an Error or its message) from Puppeteer, axios or the extraction code
+function codeForError(error) {
+    const code = error && error.code;
+    const message = String((error && error.message) || error || '');
+
+    // Puppeteer reports a missing selector as a timeout, so check selectors first
+    if (/selector|No element|No node found|matched no table|No table found/i.test(message)) {
+        return 'SELECTOR_NOT_FOUND';
+    }
+    if ((error && error.name === 'TimeoutError') || ['ECONNABORTED', 'ETIMEDOUT'].includes(code)
+        || /timeout|timed out|ERR_TIMED_OUT|Browser pool busy/i.test(message)) {
+        return 'TIMEOUT';
+    }
+    if (['ENOTFOUND', 'EAI_AGAIN'].includes(code) || /ERR_NAME_NOT_RESOLVED|ENOTFOUND|EAI_AGAIN/.test(message)) {
+        return 'DNS';
+    }
+    if (['ECONNREFUSED', 'ECONNRESET', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'].includes(code)
+        || /ERR_CONNECTION_(REFUSED|RESET|CLOSED|FAILED)|ERR_EMPTY_RESPONSE|ERR_ADDRESS_UNREACHABLE|ERR_PROXY|ERR_TUNNEL|ERR_SOCKS|ECONNREFUSED|ECONNRESET|EHOSTUNREACH|socket hang up/i.test(message)) {
+        return 'CONNECTION_REFUSED';
+    }
+    return 'SCRAPE_FAILED';
+}
+
+// Failure result for a caught exception. The raw message is kept until publicFailure().
+function failureFromError(error, extra = {}) {
+    return { success: false, error: error.message, errorCode: codeForError(error), ...extra };
+}
+
+// Code, retryability and Retry-After of a failure result
+function classifyFailure(result) {
+    const code = result.errorCode || codeForError(result.error);
+    const { retryable } = ERROR_CODES[code];
+    return {
+        code,
+        // 429s are worth another try after the wait they ask for
+        retryable: retryable || (code === 'BLOCKED' && result.httpStatus === 429) || (code === 'HTTP_4XX' && result.httpStatus === 408),
+        retryAfterMs: result.retryAfterMs ?? null
+    };
+}
+
+// Wait before the next attempt: exponential backoff with jitter, or the site's Retry-After if longer.
+// null means do not retry.
+function retryDelay(attempt, failure) {
+    if (!failure.retryable || (failure.retryAfterMs !== null && failure.retryAfterMs > RETRY_LIMITS.maxRetryAfterMs)) {
+        return null;
+    }
+    const backoff = Math.min(RETRY_LIMITS.baseDelayMs * 2 ** (attempt - 1), RETRY_LIMITS.maxDelayMs);
+    // "Equal jitter": half fixed, half random, so parallel retries spread out
+    const jittered = Math.round(backoff / 2 + Math.random() * (backoff / 2));
+    return Math.max(jittered, failure.retryAfterMs || 0);
+}
+
+// The failure as clients see it: a stable code and a message that never carries raw
+// exception text or stacks (those are logged here instead)
+function publicFailure(result, extra = {}) {
+    const failure = classifyFailure(result);
+    const { expose, message } = ERROR_CODES[failure.code];
+    if (!expose && result.error) {
+        console.warn(`⚠️ Scrape failed (${failure.code}): ${result.error}`);
+    }
+    return {
+        success: false,
+        error: expose && result.error ? result.error : message,
+        errorCode: failure.code,
+        retryable: failure.retryable,
+        ...(result.httpStatus && { httpStatus: result.httpStatus }),
+        ...(result.robotsTxt !== undefined && { robotsTxt: result.robotsTxt }),
+        ...extra
+    };
+}
+
+module.exports = {
+    ERROR_CODES,
+    RETRY_LIMITS,
+    validateRetryOptions,
+    scrapeFailure,
+    httpFailure,
+    failureFromError,
+    codeForError,
+    classifyFailure,
+    retryDelay,
+    publicFailure,
+    parseRetryAfter
+};
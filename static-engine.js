@@ -0,0 +1,194 @@
+// Browserless static fetch engine: plain HTTP + an in-process DOM (no JavaScript is run)
+const vm = require('vm');
+const axios = require('axios');
+const { JSDOM } = require('jsdom');
+const htmlEncodingSniffer = require('html-encoding-sniffer');
+const { decode, labelToName } = require('whatwg-encoding');
+
+const ENGINES = ['static', 'browser', 'auto'];
+
+const STATIC_LIMITS = {
+    maxContentLength: 5 * 1024 * 1024,
+    maxRedirects: 5,
+    // Per extraction function; they run on the server's main thread
+    evaluateTimeout: 5000
+};
+
+// Options that only make sense with a real browser
+const BROWSER_ONLY_OPTIONS = ['actions', 'scroll', 'waitFor', 'waitUntil', 'captureNetwork', 'timezone'];
+
+// Why these options need the browser engine, or null when static can serve them
+function browserOnlyReason(options, { capture, pagination }) {
+    const option = BROWSER_ONLY_OPTIONS.find(key => options[key]);
+    if (option) {
+        return `${option} needs the browser engine`;
+    }
+    if (capture) {
+        return `${capture.type} output needs the browser engine`;
+    }
+    if (pagination && pagination.mode === 'loadMore') {
+        return 'pagination.loadMoreSelector needs the browser engine';
+    }
+    return null;
+}
+
+// Decode a body the way a browser would: the Content-Type charset, else a BOM or <meta charset>
+// (or the XML declaration, for feeds), else UTF-8
+function decodeBody(bytes, contentType) {
+    const charset = /charset=["']?([\w.:-]+)/i.exec(contentType);
+    const xmlDeclaration = /^\s*<\?xml[^>]*encoding=["']([\w.:-]+)["']/i.exec(bytes.subarray(0, 200).toString('latin1'));
+    const declared = (charset && labelToName(charset[1])) || (xmlDeclaration && labelToName(xmlDeclaration[1]));
+    return decode(bytes, htmlEncodingSniffer(bytes, {
+        transportLayerEncodingLabel: declared || undefined,
+        defaultEncoding: 'UTF-8'
+    }));
+}
+
+// Fetch a page over HTTP; non-HTML and non-2xx responses are failures. headers may be a function
+// of the URL: redirects are followed here, one hop at a time, so each hop gets the headers meant
+// for its host (custom headers must not follow a redirect to another site). checkRedirect(url) may
+// resolve to a reason for refusing a redirect target.
+async function fetchHtml(url, { userAgent, headers, timeout, accept, agents, checkRedirect }) {
+    const headersFor = typeof headers === 'function' ? headers : () => headers;
+    const deadline = Date.now() + (timeout || 30000);
+
+    let finalUrl = url;
+    let response;
+    for (let redirects = 0; ; redirects++) {
+        response = await axios.get(finalUrl, {
+            timeout: Math.max(deadline - Date.now(), 1),
+            maxRedirects: 0,
+            maxContentLength: STATIC_LIMITS.maxContentLength,
+            // Bytes, not text: axios would decode everything as UTF-8
+            responseType: 'arraybuffer',
+            validateStatus: () => true,
+            // Proxy agents replace axios' own proxy handling
+            ...(agents && { ...agents, proxy: false }),
+            headers: {
+                'User-Agent': userAgent,
+                'Accept': accept || 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+                ...headersFor(finalUrl)
+            }
+        });
+
+        const location = response.headers.location;
+        if (response.status < 300 || response.status >= 400 || !location) {
+            break;
+        }
+        if (redirects >= STATIC_LIMITS.maxRedirects) {
+            throw new Error(`Too many redirects (more than ${STATIC_LIMITS.maxRedirects})`);
+        }
+        const next = new URL(location, finalUrl);
+        if (!['http:', 'https:'].includes(next.protocol)) {
+            throw new Error(`Redirect to unsupported protocol ${next.protocol}`);
+        }
+        const refused = checkRedirect && await checkRedirect(next.href);
+        if (refused) {
+            throw new Error(`Redirect to ${next.href} refused: ${refused}`);
+        }
+        finalUrl = next.href;
+    }
+
+    const contentType = String(response.headers['content-type'] || '');
+
+    return {
+        ok: response.status >= 200 && response.status < 300,
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+        isHtml: !contentType || /html|xml/i.test(contentType),
+        contentType,
+        finalUrl,
+        html: decodeBody(Buffer.from(response.data), contentType)
+    };
+}
+
+// Parse HTML into a DOM that the in-page extraction functions can run against
+function createDom(html, url) {
+    const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: false });
+    const { window } = dom;
+
+    // jsdom has no layout, so approximate innerText: text without script/style, with line breaks for blocks
+    window.eval(`
+        Object.defineProperty(HTMLElement.prototype, 'innerText', {
+            configurable: true,
+            get() {
+                const skip = /^(SCRIPT|STYLE|NOSCRIPT|TEMPLATE|HEAD)$/;
+                const block = /^(P|DIV|SECTION|ARTICLE|HEADER|FOOTER|MAIN|NAV|ASIDE|LI|UL|OL|TR|TABLE|H[1-6]|BR|BLOCKQUOTE|PRE|FIGURE|FORM|DD|DT|DL)$/;
+                let text = '';
+                (function walk(node) {
+                    for (const child of node.childNodes) {
+                        if (child.nodeType === 3) {
+                            text += child.nodeValue.replace(/\\s+/g, ' ');
+                        } else if (child.nodeType === 1 && !skip.test(child.tagName)) {
+                            const isBlock = block.test(child.tagName);
+                            if (isBlock) text += '\\n';
+                            walk(child);
+                            if (isBlock) text += '\\n';
+                        }
+                    }
+                })(this);
+                return text.replace(/[ \\t]*\\n[ \\t]*/g, '\\n').replace(/\\n{3,}/g, '\\n\\n').trim();
+            }
+        });
+    `);
+
+    return dom;
+}
+
+// Run one of the page.evaluate functions inside the DOM, the same way the browser would.
+// Unlike in Chromium this runs on the main thread, so a caller's catastrophic regex or a
+// pathological page would block every other request: the run is cut off after evaluateTimeout.
+function evaluateInDom(dom, fn, ...args) {
+    const call = new vm.Script(`(${fn.toString()})(...${JSON.stringify(args)})`);
+    let result;
+    try {
+        result = call.runInContext(dom.getInternalVMContext(), { timeout: STATIC_LIMITS.evaluateTimeout });
+    } catch (error) {
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            // Not worded as a timeout: running it again would only block again
+            throw new Error(`Extraction stopped after ${STATIC_LIMITS.evaluateTimeout}ms: a regex or the page is too costly to process`);
+        }
+        throw error;
+    }
+    // Round-trip through JSON like puppeteer does so no DOM objects leak out
+    return result === undefined ? undefined : JSON.parse(JSON.stringify(result));
+}
+
+// Heuristics for pages whose content is rendered client-side
+function clientRenderedReason(dom) {
+    const document = dom.window.document;
+    const body = document.body;
+    if (!body) {
+        return 'no <body> in response';
+    }
+
+    const textLength = body.innerText.length;
+    const scripts = document.querySelectorAll('script[src], script:not([type]), script[type="module"]').length;
+
+    const mountPoint = document.querySelector('#root, #app, #__next, #__nuxt, [data-reactroot], app-root, [ng-app]');
+    if (mountPoint && mountPoint.children.length === 0 && mountPoint.textContent.trim() === '') {
+        return `empty app mount point <${mountPoint.tagName.toLowerCase()}${mountPoint.id ? '#' + mountPoint.id : ''}>`;
+    }
+
+    const noscript = Array.from(document.querySelectorAll('noscript')).some(el => /enable javascript|requires javascript|javascript is (disabled|required)/i.test(el.textContent));
+    if (noscript && textLength < 1000) {
+        return 'page asks to enable JavaScript';
+    }
+
+    if (textLength < 200 && scripts > 0) {
+        return `only ${textLength} characters of text with ${scripts} scripts`;
+    }
+
+    return null;
+}
+
+module.exports = {
+    ENGINES,
+    STATIC_LIMITS,
+    browserOnlyReason,
+    fetchHtml,
+    createDom,
+    evaluateInDom,
+    clientRenderedReason
+};
@@ -0,0 +1,209 @@
+// JSON-LD, Microdata and RDFa normalized into one list of schema.org entities
+
+// Parse every structured data format on the page. Runs inside the page
+// (page.evaluate / evaluateInDom), so it must be self-contained.
+// Each entity is { type, types, id, source, properties }; nested items have the same shape
+// without source. Blocks that cannot be parsed are reported in errors, not skipped silently.
+function extractStructuredData() {
+    const SCHEMA_PREFIX = /^(?:https?:\/\/schema\.org\/|schema:)/i;
+    const MAX_DEPTH = 10;
+    const entities = [];
+    const errors = [];
+
+    const shortName = name => String(name).trim().replace(SCHEMA_PREFIX, '');
+    const absolute = url => {
+        try {
+            return new URL(url, document.baseURI).href;
+        } catch {
+            return url;
+        }
+    };
+
+    // Add a value to a property, turning repeated properties into arrays
+    const addValue = (properties, name, value) => {
+        if (value === undefined || value === null || value === '') {
+            return;
+        }
+        if (!(name in properties)) {
+            properties[name] = value;
+        } else if (Array.isArray(properties[name])) {
+            properties[name].push(value);
+        } else {
+            properties[name] = [properties[name], value];
+        }
+    };
+
+    const entity = (types, id, properties) => ({
+        type: types[0] || null,
+        types,
+        id: id || null,
+        properties
+    });
+    const withSource = ({ properties, ...rest }, source) => ({ ...rest, source, properties });
+
+    // JSON-LD
+    function fromJsonLd(node, depth) {
+        if (Array.isArray(node)) {
+            return node.map(item => fromJsonLd(item, depth));
+        }
+        if (!node || typeof node !== 'object') {
+            return node;
+        }
+        if ('@value' in node) {
+            return node['@value'];
+        }
+        if ('@list' in node) {
+            return fromJsonLd(node['@list'], depth);
+        }
+        if (depth > MAX_DEPTH) {
+            return null;
+        }
+
+        const properties = {};
+        Object.entries(node).forEach(([key, value]) => {
+            if (!key.startsWith('@')) {
+                const converted = fromJsonLd(value, depth + 1);
+                (Array.isArray(converted) ? converted : [converted]).forEach(item => addValue(properties, shortName(key), item));
+            }
+        });
+        const types = [].concat(node['@type'] || []).map(shortName);
+        return entity(types, node['@id'], properties);
+    }
+
+    document.querySelectorAll('script[type="application/ld+json"]').forEach((script, index) => {
+        // Some sites wrap the JSON in HTML comments or CDATA markers
+        const text = script.textContent
+            .replace(/^\s*(?:<!--|\/\/\s*<!\[CDATA\[|<!\[CDATA\[)/, '')
+            .replace(/(?:-->|\/\/\s*\]\]>|\]\]>)\s*$/, '')
+            .trim();
+        if (!text) {
+            return;
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            errors.push({ source: 'json-ld', index, message: error.message, snippet: text.slice(0, 100) });
+            return;
+        }
+
+        // Top-level arrays and @graph nodes each become an entity of their own
+        const queue = [].concat(parsed);
+        while (queue.length) {
+            const node = queue.shift();
+            if (!node || typeof node !== 'object' || Array.isArray(node)) {
+                errors.push({ source: 'json-ld', index, message: 'Expected a JSON-LD object', snippet: JSON.stringify(node).slice(0, 100) });
+                continue;
+            }
+            if (node['@graph']) {
+                queue.push(...[].concat(node['@graph']));
+                const { '@graph': graph, '@context': context, ...rest } = node;
+                if (!Object.keys(rest).length) {
+                    continue;
+                }
+            }
+            entities.push(withSource(fromJsonLd(node, 0), 'json-ld'));
+        }
+    });
+
+    // Value of a Microdata or RDFa property element (per the HTML Microdata value rules, plus
+    // the content attribute on any element, which sites use for machine-readable prices and dates)
+    function elementValue(el, rdfa) {
+        if (el.hasAttribute('content')) {
+            return el.getAttribute('content').trim();
+        }
+        const tag = el.tagName;
+        if (['AUDIO', 'EMBED', 'IFRAME', 'IMG', 'SOURCE', 'TRACK', 'VIDEO'].includes(tag) && el.getAttribute('src')) {
+            return absolute(el.getAttribute('src'));
+        }
+        if (['A', 'AREA', 'LINK'].includes(tag) && el.getAttribute('href')) {
+            return absolute(el.getAttribute('href'));
+        }
+        if (rdfa && el.hasAttribute('resource')) {
+            return absolute(el.getAttribute('resource'));
+        }
+        if (tag === 'OBJECT' && el.getAttribute('data')) {
+            return absolute(el.getAttribute('data'));
+        }
+        if ((tag === 'DATA' || tag === 'METER') && el.hasAttribute('value')) {
+            return el.getAttribute('value');
+        }
+        if (tag === 'TIME' && el.getAttribute('datetime')) {
+            return el.getAttribute('datetime');
+        }
+        return el.textContent.replace(/\s+/g, ' ').trim();
+    }
+
+    // Property elements of an item: descendants not inside a nested item
+    function collect(root, propertyAttr, itemAttr, found) {
+        Array.from(root.children).forEach(child => {
+            if (child.hasAttribute(propertyAttr)) {
+                found.push(child);
+            }
+            if (!child.hasAttribute(itemAttr)) {
+                collect(child, propertyAttr, itemAttr, found);
+            }
+        });
+        return found;
+    }
+
+    // Microdata
+    function fromMicrodata(item, seen) {
+        const types = (item.getAttribute('itemtype') || '').split(/\s+/).filter(Boolean).map(type => type.replace(/^https?:\/\/schema\.org\//i, ''));
+        const properties = {};
+        if (seen.has(item) || seen.size > MAX_DEPTH) {
+            return entity(types, item.getAttribute('itemid'), properties);
+        }
+        seen = new Set(seen).add(item);
+
+        const elements = collect(item, 'itemprop', 'itemscope', []);
+        (item.getAttribute('itemref') || '').split(/\s+/).filter(Boolean).forEach(ref => {
+            const referenced = document.getElementById(ref);
+            if (referenced) {
+                if (referenced.hasAttribute('itemprop')) {
+                    elements.push(referenced);
+                }
+                if (!referenced.hasAttribute('itemscope')) {
+                    collect(referenced, 'itemprop', 'itemscope', elements);
+                }
+            }
+        });
+
+        elements.forEach(el => {
+            const value = el.hasAttribute('itemscope') ? fromMicrodata(el, seen) : elementValue(el, false);
+            el.getAttribute('itemprop').split(/\s+/).filter(Boolean).forEach(name => addValue(properties, shortName(name), value));
+        });
+        return entity(types, item.getAttribute('itemid'), properties);
+    }
+
+    document.querySelectorAll('[itemscope]:not([itemprop])').forEach(item => {
+        entities.push(withSource(fromMicrodata(item, new Set()), 'microdata'));
+    });
+
+    // RDFa (the RDFa Lite subset: vocab, typeof, property, resource)
+    function fromRdfa(item, depth) {
+        const types = (item.getAttribute('typeof') || '').split(/\s+/).filter(Boolean).map(shortName);
+        const properties = {};
+        if (depth <= MAX_DEPTH) {
+            collect(item, 'property', 'typeof', []).forEach(el => {
+                const value = el.hasAttribute('typeof') ? fromRdfa(el, depth + 1) : elementValue(el, true);
+                el.getAttribute('property').split(/\s+/).filter(Boolean).forEach(name => addValue(properties, shortName(name), value));
+            });
+        }
+        const id = item.getAttribute('resource') || item.getAttribute('about');
+        return entity(types, id && absolute(id), properties);
+    }
+
+    document.querySelectorAll('[typeof]').forEach(item => {
+        // Items that are a property of another item are nested in it instead
+        if (item.hasAttribute('property') && item.parentElement && item.parentElement.closest('[typeof]')) {
+            return;
+        }
+        entities.push(withSource(fromRdfa(item, 0), 'rdfa'));
+    });
+
+    return { entities, errors };
+}
+
+module.exports = { extractStructuredData };
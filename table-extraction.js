@@ -0,0 +1,231 @@
+// HTML tables as header-keyed rows, with spanned cells expanded and CSV output
+
+const TABLE_FORMATS = ['json', 'csv'];
+
+// Tables in the default result; type "tables" returns them all
+const DEFAULT_RESULT_TABLES = 5;
+
+// Validate options.tableSelector / options.format. Settings are returned for every call, since the
+// default result lists tables too; format "csv" only applies to type "tables".
+function validateTableOptions(options) {
+    if (options.tableSelector !== undefined && (typeof options.tableSelector !== 'string' || !options.tableSelector.trim())) {
+        return { valid: false, reason: 'tableSelector must be a CSS selector string' };
+    }
+
+    const format = options.format || 'json';
+    if (!TABLE_FORMATS.includes(format)) {
+        return { valid: false, reason: `format must be one of ${TABLE_FORMATS.join(', ')}` };
+    }
+    if (format === 'csv' && options.type !== 'tables') {
+        return { valid: false, reason: 'format "csv" requires type "tables"' };
+    }
+
+    return {
+        valid: true,
+        tables: {
+            selector: options.tableSelector ? options.tableSelector.trim() : null,
+            format
+        }
+    };
+}
+
+// Extract tables from the page. Runs inside the page (page.evaluate / evaluateInDom), so it must be
+// self-contained. settings.selector limits the result to the first matching table, settings.limit
+// to the first tables, and settings.grid false leaves out each table's cell grid.
+function extractTables(settings) {
+    const HEADING = /^H[1-6]$/;
+    const MAX_SPAN = 1000;
+    const all = Array.from(document.querySelectorAll('table'));
+
+    let targets = all;
+    if (settings.selector) {
+        const match = document.querySelector(settings.selector);
+        // A selector may point at a wrapper around the table
+        const table = match && (match.tagName === 'TABLE' ? match : match.querySelector('table'));
+        targets = table ? [table] : [];
+    }
+
+    const clean = text => (text || '').replace(/\s+/g, ' ').trim();
+
+    // Cell text without the text of tables nested inside it
+    const cellText = cell => {
+        if (!cell.querySelector('table')) {
+            return clean(cell.textContent);
+        }
+        const copy = cell.cloneNode(true);
+        copy.querySelectorAll('table').forEach(nested => nested.remove());
+        return clean(copy.textContent);
+    };
+
+    // Closest heading before the table in document order
+    const precedingHeading = table => {
+        for (let node = table; node && node !== document.body; node = node.parentElement) {
+            for (let sibling = node.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+                if (HEADING.test(sibling.tagName)) {
+                    return clean(sibling.textContent);
+                }
+                const inner = sibling.querySelectorAll('h1, h2, h3, h4, h5, h6');
+                if (inner.length) {
+                    return clean(inner[inner.length - 1].textContent);
+                }
+            }
+        }
+        return null;
+    };
+
+    const tableName = table => {
+        const caption = table.caption ? clean(table.caption.textContent) : null;
+        if (caption) {
+            return { name: caption, caption, nameSource: 'caption' };
+        }
+        const labelledBy = table.getAttribute('aria-labelledby');
+        const label = table.getAttribute('aria-label')
+            || (labelledBy && labelledBy.split(/\s+/).map(id => document.getElementById(id)).filter(Boolean).map(el => clean(el.textContent)).join(' '));
+        if (label) {
+            return { name: clean(label), caption: null, nameSource: 'aria-label' };
+        }
+        const heading = precedingHeading(table);
+        return { name: heading, caption: null, nameSource: heading ? 'heading' : null };
+    };
+
+    return targets.map(table => {
+        // table.rows only holds this table's rows, not those of nested tables
+        const rows = Array.from(table.rows);
+        const grid = [];
+
+        rows.forEach((row, r) => {
+            grid[r] = grid[r] || [];
+            let column = 0;
+            Array.from(row.cells).forEach(cell => {
+                while (grid[r][column] !== undefined) {
+                    column++;
+                }
+                const colspan = Math.min(Math.max(parseInt(cell.getAttribute('colspan')) || 1, 1), MAX_SPAN);
+                const rowspanAttr = parseInt(cell.getAttribute('rowspan'));
+                // rowspan="0" spans the rest of the row group
+                const groupEnd = row.parentElement ? rows.indexOf(row.parentElement.rows[row.parentElement.rows.length - 1]) + 1 : rows.length;
+                const rowspan = rowspanAttr === 0 ? Math.max(groupEnd - r, 1) : Math.min(Math.max(rowspanAttr || 1, 1), rows.length - r);
+
+                const value = { text: cellText(cell), header: cell.tagName === 'TH' };
+                for (let dr = 0; dr < rowspan; dr++) {
+                    grid[r + dr] = grid[r + dr] || [];
+                    for (let dc = 0; dc < colspan; dc++) {
+                        grid[r + dr][column + dc] = value;
+                    }
+                }
+                column += colspan;
+            });
+        });
+
+        const width = Math.max(0, ...grid.map(cells => cells.length));
+        const texts = grid.map(cells => Array.from({ length: width }, (_, i) => (cells[i] ? cells[i].text : '')));
+
+        // Header rows: the <thead>, or else the leading rows made only of <th> cells
+        const headerRows = [];
+        rows.forEach((row, r) => {
+            const inHead = row.parentElement && row.parentElement.tagName === 'THEAD';
+            const allHeaders = grid[r].length > 0 && grid[r].every(cell => cell && cell.header);
+            if (inHead || (!table.tHead && headerRows.length === r && allHeaders && r < rows.length - 1)) {
+                headerRows.push(r);
+            }
+        });
+        const footerRows = rows
+            .map((row, r) => (row.parentElement && row.parentElement.tagName === 'TFOOT' ? r : -1))
+            .filter(r => r >= 0 && !headerRows.includes(r));
+
+        // Multi-row headers are joined per column ("2023 / Q1"); blanks and duplicates get unique keys
+        const seen = {};
+        const headers = Array.from({ length: width }, (_, i) => {
+            const parts = [];
+            headerRows.forEach(r => {
+                const text = texts[r][i];
+                if (text && parts[parts.length - 1] !== text) {
+                    parts.push(text);
+                }
+            });
+            let key = parts.join(' / ') || `column${i + 1}`;
+            seen[key] = (seen[key] || 0) + 1;
+            if (seen[key] > 1) {
+                key = `${key} (${seen[key]})`;
+            }
+            return key;
+        });
+
+        const toObject = r => Object.fromEntries(headers.map((header, i) => [header, texts[r][i]]));
+        const bodyRows = texts
+            .map((_, r) => r)
+            .filter(r => !headerRows.includes(r) && !footerRows.includes(r) && texts[r].some(Boolean));
+
+        const parent = table.parentElement && table.parentElement.closest('table');
+
+        return {
+            id: all.indexOf(table),
+            ...tableName(table),
+            headers,
+            rows: bodyRows.map(toObject),
+            footer: footerRows.map(toObject),
+            rowCount: bodyRows.length,
+            columnCount: width,
+            parentId: parent ? all.indexOf(parent) : null,
+            nestedIds: Array.from(table.querySelectorAll('table'))
+                .filter(nested => nested.parentElement.closest('table') === table)
+                .map(nested => all.indexOf(nested)),
+            ...(settings.grid !== false && { data: texts })
+        };
+    }).filter(table => table.columnCount > 0).slice(0, settings.limit || undefined);
+}
+
+// Settings for the tables of the default result: the first few, as header-keyed rows only,
+// so pages full of tables do not swell every response
+function defaultResultTableSettings(settings) {
+    return { ...settings, limit: DEFAULT_RESULT_TABLES, grid: false };
+}
+
+// RFC 4180 CSV of a table's header row, body rows and footer rows
+function tableToCsv(table) {
+    const field = value => (/[",\r\n]/.test(value) || /^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+    const lines = [table.headers, ...[...table.rows, ...table.footer].map(row => table.headers.map(header => row[header]))];
+    return lines.map(cells => cells.map(value => field(String(value ?? ''))).join(',')).join('\r\n') + '\r\n';
+}
+
+// Result for type "tables": every table, the one matching tableSelector, or that table as a CSV file
+function buildTablesOutput(tables, settings, page) {
+    if (settings.selector && tables.length === 0) {
+        throw new Error(`tableSelector "${settings.selector}" matched no table`);
+    }
+
+    if (settings.format === 'csv') {
+        if (tables.length === 0) {
+            throw new Error('No table found for CSV output');
+        }
+        const table = tables[0];
+        const content = tableToCsv(table);
+        return {
+            type: 'table',
+            format: 'csv',
+            contentType: 'text/csv; charset=utf-8',
+            name: table.name,
+            tableId: table.id,
+            rowCount: table.rowCount,
+            byteLength: Buffer.byteLength(content),
+            encoding: 'utf8',
+            content
+        };
+    }
+
+    return {
+        url: page.url,
+        title: page.title,
+        count: tables.length,
+        tables
+    };
+}
+
+module.exports = {
+    validateTableOptions,
+    extractTables,
+    defaultResultTableSettings,
+    tableToCsv,
+    buildTablesOutput,
+    TABLE_FORMATS
+};
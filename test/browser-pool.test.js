@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const { BrowserPool, processTreeMemoryMB } = require('../browser-pool');
+
+// Enough of a puppeteer Browser for acquire(). A crashing one disconnects as soon as the pool
+// listens for it, before the acquire() waiting on the launch gets to use it.
+function fakeBrowser({ crash = false } = {}) {
+  const browser = new EventEmitter();
+  browser.process = () => null;
+  browser.createIncognitoBrowserContext = async () => ({
+    newPage: async () => ({}),
+    close: async () => {}
+  });
+  browser.close = async () => {};
+  browser.on('newListener', (event, listener) => {
+    if (crash && event === 'disconnected') {
+      queueMicrotask(listener);
+    }
+  });
+  return browser;
+}
+
+test('a browser that disconnects during launch is replaced once', async () => {
+  const pool = new BrowserPool({ maxPages: 2 });
+  const launched = [];
+  pool.launchBrowser = async () => {
+    const browser = fakeBrowser({ crash: launched.length === 0 });
+    launched.push(browser);
+    return browser;
+  };
+
+  const { release } = await pool.acquire();
+  assert.equal(launched.length, 2);
+  assert.equal(pool.current.browser, launched[1]);
+  await release();
+  await pool.close();
+});
+
+test('a browser that keeps disconnecting fails acquire() and frees its slot', async () => {
+  const pool = new BrowserPool({ maxPages: 1 });
+  pool.launchBrowser = async () => fakeBrowser({ crash: true });
+
+  await assert.rejects(pool.acquire(), /disconnected/);
+  assert.equal(pool.activePages, 0);
+  await pool.close();
+});
+
+test('memory is summed over a process and its children', { skip: !fs.existsSync('/proc/self/stat') }, async t => {
+  const child = spawn(process.execPath, ['-e', 'setTimeout(() => {}, 30000)'], { stdio: 'ignore' });
+  t.after(() => child.kill());
+  await new Promise(resolve => child.once('spawn', resolve));
+
+  const own = processTreeMemoryMB(child.pid);
+  const tree = processTreeMemoryMB(process.pid);
+  assert.ok(own > 0);
+  assert.ok(tree >= own);
+  assert.equal(processTreeMemoryMB(2 ** 22 + 1), 0);
+});
@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { CrawlManager, validateCrawlSettings, globToRegExp, matchesGlob, sameSite } = require('../crawl-manager');
+
+test('globToRegExp: "*" stays within a path segment, "**" crosses segments', () => {
+  assert.equal(globToRegExp('/blog/*').test('/blog/post-1'), true);
+  assert.equal(globToRegExp('/blog/*').test('/blog/2024/post-1'), false);
+  assert.equal(globToRegExp('/blog/**').test('/blog/2024/post-1'), true);
+  assert.equal(globToRegExp('/docs/**/intro').test('/docs/v2/guide/intro'), true);
+  assert.equal(globToRegExp('/*.html').test('/index.html'), true);
+});
+
+test('globToRegExp escapes regex characters', () => {
+  assert.equal(globToRegExp('/search?q=*').test('/search?q=shoes'), true);
+  assert.equal(globToRegExp('/search?q=*').test('/searchXq=shoes'), false);
+  assert.equal(globToRegExp('/a.b').test('/axb'), false);
+  assert.equal(globToRegExp('/(x)+').test('/(x)+'), true);
+});
+
+test('matchesGlob matches paths against path and query, other globs against the full URL', () => {
+  assert.equal(matchesGlob('https://example.com/blog/post?page=2', '/blog/*'), true);
+  assert.equal(matchesGlob('https://example.com/blog/post', '/blog/*'), true);
+  assert.equal(matchesGlob('https://example.com/blog/post', 'https://example.com/blog/*'), true);
+  assert.equal(matchesGlob('https://other.com/blog/post', 'https://example.com/**'), false);
+});
+
+test('sameSite ignores www and rejects other hosts and protocols', () => {
+  assert.equal(sameSite('https://www.example.com/a', 'https://example.com/'), true);
+  assert.equal(sameSite('http://EXAMPLE.com/a', 'https://example.com/'), true);
+  assert.equal(sameSite('https://shop.example.com/a', 'https://example.com/'), false);
+  assert.equal(sameSite('mailto:hi@example.com', 'https://example.com/'), false);
+  assert.equal(sameSite('not a url', 'https://example.com/'), false);
+});
+
+test('validateCrawlSettings fills in defaults and checks limits', () => {
+  assert.deepEqual(validateCrawlSettings({}).settings, { maxPages: 10, maxDepth: 2, include: [], exclude: [], useSitemap: true });
+  assert.equal(validateCrawlSettings({ maxDepth: 0 }).settings.maxDepth, 0);
+  assert.equal(validateCrawlSettings({ maxPages: 1000 }).valid, false);
+  assert.equal(validateCrawlSettings({ maxDepth: 'deep' }).valid, false);
+  // No silent defaults or rounding: credits are reserved for maxPages
+  assert.equal(validateCrawlSettings({ maxPages: 0 }).valid, false);
+  assert.equal(validateCrawlSettings({ maxPages: 2.5 }).valid, false);
+  assert.equal(validateCrawlSettings({ maxPages: '20' }).valid, false);
+  assert.equal(validateCrawlSettings({ maxPages: null }).valid, false);
+  assert.equal(validateCrawlSettings({ maxPages: 100 }).settings.maxPages, 100);
+  assert.equal(validateCrawlSettings({ maxDepth: 1.5 }).valid, false);
+  assert.match(validateCrawlSettings({ include: '/blog/*' }).reason, /include must be an array/);
+});
+
+test('sitemaps are fetched with the crawl\'s user agent and redirects stay on the site', async t => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ host: req.headers.host.split(':')[0], path: req.url, userAgent: req.headers['user-agent'] });
+    const origin = `http://${req.headers.host}`;
+    if (req.url === '/sitemap.xml') {
+      res.setHeader('content-type', 'application/xml');
+      return res.end(`<sitemapindex><sitemap><loc>${origin}/pages.xml</loc></sitemap><sitemap><loc>${origin}/moved.xml</loc></sitemap></sitemapindex>`);
+    }
+    if (req.url === '/pages.xml') {
+      res.setHeader('content-type', 'application/xml');
+      return res.end(`<urlset><url><loc>${origin}/a</loc></url><url><loc>${origin}/b?x=1&amp;y=2</loc></url></urlset>`);
+    }
+    if (req.url === '/moved.xml') {
+      // Off the crawled site: 127.0.0.1 and localhost are different hosts
+      res.writeHead(301, { location: `http://localhost:${server.address().port}/pages.xml` });
+      return res.end();
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+
+  const origin = `http://127.0.0.1:${server.address().port}`;
+  const validated = [];
+  const blacklist = {
+    checkRobotsTxt: async () => ({ allowed: true, robotsTxt: `Sitemap: ${origin}/blocked.xml\nSitemap: https://other.test/sitemap.xml` }),
+    validateUrl: async url => {
+      validated.push(url);
+      return url.endsWith('/blocked.xml') ? { valid: false, reason: 'Blacklisted: test' } : { valid: true };
+    }
+  };
+  const manager = new CrawlManager({ proxyAgentsFor: () => ({}) }, blacklist, null);
+
+  const urls = await manager.discoverSitemapUrls(`${origin}/`, { headers: { 'User-Agent': 'crawl-test/1.0' } });
+  assert.deepEqual(urls, [`${origin}/a`, `${origin}/b?x=1&y=2`]);
+  assert.deepEqual(requests.map(request => request.path), ['/sitemap.xml', '/pages.xml', '/moved.xml']);
+  assert.ok(requests.every(request => request.host === '127.0.0.1' && request.userAgent === 'crawl-test/1.0'));
+  assert.ok(validated.includes(`${origin}/blocked.xml`));
+  assert.equal(validated.some(url => url.includes('other.test')), false);
+});
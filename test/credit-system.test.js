@@ -0,0 +1,82 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { CreditManager, TokenRef, hashToken } = require('../credit-system');
+
+function basicToken(manager) {
+  return manager.generateAccessToken({ tier: 'basic', paymentId: 'pay_1' }).accessToken;
+}
+
+test('engine discounts do not leave floating-point drift', () => {
+  const manager = new CreditManager({ file: null });
+  const token = basicToken(manager);
+
+  // Seven cache hits at 0.2 credits each
+  for (let i = 0; i < 7; i++) {
+    assert.equal(manager.validateAndConsumeCredit(token, 'basic').valid, true);
+    assert.equal(manager.refundEngineDiscount(token, 'basic', 'cache'), 0.8);
+  }
+  assert.equal(manager.getTokenInfo(token).usedCredits, 1.4);
+  assert.equal(manager.getTokenInfo(token).remainingCredits, 8.6);
+  assert.equal(manager.getStats().totalCreditsUsed, 1.4);
+});
+
+test('static scrapes cost half a credit and failures are refunded in full', () => {
+  const manager = new CreditManager({ file: null });
+  const token = basicToken(manager);
+
+  assert.equal(manager.validateAndConsumeCredit(token, 'basic', 3).remainingCredits, 7);
+  assert.equal(manager.refundEngineDiscount(token, 'basic', 'static', 3), 1.5);
+  assert.equal(manager.refundEngineDiscount(token, 'basic', 'browser', 3), 0);
+  assert.equal(manager.refundCredits(token, 'basic', 1), 1);
+  assert.equal(manager.getTokenInfo(token).usedCredits, 0.5);
+  // Never refunds more than was used
+  assert.equal(manager.refundCredits(token, 'basic', 5), 0.5);
+  assert.equal(manager.getTokenInfo(token).usedCredits, 0);
+});
+
+test('validateAndConsumeCredit refuses when credits run out', () => {
+  const manager = new CreditManager({ file: null });
+  const token = basicToken(manager);
+  assert.deepEqual(manager.validateAndConsumeCredit(token, 'basic', 11), {
+    valid: false,
+    error: 'Insufficient credits',
+    available: 10,
+    needed: 11
+  });
+  assert.equal(manager.validateAndConsumeCredit('nope', 'basic').error, 'Invalid access token');
+});
+
+test('balances are saved on every change under the token hash, and reloaded', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'credits-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'credits.json');
+
+  const manager = new CreditManager({ file });
+  const token = basicToken(manager);
+  manager.validateAndConsumeCredit(token, 'basic', 3);
+  manager.refundCredits(token, 'basic', 1);
+  await manager.saving;
+
+  const saved = fs.readFileSync(file, 'utf8');
+  assert.equal(saved.includes(token), false);
+  assert.deepEqual(JSON.parse(saved).tokens.map(record => [record.key, record.usedCredits]), [[hashToken(token), 2]]);
+
+  // After a restart the token still works, with what was spent still spent
+  const restarted = new CreditManager({ file });
+  assert.equal(restarted.getTokenInfo(token).remainingCredits, 8);
+  assert.equal(restarted.validateAndConsumeCredit(token, 'basic').remainingCredits, 7);
+});
+
+test('a TokenRef bills the token whose hash it holds', () => {
+  const manager = new CreditManager({ file: null });
+  const token = basicToken(manager);
+  const ref = new TokenRef(hashToken(token));
+
+  assert.equal(manager.validateAndConsumeCredit(ref, 'basic').remainingCredits, 9);
+  assert.equal(manager.getTokenInfo(token).usedCredits, 1);
+  // The hash itself is not a token
+  assert.equal(manager.getTokenInfo(hashToken(token)), null);
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun, isValidTimezone } = require('../cron-expression');
+
+function next(expression, after, timezone = 'UTC') {
+  const { fields } = parseCron(expression);
+  const run = nextRun(fields, new Date(after), timezone);
+  return run && run.toISOString();
+}
+
+test('parseCron expands steps, ranges, lists and names', () => {
+  const { valid, fields } = parseCron('*/15 8-18/2 1,15 JAN-MAR mon-fri');
+  assert.equal(valid, true);
+  assert.deepEqual([...fields.minute], [0, 15, 30, 45]);
+  assert.deepEqual([...fields.hour], [8, 10, 12, 14, 16, 18]);
+  assert.deepEqual([...fields.dayOfMonth], [1, 15]);
+  assert.deepEqual([...fields.month], [1, 2, 3]);
+  assert.deepEqual([...fields.dayOfWeek], [1, 2, 3, 4, 5]);
+});
+
+test('parseCron treats 7 as Sunday and "5/10" as every 10 from 5', () => {
+  assert.deepEqual([...parseCron('0 0 * * 7').fields.dayOfWeek], [0]);
+  assert.deepEqual([...parseCron('5/20 * * * *').fields.minute], [5, 25, 45]);
+});
+
+test('parseCron accepts aliases', () => {
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+  assert.equal(parseCron('@HOURLY').valid, true);
+});
+
+test('parseCron rejects malformed expressions', () => {
+  for (const expression of ['', '* * * *', '60 * * * *', '* * 0 * *', '*/0 * * * *', '5-1 * * * *', '* * * FOO *', '*/x * * * *']) {
+    const result = parseCron(expression);
+    assert.equal(result.valid, false, expression);
+    assert.match(result.reason, /cron/);
+  }
+  assert.equal(parseCron(null).valid, false);
+});
+
+test('nextRun returns the first matching minute strictly after the given time', () => {
+  assert.equal(next('*/15 * * * *', '2024-03-01T10:00:00Z'), '2024-03-01T10:15:00.000Z');
+  assert.equal(next('*/15 * * * *', '2024-03-01T10:07:30Z'), '2024-03-01T10:15:00.000Z');
+  assert.equal(next('30 9 * * *', '2024-03-01T10:00:00Z'), '2024-03-02T09:30:00.000Z');
+  assert.equal(next('0 0 1 1 *', '2024-03-01T00:00:00Z'), '2025-01-01T00:00:00.000Z');
+});
+
+test('nextRun matches either day field when both are restricted', () => {
+  // 2024-03-01 is a Friday: the 15th or the next Monday, whichever comes first
+  assert.equal(next('0 12 15 * MON', '2024-03-01T00:00:00Z'), '2024-03-04T12:00:00.000Z');
+  assert.equal(next('0 12 15 * *', '2024-03-01T00:00:00Z'), '2024-03-15T12:00:00.000Z');
+});
+
+test('nextRun evaluates the expression in the timezone', () => {
+  assert.equal(next('0 9 * * *', '2024-01-10T00:00:00Z', 'Europe/Berlin'), '2024-01-10T08:00:00.000Z');
+  assert.equal(next('0 9 * * *', '2024-07-10T00:00:00Z', 'Europe/Berlin'), '2024-07-10T07:00:00.000Z');
+  assert.equal(next('0 9 * * *', '2024-01-10T00:00:00Z', 'America/New_York'), '2024-01-10T14:00:00.000Z');
+});
+
+test('nextRun skips local times that a DST change removes', () => {
+  // Clocks in Berlin jump from 02:00 to 03:00 on 2024-03-31
+  assert.equal(next('30 2 * * *', '2024-03-30T12:00:00Z', 'Europe/Berlin'), '2024-04-01T00:30:00.000Z');
+  assert.equal(next('0 3 * * *', '2024-03-30T12:00:00Z', 'Europe/Berlin'), '2024-03-31T01:00:00.000Z');
+});
+
+test('nextRun returns null for dates that never occur', () => {
+  assert.equal(next('0 0 30 2 *', '2024-01-01T00:00:00Z'), null);
+});
+
+test('isValidTimezone', () => {
+  assert.equal(isValidTimezone('Europe/Berlin'), true);
+  assert.equal(isValidTimezone('Mars/Olympus'), false);
+});
@@ -0,0 +1,158 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, buildSelectionSchema, extractWithSchema } = require('../extraction-schema');
+const { createDom, evaluateInDom } = require('../static-engine');
+
+const PAGE = `<html><head><title>Shop</title></head><body>
+  <h1> Blue  Widget </h1>
+  <span class="price">$1,299.50</span>
+  <span class="stock">12 left</span>
+  <span class="sale">no</span>
+  <ul>
+    <li class="item"><a href="/p/1">One</a><b>$5</b></li>
+    <li class="item"><a href="/p/2">Two</a><b>free</b></li>
+  </ul>
+</body></html>`;
+
+function extract(fields, html = PAGE) {
+  const { valid, schema, reason } = validateSchema(fields);
+  assert.equal(valid, true, reason);
+  return evaluateInDom(createDom(html, 'https://shop.example/products/widget'), extractWithSchema, schema);
+}
+
+test('validateSchema expands selector shorthand and fills in defaults', () => {
+  const { schema } = validateSchema({ title: 'h1' });
+  assert.deepEqual(schema.title, {
+    selector: 'h1',
+    xpath: null,
+    attribute: 'text',
+    style: null,
+    regex: null,
+    regexFlags: '',
+    group: null,
+    multiple: false,
+    type: 'string',
+    default: null,
+    fields: null
+  });
+});
+
+test('validateSchema rejects malformed schemas with the field path', () => {
+  assert.match(validateSchema([]).reason, /^Invalid schema: schema must be an object/);
+  assert.match(validateSchema({ price: 5 }).reason, /Field "price" must be a selector string/);
+  assert.match(validateSchema({ price: { selector: '.p', type: 'money' } }).reason, /Field "price": type must be one of/);
+  assert.match(validateSchema({ item: { fields: { name: { selector: 'a', xpath: '//a' } } } }).reason, /Field "item.name" cannot have both/);
+  assert.match(validateSchema({ price: { selector: '.p', regex: '(' } }).reason, /Field "price": Invalid regular expression/);
+});
+
+test('validateSchema limits nesting depth and field count', () => {
+  let deep = { leaf: 'span' };
+  for (let level = 0; level < 5; level++) {
+    deep = { nested: { selector: 'div', fields: deep } };
+  }
+  assert.match(validateSchema(deep).reason, /nesting deeper than 5 levels/);
+
+  const wide = Object.fromEntries(Array.from({ length: 101 }, (_, index) => [`f${index}`, 'span']));
+  assert.match(validateSchema(wide).reason, /more than 100 fields/);
+});
+
+test('extractWithSchema coerces values to the field type', () => {
+  assert.deepEqual(extract({
+    title: 'h1',
+    price: { selector: '.price', type: 'number' },
+    stock: { selector: '.stock', type: 'integer' },
+    onSale: { selector: '.sale', type: 'boolean' },
+    link: { selector: 'li a', attribute: 'href', type: 'url' },
+    missing: { selector: '.rating', type: 'number', default: 0 }
+  }), {
+    title: 'Blue Widget',
+    price: 1299.5,
+    stock: 12,
+    onSale: false,
+    link: 'https://shop.example/p/1',
+    missing: 0
+  });
+});
+
+test('extractWithSchema returns lists of nested objects for multiple fields', () => {
+  assert.deepEqual(extract({
+    items: {
+      selector: 'li.item',
+      multiple: true,
+      fields: {
+        name: 'a',
+        price: { selector: 'b', type: 'number', default: 0 }
+      }
+    }
+  }), {
+    items: [{ name: 'One', price: 5 }, { name: 'Two', price: 0 }]
+  });
+  assert.deepEqual(extract({ none: { selector: '.rating', multiple: true } }), { none: [] });
+});
+
+test('extractWithSchema selects with XPath, including attribute and text nodes', () => {
+  assert.deepEqual(extract({
+    names: { xpath: '//li[@class="item"]/a', multiple: true },
+    hrefs: { xpath: '//li/a/@href', multiple: true },
+    heading: { xpath: '//h1/text()' },
+    second: { xpath: '(//li)[2]', fields: { price: { xpath: './b' } } }
+  }), {
+    names: ['One', 'Two'],
+    hrefs: ['/p/1', '/p/2'],
+    heading: 'Blue  Widget',
+    second: { price: 'free' }
+  });
+});
+
+test('extractWithSchema reads attributes, own text and tag names', () => {
+  const html = '<div id="box" data-sku="W-1">Widget <em>new</em> edition<img src="/w.png"></div>';
+  assert.deepEqual(extract({
+    sku: { selector: '#box', attribute: 'data-sku' },
+    ownText: { selector: '#box', attribute: 'ownText' },
+    inner: { selector: '#box em', attribute: 'html' },
+    image: { selector: 'img', attribute: 'src' },
+    tag: { selector: '#box > *', attribute: 'tagName' }
+  }, html), {
+    sku: 'W-1',
+    ownText: 'Widget edition',
+    inner: 'new',
+    image: 'https://shop.example/w.png',
+    tag: 'em'
+  });
+});
+
+test('extractWithSchema applies regex groups before coercion', () => {
+  assert.deepEqual(extract({
+    whole: { selector: '.price', regex: '[0-9,.]+' },
+    firstGroup: { selector: '.price', regex: '\\$([0-9,]+)', type: 'integer' },
+    cents: { selector: '.price', regex: '\\.(?<cents>\\d+)', group: 'cents' },
+    unmatched: { selector: '.stock', regex: 'sold out', default: 'in stock' }
+  }), {
+    whole: '1,299.50',
+    firstGroup: 1299,
+    cents: '50',
+    unmatched: 'in stock'
+  });
+});
+
+test('extractWithSchema reports invalid selectors and XPath', () => {
+  assert.throws(() => extract({ bad: { selector: 'li[' } }), /Invalid selector "li\["/);
+  assert.throws(() => extract({ bad: { xpath: '//li[' } }), /Invalid XPath/);
+});
+
+test('buildSelectionSchema maps flat selection options onto a schema', () => {
+  const { schema } = buildSelectionSchema(
+    { selector: 'li.item a', attributes: ['href'], ownText: true, regex: 'T(\\w+)' },
+    { text: { attribute: 'text' } }
+  );
+  const { selection } = schema;
+  assert.equal(selection.multiple, true);
+  assert.deepEqual(Object.keys(selection.fields), ['text', 'attributes', 'ownText', 'match']);
+  assert.equal(selection.fields.match.attribute, 'ownText');
+
+  const data = evaluateInDom(createDom(PAGE, 'https://shop.example/'), extractWithSchema, schema);
+  assert.deepEqual(data.selection, [
+    { text: 'One', attributes: { href: 'https://shop.example/p/1' }, ownText: 'One', match: null },
+    { text: 'Two', attributes: { href: 'https://shop.example/p/2' }, ownText: 'Two', match: 'wo' }
+  ]);
+});
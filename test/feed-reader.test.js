@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseFeed, discoverFeeds, validateFeedOptions } = require('../feed-reader');
+const { EnhancedScraper } = require('../enhanced-scraper');
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>Blog</title><link>https://example.com/</link><description>D</description><language>en</language>
+    <item>
+      <title>Post &amp; more</title><link>/p/1</link><guid>g1</guid>
+      <pubDate>Fri, 01 Mar 2024 10:00:00 GMT</pubDate><dc:creator>Ann</dc:creator><category>news</category>
+      <description><![CDATA[<p>Hello <b>world</b></p>]]></description>
+      <enclosure url="/a.mp3" type="audio/mpeg" length="123"/>
+    </item>
+  </channel>
+</rss>`;
+
+test('parseFeed reads RSS 2.0 with relative links, HTML summaries and enclosures', () => {
+  const feed = parseFeed(RSS, 'https://example.com/feed.xml');
+  assert.deepEqual(
+    { format: feed.format, version: feed.version, title: feed.title, language: feed.language },
+    { format: 'rss', version: '2.0', title: 'Blog', language: 'en' }
+  );
+  assert.deepEqual(feed.items, [{
+    id: 'g1',
+    title: 'Post & more',
+    link: 'https://example.com/p/1',
+    date: '2024-03-01T10:00:00.000Z',
+    updated: '2024-03-01T10:00:00.000Z',
+    author: 'Ann',
+    summary: 'Hello world',
+    categories: ['news'],
+    enclosures: [{ url: 'https://example.com/a.mp3', type: 'audio/mpeg', length: 123 }]
+  }]);
+});
+
+test('parseFeed reads Atom entries', () => {
+  const feed = parseFeed(`<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>A</title><link href="https://example.com/"/><updated>2024-03-01T00:00:00Z</updated>
+    <entry>
+      <title>E</title><id>urn:1</id><link rel="alternate" href="https://example.com/e"/>
+      <updated>2024-03-02T00:00:00Z</updated><author><name>Bo</name></author><summary>S</summary>
+    </entry>
+  </feed>`, 'https://example.com/atom.xml');
+  assert.equal(feed.format, 'atom');
+  assert.equal(feed.updated, '2024-03-01T00:00:00.000Z');
+  assert.deepEqual(
+    { id: feed.items[0].id, link: feed.items[0].link, author: feed.items[0].author, summary: feed.items[0].summary },
+    { id: 'urn:1', link: 'https://example.com/e', author: 'Bo', summary: 'S' }
+  );
+});
+
+test('parseFeed reads JSON Feed and rejects HTML', () => {
+  const feed = parseFeed(JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: 'J',
+    items: [{ id: '1', url: '/j', content_html: '<i>x</i>', date_published: '2024-03-01T00:00:00Z', tags: ['t'] }]
+  }), 'https://example.com/feed.json');
+  assert.equal(feed.format, 'json');
+  assert.deepEqual(
+    { link: feed.items[0].link, summary: feed.items[0].summary, categories: feed.items[0].categories },
+    { link: 'https://example.com/j', summary: 'x', categories: ['t'] }
+  );
+  assert.equal(parseFeed('<html><body>hi</body></html>', 'https://example.com/'), null);
+});
+
+test('discoverFeeds lists link tags, feed-like anchors, then common paths', () => {
+  const candidates = discoverFeeds(`<html><head>
+    <link rel="alternate" type="application/rss+xml" title="Main" href="/feed.xml">
+    <link rel="alternate" type="application/json+oembed" href="/oembed">
+    <link rel="alternate" type="application/atom+xml" href="https://other.test/atom.xml">
+  </head><body><a href="/blog/rss">RSS</a><a href="/about">About</a></body></html>`, 'https://example.com/blog/');
+
+  assert.deepEqual(candidates.slice(0, 3), [
+    { url: 'https://example.com/feed.xml', source: 'link', title: 'Main', type: 'application/rss+xml' },
+    { url: 'https://other.test/atom.xml', source: 'link', title: null, type: 'application/atom+xml' },
+    { url: 'https://example.com/blog/rss', source: 'anchor', title: 'RSS', type: null }
+  ]);
+  assert.ok(candidates.slice(3).every(candidate => candidate.source === 'path' && candidate.url.startsWith('https://example.com/')));
+  // The linked feed is not tried twice as a common path
+  assert.equal(candidates.filter(candidate => candidate.url === 'https://example.com/feed.xml').length, 1);
+  assert.equal(candidates.length, 8);
+});
+
+test('fetchFeedItems follows only links on the requested site that pass the blacklist', async () => {
+  const blacklist = { validateUrl: async url => (url.includes('/private') ? { valid: false, reason: 'Domain is blacklisted' } : { valid: true }) };
+  const scraper = new EnhancedScraper({ cache: null, blacklist });
+  const scraped = [];
+  scraper.scrapeEnhanced = async url => {
+    scraped.push(url);
+    return { success: true, data: { url }, metadata: { engine: 'static' } };
+  };
+
+  const { feed: settings } = validateFeedOptions({ type: 'feed', feed: { fetchItems: 5 } });
+  const result = await scraper.fetchFeedItems('https://example.com/', {
+    success: true,
+    // A feed discovered on another site, linking to that site's pages
+    data: {
+      feedUrl: 'https://third.test/feed.xml',
+      items: [
+        { link: 'https://example.com/a' },
+        { link: 'https://third.test/b' },
+        { link: 'https://example.com/private/c' },
+        { link: null }
+      ]
+    },
+    metadata: { engine: 'static', feed: {} }
+  }, settings);
+
+  assert.deepEqual(scraped, ['https://example.com/a']);
+  assert.deepEqual(result.data.items.map(item => item.page.error || 'ok'), [
+    'ok',
+    'Item link is on another site',
+    'Domain is blacklisted',
+    'Item has no link'
+  ]);
+  assert.equal(result.metadata.feed.itemPagesScraped, 1);
+});
@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { JobManager } = require('../job-manager');
+
+// Credits that record each refund
+function refundLog() {
+  const refunds = [];
+  return {
+    refunds,
+    refundCredits: (token, tier, count) => {
+      refunds.push(count);
+      return count;
+    },
+    refundEngineDiscount: () => 0
+  };
+}
+
+test('a crashed job refunds the items that were running or never started', async t => {
+  const credits = refundLog();
+  let lateResult;
+  const scraper = {
+    scrapeBatch: async (urls, options, { onStart, onResult }) => {
+      onStart(urls[0], 0);
+      onResult(urls[0], { success: true, data: {}, metadata: { engine: 'browser' } }, 0);
+      onStart(urls[1], 1);
+      onStart(urls[2], 2);
+      onResult(urls[2], { success: false, error: 'HTTP 500', errorCode: 'SCRAPE_FAILED' }, 2);
+      lateResult = () => onResult(urls[1], { success: true, data: {}, metadata: { engine: 'browser' } }, 1);
+      throw new Error('browser pool closed');
+    }
+  };
+  const manager = new JobManager(scraper, credits);
+  t.mock.method(console, 'error', () => {});
+
+  const job = manager.createJob({ urls: ['https://a.test/', 'https://b.test/', 'https://c.test/', 'https://d.test/'], tier: 'basic' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(job.status, 'failed');
+  assert.deepEqual(job.items.map(item => item.status), ['success', 'failed', 'failed', 'cancelled']);
+  assert.equal(job.items[1].errorCode, 'SCRAPE_FAILED');
+  // c when its result came in, then b and d when the job finished
+  assert.deepEqual(credits.refunds, [1, 2]);
+  assert.equal(job.creditsRefunded, 3);
+
+  // A result arriving after the job was settled changes nothing
+  lateResult();
+  assert.equal(job.items[1].status, 'failed');
+});
+
+test('a cancelled job refunds only the items that never ran', async () => {
+  const credits = refundLog();
+  let job;
+  const scraper = {
+    scrapeBatch: async (urls, options, { isCancelled, onStart, onResult }) => {
+      onStart(urls[0], 0);
+      await Promise.resolve();
+      manager.cancelJob(job.id);
+      onResult(urls[0], { success: true, data: {}, metadata: { engine: 'static' } }, 0);
+      assert.equal(isCancelled(), true);
+    }
+  };
+  const manager = new JobManager(scraper, credits);
+
+  job = manager.createJob({ urls: ['https://a.test/', 'https://b.test/'], tier: 'basic' });
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.equal(job.status, 'cancelled');
+  assert.deepEqual(job.items.map(item => item.status), ['success', 'cancelled']);
+  assert.deepEqual(credits.refunds, [1]);
+});
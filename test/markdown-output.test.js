@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateMarkdownOptions, convertToMarkdown } = require('../markdown-output');
+const { createDom, evaluateInDom } = require('../static-engine');
+
+const toMarkdown = (body, settings = { scope: 'page', tables: true }) =>
+  evaluateInDom(createDom(`<html><head><title>Doc</title></head><body>${body}</body></html>`, 'https://docs.example/guide/'), convertToMarkdown, settings).markdown;
+
+test('validateMarkdownOptions only applies to the markdown type', () => {
+  assert.deepEqual(validateMarkdownOptions({ type: 'text', markdown: 'junk' }), { valid: true, markdown: null });
+  assert.deepEqual(validateMarkdownOptions({ type: 'markdown' }).markdown, { scope: 'main', tables: true });
+  assert.deepEqual(validateMarkdownOptions({ type: 'markdown', markdown: { scope: 'page', tables: false } }).markdown, { scope: 'page', tables: false });
+  assert.equal(validateMarkdownOptions({ type: 'markdown', markdown: { scope: 'article' } }).valid, false);
+  assert.equal(validateMarkdownOptions({ type: 'markdown', markdown: [] }).valid, false);
+});
+
+test('convertToMarkdown writes headings, emphasis and absolute links', () => {
+  assert.equal(
+    toMarkdown('<h2>Install</h2><p>Run <code>npm i</code> and see <a href="../api" title="The &quot;API&quot;">the <b>API</b></a>.</p>'),
+    '## Install\n\nRun `npm i` and see [the **API**](https://docs.example/api "The \\"API\\"").'
+  );
+});
+
+test('convertToMarkdown keeps anchors and javascript: links as text and encodes spaces in URLs', () => {
+  assert.equal(
+    toMarkdown('<p><a href="#top">Top</a> <a href="javascript:void(0)">Menu</a> <a href="/a file (1).pdf">PDF</a></p>'),
+    'Top Menu [PDF](https://docs.example/a%20file%20%281%29.pdf)'
+  );
+});
+
+test('convertToMarkdown turns tables into GFM tables with escaped pipes', () => {
+  const table = '<table><thead><tr><th>Plan</th><th>Price</th></tr></thead>'
+    + '<tbody><tr><td>Basic</td><td>$5 | month</td></tr><tr><td>Pro</td></tr></tbody></table>';
+  assert.equal(
+    toMarkdown(table),
+    '| Plan | Price |\n| --- | --- |\n| Basic | $5 \\| month |\n| Pro |  |'
+  );
+  assert.equal(toMarkdown(table, { scope: 'page', tables: false }), 'Plan · Price  \nBasic · $5 \\| month  \nPro');
+});
+
+test('convertToMarkdown writes nested and task lists', () => {
+  assert.equal(
+    toMarkdown('<ol start="3"><li>Three<ul><li><input type="checkbox" checked>Done</li><li><input type="checkbox">Todo</li></ul></li><li>Four</li></ol>'),
+    '3. Three\n   - [x] Done\n   - [ ] Todo\n4. Four'
+  );
+});
+
+test('convertToMarkdown escapes text that would read as Markdown syntax', () => {
+  assert.equal(toMarkdown('<p># not a heading</p><p>1. not a list *or* [link]</p>'), '\\# not a heading\n\n1\\. not a list \\*or\\* \\[link\\]');
+});
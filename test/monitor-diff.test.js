@@ -0,0 +1,112 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MonitorManager, MONITOR_LIMITS, validateMonitorSettings, normalizeLines, flattenData, diffLines, diffStructure } = require('../monitor-manager');
+
+test('normalizeLines collapses whitespace and drops empty lines', () => {
+  assert.deepEqual(normalizeLines('  Price:\t 10 \n\n   \nIn  stock\n'), ['Price: 10', 'In stock']);
+  assert.deepEqual(normalizeLines(null), []);
+});
+
+test('diffLines reports nothing for identical text', () => {
+  assert.deepEqual(diffLines(['a', 'b'], ['a', 'b']), { added: [], removed: [] });
+});
+
+test('diffLines reports added, removed and replaced lines in order', () => {
+  assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), { added: ['x', 'd'], removed: ['b'] });
+  assert.deepEqual(diffLines(['title', 'one', 'two', 'footer'], ['title', 'two', 'three', 'footer']), {
+    added: ['three'],
+    removed: ['one']
+  });
+  assert.deepEqual(diffLines([], ['a']), { added: ['a'], removed: [] });
+  assert.deepEqual(diffLines(['a'], []), { added: [], removed: ['a'] });
+});
+
+test('diffLines counts repeated lines', () => {
+  assert.deepEqual(diffLines(['x', 'x'], ['x', 'x', 'x']), { added: ['x'], removed: [] });
+});
+
+test('diffLines compares line counts when the LCS table would be too large', () => {
+  const limit = MONITOR_LIMITS.maxLcsCells;
+  MONITOR_LIMITS.maxLcsCells = 0;
+  try {
+    assert.deepEqual(diffLines(['a', 'b', 'b', 'c'], ['c', 'b', 'd', 'a']), { added: ['d'], removed: ['b'] });
+  } finally {
+    MONITOR_LIMITS.maxLcsCells = limit;
+  }
+});
+
+test('flattenData keys leaves by their path', () => {
+  assert.deepEqual(flattenData({ title: 'T', price: { amount: 10 }, tags: ['a', 'b'], images: [], sku: undefined }), {
+    title: 'T',
+    'price.amount': 10,
+    'tags[0]': 'a',
+    'tags[1]': 'b',
+    images: [],
+    sku: null
+  });
+});
+
+test('diffStructure reports added, removed and changed fields', () => {
+  const before = flattenData({ price: 10, stock: 'InStock', tags: ['a'] });
+  const after = flattenData({ price: 12, tags: ['a', 'b'] });
+  assert.deepEqual(diffStructure(before, after), {
+    added: [{ path: 'tags[1]', value: 'b' }],
+    removed: [{ path: 'stock', value: 'InStock' }],
+    changed: [{ path: 'price', before: 10, after: 12 }]
+  });
+});
+
+// A manager whose scrapes return the given results in turn; credits and the blacklist always allow
+function monitorWith(results, options) {
+  const requests = [];
+  const scraper = {
+    proxyAgentsFor: () => ({}),
+    scrapeEnhanced: async (url, scrapeOptions) => {
+      requests.push(scrapeOptions);
+      return { success: true, data: results.shift(), metadata: { engine: 'static' } };
+    }
+  };
+  const credits = {
+    validateAndConsumeCredit: () => ({ valid: true, creditsUsed: 1 }),
+    refundEngineDiscount: () => 0,
+    refundCredits: () => {}
+  };
+  const blacklist = { validateUrl: async () => ({ valid: true }) };
+  const manager = new MonitorManager(scraper, blacklist, credits);
+  const monitor = { url: 'https://example.com/', settings: { selector: null }, options, changes: [], checks: 0, creditsUsed: 0 };
+  return { manager, monitor, requests };
+}
+
+test('feed monitors diff the feed items, not page text', async () => {
+  const feed = titles => ({ feedUrl: 'https://example.com/feed.xml', items: titles.map(title => ({ title })) });
+  const { manager, monitor, requests } = monitorWith([feed(['One']), feed(['Two', 'One'])], { type: 'feed' });
+
+  await manager.check(monitor);
+  await manager.check(monitor);
+  assert.equal(requests[0].schema, undefined);
+  assert.equal(monitor.changes.length, 1);
+  assert.deepEqual(monitor.changes[0].summary, { linesAdded: 2, linesRemoved: 1, fieldsAdded: 1, fieldsRemoved: 0, fieldsChanged: 1 });
+});
+
+test('markdown monitors diff the Markdown lines', async () => {
+  const { manager, monitor } = monitorWith([{ markdown: '# Prices\n\nA: 1' }, { markdown: '# Prices\n\nA: 2' }], { type: 'markdown' });
+
+  await manager.check(monitor);
+  await manager.check(monitor);
+  assert.deepEqual([monitor.changes[0].added, monitor.changes[0].removed], [['A: 2'], ['A: 1']]);
+  assert.equal(monitor.changes[0].structure, undefined);
+});
+
+test('text monitors scrape the selected elements', async () => {
+  const { manager, monitor, requests } = monitorWith([{ text: ['Price: 10'] }], {});
+  monitor.settings.selector = '.price';
+
+  await manager.check(monitor);
+  assert.deepEqual(requests[0].schema, { text: { selector: '.price', attribute: 'text', multiple: true } });
+  assert.deepEqual(monitor.snapshot.lines, ['Price: 10']);
+});
+
+test('validateMonitorSettings keeps selector to page text', () => {
+  assert.equal(validateMonitorSettings({ selector: '.price' }, { type: 'html' }).valid, true);
+  assert.equal(validateMonitorSettings({ selector: '.price' }, { type: 'feed' }).valid, false);
+});
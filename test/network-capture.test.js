@@ -0,0 +1,195 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { validateNetworkOptions, startNetworkCapture, buildNetworkOutput } = require('../network-capture');
+
+const TIMING = { dnsStart: 1, dnsEnd: 3, connectStart: 3, connectEnd: 10, sslStart: 5, sslEnd: 10, sendStart: 10, sendEnd: 11, receiveHeadersEnd: 40 };
+
+function entry(overrides = {}) {
+  return {
+    url: 'https://example.com/api/items?page=2&sort=new',
+    method: 'POST',
+    resourceType: 'fetch',
+    startedAt: '2024-03-01T10:00:00.000Z',
+    requestHeaders: { 'content-type': 'application/json', accept: 'application/json' },
+    postData: '{"q":"é"}',
+    status: 200,
+    statusText: 'OK',
+    mimeType: 'application/json',
+    responseHeaders: { 'content-type': 'application/json; charset=utf-8', 'set-cookie': 'a=1\nb=2' },
+    remoteAddress: '[2001:db8::1]:443',
+    fromCache: false,
+    failure: null,
+    time: 50,
+    pending: false,
+    timings: { blocked: 1, dns: 2, connect: 7, ssl: 5, send: 1, wait: 29, receive: 10 },
+    body: { items: [1, 2] },
+    bodySize: 13,
+    ...overrides
+  };
+}
+
+test('validateNetworkOptions fills in defaults and rejects bad settings', () => {
+  assert.deepEqual(validateNetworkOptions({}), { valid: true, network: null });
+  const { network } = validateNetworkOptions({ captureNetwork: true });
+  assert.equal(network.format, 'entries');
+  assert.equal(network.bodies, null);
+  assert.deepEqual(validateNetworkOptions({ captureNetwork: { bodies: true } }).network.bodies, []);
+  assert.equal(validateNetworkOptions({ captureNetwork: { format: 'pcap' } }).valid, false);
+  assert.equal(validateNetworkOptions({ captureNetwork: { maxEntries: 0 } }).valid, false);
+  assert.equal(validateNetworkOptions({ captureNetwork: true, type: 'feed' }).valid, false);
+});
+
+test('buildNetworkOutput returns entries with a summary', () => {
+  const failed = entry({ failure: 'net::ERR_ABORTED', body: undefined });
+  const output = buildNetworkOutput({ entries: [entry(), failed], dropped: 3 }, { format: 'entries' }, {});
+  assert.deepEqual(output.network, [entry(), failed]);
+  assert.deepEqual(output.summary, { format: 'entries', requests: 2, failed: 1, bodies: 1, dropped: 3 });
+});
+
+test('buildNetworkOutput builds a HAR 1.2 log', () => {
+  const { network } = buildNetworkOutput(
+    { entries: [entry()], dropped: 0 },
+    { format: 'har' },
+    { url: 'https://example.com/', title: 'Example', timings: { onContentLoad: 120, onLoad: 300 } }
+  );
+  const { log } = network;
+  assert.equal(log.version, '1.2');
+  assert.equal(log.creator.name, 'InstaScrape API');
+  assert.deepEqual(log.pages, [{
+    startedDateTime: '2024-03-01T10:00:00.000Z',
+    id: 'page_1',
+    title: 'Example',
+    pageTimings: { onContentLoad: 120, onLoad: 300 }
+  }]);
+
+  const [har] = log.entries;
+  assert.equal(har.pageref, 'page_1');
+  // Sum of the phases; ssl is already part of connect
+  assert.equal(har.time, 50);
+  assert.deepEqual(har.timings, { blocked: 1, dns: 2, connect: 7, send: 1, wait: 29, receive: 10, ssl: 5 });
+  assert.deepEqual(har.request.queryString, [{ name: 'page', value: '2' }, { name: 'sort', value: 'new' }]);
+  assert.deepEqual(har.request.postData, { mimeType: 'application/json', text: '{"q":"é"}' });
+  assert.equal(har.request.bodySize, 10);
+  assert.deepEqual(har.response.headers, [
+    { name: 'content-type', value: 'application/json; charset=utf-8' },
+    { name: 'set-cookie', value: 'a=1' },
+    { name: 'set-cookie', value: 'b=2' }
+  ]);
+  assert.deepEqual(har.response.content, { size: 13, mimeType: 'application/json; charset=utf-8', text: '{"items":[1,2]}' });
+  assert.equal(har.serverIPAddress, '2001:db8::1');
+  assert.equal(har._resourceType, 'fetch');
+});
+
+test('buildNetworkOutput marks failed requests and skipped bodies in HAR entries', () => {
+  const { network } = buildNetworkOutput({
+    entries: [entry({ status: null, responseHeaders: null, remoteAddress: null, failure: 'net::ERR_FAILED', body: undefined, bodySize: undefined, bodySkipped: 'too large' })],
+    dropped: 0
+  }, { format: 'har' }, { url: 'https://example.com/' });
+  const [har] = network.log.entries;
+  assert.equal(har.response.status, 0);
+  assert.equal(har._error, 'net::ERR_FAILED');
+  assert.equal(har.response.content.comment, 'body not captured: too large');
+  assert.equal('serverIPAddress' in har, false);
+  assert.equal(network.log.pages[0].title, 'https://example.com/');
+});
+
+test('startNetworkCapture records page traffic and JSON bodies', async () => {
+  const page = new EventEmitter();
+  const { network } = validateNetworkOptions({ captureNetwork: { bodies: true, maxEntries: 2 } });
+  const capture = startNetworkCapture(page, network);
+
+  const mockRequest = (url, response) => ({
+    url: () => url,
+    method: () => 'GET',
+    resourceType: () => 'fetch',
+    headers: () => ({}),
+    postData: () => undefined,
+    response: () => response,
+    failure: () => ({ errorText: 'net::ERR_CONNECTION_RESET' })
+  });
+  const mockResponse = (request, headers, text) => ({
+    request: () => request,
+    headers: () => headers,
+    status: () => 200,
+    statusText: () => 'OK',
+    remoteAddress: () => ({ ip: '93.184.216.34', port: 443 }),
+    fromCache: () => false,
+    fromServiceWorker: () => false,
+    timing: () => TIMING,
+    text: async () => text
+  });
+
+  const api = mockRequest('https://example.com/api');
+  const apiResponse = mockResponse(api, { 'content-type': 'application/json' }, '{"ok":true}');
+  api.response = () => apiResponse;
+  const failing = mockRequest('https://example.com/down');
+
+  page.emit('request', api);
+  page.emit('request', failing);
+  page.emit('request', mockRequest('https://example.com/over-the-limit'));
+  page.emit('response', apiResponse);
+  page.emit('requestfinished', api);
+  page.emit('requestfailed', failing);
+
+  const { entries, dropped } = await capture.stop();
+  assert.equal(dropped, 1);
+  assert.equal(page.listenerCount('request'), 0);
+
+  const [ok, failed] = entries;
+  assert.equal(ok.status, 200);
+  assert.equal(ok.mimeType, 'application/json');
+  assert.equal(ok.remoteAddress, '93.184.216.34:443');
+  assert.deepEqual(ok.body, { ok: true });
+  assert.equal(ok.bodySize, 11);
+  assert.equal(ok.pending, false);
+  assert.deepEqual(
+    { dns: ok.timings.dns, connect: ok.timings.connect, ssl: ok.timings.ssl, wait: ok.timings.wait },
+    { dns: 2, connect: 7, ssl: 5, wait: 29 }
+  );
+  assert.equal(failed.failure, 'net::ERR_CONNECTION_RESET');
+  assert.equal(failed.body, undefined);
+});
+
+test('startNetworkCapture stops keeping bodies once maxTotalBodySize is reached', async () => {
+  const page = new EventEmitter();
+  const { network } = validateNetworkOptions({ captureNetwork: { bodies: true, maxBodySize: 100, maxTotalBodySize: 50 } });
+  assert.equal(validateNetworkOptions({ captureNetwork: { maxTotalBodySize: 0 } }).valid, false);
+  const capture = startNetworkCapture(page, network);
+
+  const body = JSON.stringify({ data: 'x'.repeat(20) });
+  const requests = ['/a', '/b', '/c'].map(path => {
+    const request = {
+      url: () => `https://example.com${path}`,
+      method: () => 'GET',
+      resourceType: () => 'fetch',
+      headers: () => ({}),
+      postData: () => undefined,
+      failure: () => null
+    };
+    const response = {
+      request: () => request,
+      headers: () => ({ 'content-type': 'application/json', 'content-length': String(body.length) }),
+      status: () => 200,
+      statusText: () => 'OK',
+      remoteAddress: () => ({}),
+      fromCache: () => false,
+      fromServiceWorker: () => false,
+      timing: () => null,
+      text: async () => body
+    };
+    request.response = () => response;
+    return request;
+  });
+
+  for (const request of requests) {
+    page.emit('request', request);
+    page.emit('response', request.response());
+    page.emit('requestfinished', request);
+  }
+
+  const { entries } = await capture.stop();
+  assert.deepEqual(entries.map(entry => entry.bodySkipped), [undefined, 'total size limit', 'total size limit']);
+  assert.deepEqual(entries[0].body, { data: 'x'.repeat(20) });
+  assert.equal(entries[1].body, undefined);
+});
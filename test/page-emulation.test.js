@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { validateEmulationOptions, requestHeaders, cookieMatches, DEVICE_PRESETS } = require('../page-emulation');
+const { fetchHtml } = require('../static-engine');
+
+function emulationFor(options) {
+  const check = validateEmulationOptions(options);
+  assert.ok(check.valid, check.reason);
+  return check.emulation;
+}
+
+test('requestHeaders sends custom headers and host-only cookies to the scraped host only', () => {
+  const emulation = emulationFor({
+    headers: { Authorization: 'Bearer secret', 'X-Api-Key': 'k' },
+    locale: 'de-DE',
+    cookies: [{ name: 'session', value: 's1' }, { name: 'shared', value: 's2', domain: '.example.com' }]
+  });
+
+  assert.deepEqual(requestHeaders('https://example.com/page', emulation), {
+    authorization: 'Bearer secret',
+    'x-api-key': 'k',
+    'accept-language': 'de-DE,de;q=0.9',
+    cookie: 'session=s1; shared=s2'
+  });
+  // A feed on a subdomain: only the cookie scoped to the parent domain goes along
+  assert.deepEqual(requestHeaders('https://blog.example.com/feed', emulation, 'https://example.com/page'), {
+    'accept-language': 'de-DE,de;q=0.9',
+    cookie: 'shared=s2'
+  });
+  assert.deepEqual(requestHeaders('https://other.test/feed', emulation, 'https://example.com/page'), {
+    'accept-language': 'de-DE,de;q=0.9'
+  });
+});
+
+test('fetchHtml rechecks headers on every redirect hop', async t => {
+  const seen = [];
+  const server = http.createServer((req, res) => {
+    seen.push({ host: req.headers.host.split(':')[0], path: req.url, authorization: req.headers.authorization || null });
+    if (req.url === '/start') {
+      res.writeHead(302, { location: `http://localhost:${server.address().port}/landing` });
+      return res.end();
+    }
+    res.setHeader('content-type', 'text/html');
+    res.end('<title>landed</title>');
+  });
+  await new Promise(resolve => server.listen(0, resolve));
+  t.after(() => server.close());
+
+  const url = `http://127.0.0.1:${server.address().port}/start`;
+  const emulation = emulationFor({ headers: { Authorization: 'Bearer secret' } });
+  const response = await fetchHtml(url, {
+    userAgent: emulation.userAgent,
+    headers: target => requestHeaders(target, emulation, url)
+  });
+
+  assert.equal(response.ok, true);
+  assert.equal(response.finalUrl, `http://localhost:${server.address().port}/landing`);
+  assert.deepEqual(seen, [
+    { host: '127.0.0.1', path: '/start', authorization: 'Bearer secret' },
+    { host: 'localhost', path: '/landing', authorization: null }
+  ]);
+});
+
+test('validateEmulationOptions lowercases headers and lets user-agent replace the preset', () => {
+  const emulation = emulationFor({ device: 'iphone', headers: { 'User-Agent': 'bot/1.0', 'X-Api-Key': 'k' }, locale: 'de-de' });
+  assert.equal(emulation.userAgent, 'bot/1.0');
+  assert.deepEqual(emulation.viewport, DEVICE_PRESETS.iphone.viewport);
+  assert.deepEqual(emulation.headers, { 'x-api-key': 'k', 'accept-language': 'de-DE,de;q=0.9' });
+  assert.equal(emulationFor({ locale: 'de-DE', headers: { 'Accept-Language': 'fr' } }).headers['accept-language'], 'fr');
+});
+
+test('validateEmulationOptions rejects unsafe or malformed headers', () => {
+  const reason = options => validateEmulationOptions(options).reason;
+  assert.match(reason({ headers: [] }), /headers must be an object/);
+  assert.match(reason({ headers: { 'Bad Header': 'x' } }), /not a valid header name/);
+  assert.match(reason({ headers: { Host: 'evil.test' } }), /"Host" cannot be set/);
+  assert.match(reason({ headers: { Cookie: 'a=1' } }), /use cookies/);
+  assert.match(reason({ headers: { 'X-Note': 'a\r\nX-Injected: 1' } }), /single-line string/);
+  assert.match(reason({ headers: { 'X-Count': 5 } }), /single-line string/);
+  const many = Object.fromEntries(Array.from({ length: 31 }, (_, index) => [`x-h${index}`, 'v']));
+  assert.match(reason({ headers: many }), /at most 30 headers/);
+  assert.match(reason({ device: 'watch' }), /device must be one of/);
+  assert.match(reason({ locale: 'not a locale' }), /BCP 47/);
+  assert.match(reason({ timezone: 'Mars/Olympus' }), /IANA timezone/);
+});
+
+test('validateEmulationOptions normalizes cookies and rejects malformed ones', () => {
+  assert.deepEqual(emulationFor({ cookies: [{ name: 'session', value: 'abc', domain: '.Example.COM', sameSite: 'Lax' }] }).cookies, [
+    { name: 'session', value: 'abc', domain: '.example.com', path: '/', secure: false, httpOnly: false, sameSite: 'Lax' }
+  ]);
+
+  const reason = cookies => validateEmulationOptions({ cookies }).reason;
+  assert.match(reason({ name: 'a', value: 'b' }), /cookies must be an array/);
+  assert.match(reason([{ name: 'a b', value: 'c' }]), /cookies\[0\]\.name/);
+  assert.match(reason([{ name: 'a', value: 'b; Path=/' }]), /cookies\[0\]\.value/);
+  assert.match(reason([{ name: 'a', value: 'b', domain: 'example.com/path' }]), /\.domain must be a hostname/);
+  assert.match(reason([{ name: 'a', value: 'b', path: 'admin' }]), /\.path must start with/);
+  assert.match(reason([{ name: 'a', value: 'b', sameSite: 'lax' }]), /\.sameSite must be one of/);
+  assert.match(reason([{ name: 'a', value: 'b', expires: '2030-01-01' }]), /\.expires must be a Unix timestamp/);
+});
+
+test('cookieMatches applies the domain, path and secure rules', () => {
+  const url = href => new URL(href);
+  const cookie = overrides => ({ name: 'a', value: 'b', path: '/', secure: false, ...overrides });
+
+  assert.equal(cookieMatches(cookie({ domain: '.example.com' }), url('https://shop.example.com/')), true);
+  assert.equal(cookieMatches(cookie({ domain: 'example.com' }), url('https://example.com/')), true);
+  assert.equal(cookieMatches(cookie({ domain: 'example.com' }), url('https://badexample.com/')), false);
+  assert.equal(cookieMatches(cookie({ domain: 'shop.example.com' }), url('https://example.com/')), false);
+
+  assert.equal(cookieMatches(cookie({ path: '/docs' }), url('https://example.com/docs')), true);
+  assert.equal(cookieMatches(cookie({ path: '/docs' }), url('https://example.com/docs/intro')), true);
+  assert.equal(cookieMatches(cookie({ path: '/docs' }), url('https://example.com/docsearch')), false);
+  assert.equal(cookieMatches(cookie({ path: '/docs/' }), url('https://example.com/docs/a')), true);
+
+  assert.equal(cookieMatches(cookie({ secure: true }), url('http://example.com/')), false);
+  assert.equal(cookieMatches(cookie({ secure: true }), url('https://example.com/')), true);
+});
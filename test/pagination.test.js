@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validatePagination, templatePageUrl, findNextPageUrl, mergePageData } = require('../pagination');
+const { createDom, evaluateInDom } = require('../static-engine');
+
+const nextPage = (body, nextSelector, url = 'https://example.com/list?page=1') =>
+  evaluateInDom(createDom(`<html><head></head><body>${body}</body></html>`, url), findNextPageUrl, nextSelector);
+
+test('validatePagination picks the mode and fills in defaults', () => {
+  assert.deepEqual(validatePagination({}).pagination, {
+    mode: 'auto',
+    nextSelector: null,
+    urlTemplate: null,
+    loadMoreSelector: null,
+    startPage: 1,
+    maxPages: 5,
+    delay: 1000
+  });
+  assert.equal(validatePagination({ nextSelector: 'a.next' }).pagination.mode, 'nextSelector');
+  assert.equal(validatePagination({ urlTemplate: '?page={n}', startPage: 2 }).pagination.startPage, 2);
+  assert.equal(validatePagination({ loadMoreSelector: 'button.more' }).pagination.mode, 'loadMore');
+  assert.equal(validatePagination({ delay: 10 }).pagination.delay, 1000);
+});
+
+test('validatePagination rejects mixed modes and bad values', () => {
+  assert.equal(validatePagination([]).valid, false);
+  assert.match(validatePagination({ nextSelector: 'a', urlTemplate: '?p={n}' }).reason, /only one of/);
+  assert.match(validatePagination({ urlTemplate: '?page=2' }).reason, /\{n\} placeholder/);
+  assert.equal(validatePagination({ nextSelector: 5 }).valid, false);
+  assert.equal(validatePagination({ maxPages: 21 }).valid, false);
+});
+
+test('templatePageUrl counts pages from startPage', () => {
+  const { pagination } = validatePagination({ urlTemplate: '/page/{n}/', startPage: 2 });
+  assert.equal(templatePageUrl('https://example.com/blog/', pagination, 0), 'https://example.com/page/2/');
+  assert.equal(templatePageUrl('https://example.com/blog/', pagination, 3), 'https://example.com/page/5/');
+});
+
+test('findNextPageUrl prefers rel="next", then pagination markup, then link text', () => {
+  assert.equal(
+    nextPage('<a class="next" href="/list?page=9">Next</a><a rel="next" href="/list?page=2">2</a>'),
+    'https://example.com/list?page=2'
+  );
+  assert.equal(
+    nextPage('<a href="/about">Next steps</a><div class="pagination"><span class="next"><a href="?page=2">›</a></span></div>'),
+    'https://example.com/list?page=2'
+  );
+  assert.equal(nextPage('<a href="/a">About</a><a href="/list?page=2"> Older  posts </a>'), 'https://example.com/list?page=2');
+});
+
+test('findNextPageUrl skips links back to the page and javascript: links', () => {
+  assert.equal(nextPage('<a rel="next" href="#more">more</a><a href="javascript:load()">Next</a>'), null);
+  assert.equal(nextPage('<a rel="next" href="?page=1">1</a><a href="?page=2">»</a>'), 'https://example.com/list?page=2');
+  assert.equal(nextPage('<p>No more pages</p>'), null);
+});
+
+test('findNextPageUrl follows nextSelector only', () => {
+  const body = '<a rel="next" href="?page=2">2</a><button class="more" data-href="/list?page=3">More</button>';
+  // data-href is resolved against the page like an href
+  assert.equal(nextPage(body, 'button.more'), 'https://example.com/list?page=3');
+  assert.equal(nextPage(body, '.missing'), null);
+});
+
+test('mergePageData concatenates arrays, merges objects and joins text', () => {
+  assert.deepEqual(mergePageData(undefined, [1]), [1]);
+  assert.deepEqual(mergePageData([1], [2, 3]), [1, 2, 3]);
+  assert.equal(mergePageData('one', 'two'), 'one\n\ntwo');
+  assert.deepEqual(
+    mergePageData({ title: 'Page 1', items: [1], text: 'a' }, { title: 'Page 2', items: [2], text: 'b' }),
+    { title: 'Page 1', items: [1, 2], text: 'a' }
+  );
+  assert.equal(mergePageData(1, 2), 1);
+});
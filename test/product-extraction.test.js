@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parsePrice, normalizeCurrency, normalizeAvailability } = require('../product-extraction');
+
+test('parsePrice reads localized thousand and decimal separators', () => {
+  assert.deepEqual(parsePrice('1.299,00 €'), { amount: 1299, currency: 'EUR' });
+  assert.deepEqual(parsePrice('$1,299.00'), { amount: 1299, currency: 'USD' });
+  assert.deepEqual(parsePrice('1 299,00 zł'), { amount: 1299, currency: 'PLN' });
+  assert.deepEqual(parsePrice('1 299,00 €'), { amount: 1299, currency: 'EUR' });
+  assert.deepEqual(parsePrice("CHF 1'299.50"), { amount: 1299.5, currency: 'CHF' });
+  assert.deepEqual(parsePrice('R$ 49,90'), { amount: 49.9, currency: 'BRL' });
+  assert.deepEqual(parsePrice('Price: 19,99'), { amount: 19.99, currency: null });
+});
+
+test('parsePrice tells a thousands separator from a decimal one', () => {
+  assert.equal(parsePrice('1.299').amount, 1299);
+  assert.equal(parsePrice('0.500 EUR').amount, 0.5);
+  assert.equal(parsePrice('12,-').amount, 12);
+  assert.equal(parsePrice('4 990 Ft').amount, 4990);
+});
+
+test('parsePrice uses the hint for shared symbols only', () => {
+  assert.equal(parsePrice('$20', 'CAD').currency, 'CAD');
+  assert.equal(parsePrice('US$ 20', 'CAD').currency, 'USD');
+  assert.equal(parsePrice('¥1200').currency, 'JPY');
+  assert.equal(parsePrice('¥1200', 'CNY').currency, 'CNY');
+  assert.equal(parsePrice('99 kr', 'SEK').currency, 'SEK');
+  assert.equal(parsePrice('99 kr').currency, null);
+  assert.equal(parsePrice('1.234 din.').currency, 'RSD');
+  assert.equal(parsePrice('19.99', 'eur').currency, 'EUR');
+});
+
+test('parsePrice accepts numbers and rejects text without one', () => {
+  assert.deepEqual(parsePrice(19.5, 'usd'), { amount: 19.5, currency: 'USD' });
+  assert.equal(parsePrice(NaN), null);
+  assert.equal(parsePrice('free'), null);
+  assert.equal(parsePrice(null), null);
+});
+
+test('normalizeCurrency maps codes and symbols to ISO codes', () => {
+  assert.equal(normalizeCurrency('eur'), 'EUR');
+  assert.equal(normalizeCurrency('€'), 'EUR');
+  assert.equal(normalizeCurrency('US$'), 'USD');
+  assert.equal(normalizeCurrency(''), null);
+});
+
+test('normalizeAvailability maps schema.org values and page text', () => {
+  assert.equal(normalizeAvailability('https://schema.org/InStock'), 'InStock');
+  assert.equal(normalizeAvailability('schema:OutOfStock'), 'OutOfStock');
+  assert.equal(normalizeAvailability('in_stock'), 'InStock');
+  assert.equal(normalizeAvailability('Only 3 left!'), 'LimitedAvailability');
+  assert.equal(normalizeAvailability('Ausverkauft'), 'OutOfStock');
+  assert.equal(normalizeAvailability('pre-order'), 'PreOrder');
+  assert.equal(normalizeAvailability('??'), null);
+});
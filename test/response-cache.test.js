@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const {
+  MemoryCacheStore,
+  DiskCacheStore,
+  validateCacheOptions,
+  headerLifetime,
+  stableStringify,
+  cacheKey
+} = require('../response-cache');
+
+test('headerLifetime follows Cache-Control, Age and Expires', () => {
+  assert.equal(headerLifetime({ 'cache-control': 'max-age=60' }), 60000);
+  assert.equal(headerLifetime({ 'cache-control': 'max-age=60, s-maxage=10' }), 10000);
+  assert.equal(headerLifetime({ 'cache-control': 'max-age=60', age: '45' }), 15000);
+  assert.equal(headerLifetime({ 'cache-control': 'max-age=60', age: '90' }), 0);
+  assert.equal(headerLifetime({ 'cache-control': 'no-cache, max-age=60' }), 0);
+  assert.equal(headerLifetime({ 'cache-control': 'private, max-age=60' }), false);
+  assert.equal(headerLifetime({ 'cache-control': 'no-store' }), false);
+  assert.equal(headerLifetime({
+    date: 'Fri, 01 Mar 2024 10:00:00 GMT',
+    expires: 'Fri, 01 Mar 2024 10:05:00 GMT'
+  }), 300000);
+  assert.equal(headerLifetime({ expires: '0' }), 0);
+  assert.equal(headerLifetime({}), null);
+});
+
+test('stableStringify sorts keys at every level and drops undefined', () => {
+  assert.equal(
+    stableStringify({ b: 1, a: { d: [2, { f: 1, e: 0 }], c: undefined } }),
+    '{"a":{"d":[2,{"e":0,"f":1}]},"b":1}'
+  );
+});
+
+test('cacheKey ignores key order, fragments, query order and delivery options', () => {
+  const key = cacheKey('https://example.com/list?b=2&a=1', { type: 'text', selector: 'h1' });
+  assert.equal(cacheKey('https://example.com/list?a=1&b=2#top', { selector: 'h1', type: 'text', timeout: 5000, cache: 'default' }), key);
+  assert.notEqual(cacheKey('https://example.com/list?a=1&b=3', { type: 'text', selector: 'h1' }), key);
+  assert.notEqual(cacheKey('https://example.com/list?a=1&b=2', { type: 'html', selector: 'h1' }), key);
+});
+
+test('validateCacheOptions accepts the modes and a non-negative maxAge', () => {
+  assert.deepEqual(validateCacheOptions({}), { valid: true, cache: { mode: 'default', maxAge: null } });
+  assert.deepEqual(validateCacheOptions({ cache: 'bypass', maxAge: '30' }), { valid: true, cache: { mode: 'bypass', maxAge: 30 } });
+  assert.equal(validateCacheOptions({ cache: 'refresh' }).valid, false);
+  assert.equal(validateCacheOptions({ maxAge: -1 }).valid, false);
+  assert.equal(validateCacheOptions({ maxAge: 'soon' }).valid, false);
+});
+
+test('MemoryCacheStore evicts the least recently used entry past maxEntries', async () => {
+  const store = new MemoryCacheStore({ maxEntries: 2 });
+  await store.set('a', { n: 1 });
+  await store.set('b', { n: 2 });
+  await store.get('a');
+  await store.set('c', { n: 3 });
+  assert.deepEqual(await store.get('a'), { n: 1 });
+  assert.equal(await store.get('b'), null);
+  assert.equal(await store.size(), 2);
+});
+
+test('MemoryCacheStore keeps the entries under maxBytes', async () => {
+  const entry = text => ({ result: { data: { text } } });
+  const size = Buffer.byteLength(JSON.stringify(entry('x'.repeat(100))));
+  const store = new MemoryCacheStore({ maxBytes: size * 2 });
+
+  await store.set('a', entry('x'.repeat(100)));
+  await store.set('b', entry('y'.repeat(100)));
+  await store.set('c', entry('z'.repeat(100)));
+  assert.equal(await store.get('a'), null);
+  assert.equal(store.bytes, size * 2);
+
+  // Replacing an entry frees its old size
+  await store.set('c', entry('z'));
+  assert.equal(store.bytes, size + Buffer.byteLength(JSON.stringify(entry('z'))));
+
+  // Too large for the whole store: not cached, nothing evicted
+  await store.set('huge', entry('x'.repeat(size * 2)));
+  assert.equal(await store.get('huge'), null);
+  assert.equal(await store.size(), 2);
+});
+
+test('DiskCacheStore.prune removes the least recently used files', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = new DiskCacheStore({ dir, maxEntries: 2 });
+
+  await store.set('a', { n: 1 });
+  await store.set('b', { n: 2 });
+  const past = new Date(Date.now() - 60000);
+  fs.utimesSync(path.join(dir, 'a.json'), past, past);
+  // Reading a marks it as recently used again, so b is the one to go
+  assert.deepEqual(await store.get('a'), { n: 1 });
+  await store.set('c', { n: 3 });
+
+  assert.deepEqual((await store.list()).sort(), ['a.json', 'c.json']);
+  assert.equal(await store.get('b'), null);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { ScheduleManager, validateScheduleSettings } = require('../schedule-manager');
+const { CreditManager } = require('../credit-system');
+
+test('schedules save the hash of their token and bill through it', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'schedules-'));
+  const file = path.join(dir, 'schedules.json');
+  const credits = new CreditManager({ file: null });
+  const { accessToken } = credits.generateAccessToken({ tier: 'basic', paymentId: 'pay_1' });
+
+  const runScrape = async request => {
+    const check = credits.validateAndConsumeCredit(request.accessToken, request.tier);
+    return check.valid
+      ? { result: { data: { text: 'hello' }, metadata: { engine: 'static' } }, credits: { used: 1 } }
+      : { status: 402, body: { error: check.error } };
+  };
+  const manager = new ScheduleManager(runScrape, { file });
+  t.after(async () => {
+    await manager.deleteSchedule(schedule.id);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const { settings } = validateScheduleSettings({ cron: '@daily', url: 'https://example.com/' });
+  const schedule = await manager.createSchedule({ settings, accessToken, tier: 'basic' });
+  await manager.runSchedule(schedule);
+
+  const saved = fs.readFileSync(file, 'utf8');
+  assert.equal(saved.includes(accessToken), false);
+  assert.equal(JSON.parse(saved).schedules[0].tokenHash.length, 64);
+  assert.equal(credits.getTokenInfo(accessToken).usedCredits, 1);
+
+  const [run] = manager.getSchedule(schedule.id).history;
+  assert.equal(run.status, 'success');
+  assert.equal(run.results[0].size, Buffer.byteLength('{"text":"hello"}'));
+  assert.equal('accessToken' in manager.getSchedule(schedule.id), false);
+});
@@ -0,0 +1,201 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { validateActions, runActions, ACTION_LIMITS } = require('../page-actions');
+const {
+  RETRY_LIMITS,
+  validateRetryOptions,
+  httpFailure,
+  codeForError,
+  classifyFailure,
+  retryDelay,
+  publicFailure,
+  parseRetryAfter
+} = require('../scrape-errors');
+
+test('parseRetryAfter reads delta-seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('120'), 120000);
+  assert.equal(parseRetryAfter('0'), 0);
+  assert.equal(parseRetryAfter('-5'), 0);
+  assert.equal(parseRetryAfter(undefined), null);
+  assert.equal(parseRetryAfter('soon'), null);
+
+  const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+  const delay = parseRetryAfter(inTenSeconds);
+  assert.ok(delay > 8000 && delay <= 10000, `got ${delay}`);
+  assert.equal(parseRetryAfter('Wed, 21 Oct 2015 07:28:00 GMT'), 0);
+});
+
+test('retryDelay backs off exponentially with equal jitter', t => {
+  t.mock.method(Math, 'random', () => 0);
+  const failure = { retryable: true, retryAfterMs: null };
+  assert.equal(retryDelay(1, failure), RETRY_LIMITS.baseDelayMs / 2);
+  assert.equal(retryDelay(2, failure), RETRY_LIMITS.baseDelayMs);
+  assert.equal(retryDelay(3, failure), RETRY_LIMITS.baseDelayMs * 2);
+  assert.equal(retryDelay(20, failure), RETRY_LIMITS.maxDelayMs / 2);
+
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.equal(retryDelay(1, failure), RETRY_LIMITS.baseDelayMs);
+  assert.equal(retryDelay(20, failure), RETRY_LIMITS.maxDelayMs);
+});
+
+test('retryDelay waits at least Retry-After and gives up when it is too long', t => {
+  t.mock.method(Math, 'random', () => 0);
+  assert.equal(retryDelay(1, { retryable: true, retryAfterMs: 5000 }), 5000);
+  assert.equal(retryDelay(1, { retryable: true, retryAfterMs: RETRY_LIMITS.maxRetryAfterMs + 1 }), null);
+  assert.equal(retryDelay(1, { retryable: false, retryAfterMs: null }), null);
+});
+
+test('httpFailure tells blocks from page errors', () => {
+  const tooMany = httpFailure(429, 'Too Many Requests', { 'retry-after': '3' });
+  assert.equal(tooMany.errorCode, 'BLOCKED');
+  assert.equal(tooMany.retryAfterMs, 3000);
+  assert.equal(httpFailure(403, 'Forbidden', {}, 'Please verify you are human').errorCode, 'BLOCKED');
+  assert.equal(httpFailure(503, 'Unavailable', { 'cf-mitigated': 'challenge' }).errorCode, 'BLOCKED');
+  assert.equal(httpFailure(403, 'Forbidden').errorCode, 'HTTP_4XX');
+  assert.equal(httpFailure(404, 'Not Found').httpStatus, 404);
+  assert.equal(httpFailure(502, 'Bad Gateway').errorCode, 'HTTP_5XX');
+});
+
+test('codeForError maps Puppeteer, axios and extraction errors', () => {
+  assert.equal(codeForError(new Error('Waiting for selector `.price` failed: timeout 30000ms exceeded')), 'SELECTOR_NOT_FOUND');
+  assert.equal(codeForError(Object.assign(new Error('x'), { name: 'TimeoutError' })), 'TIMEOUT');
+  assert.equal(codeForError(Object.assign(new Error('timeout of 30000ms exceeded'), { code: 'ECONNABORTED' })), 'TIMEOUT');
+  assert.equal(codeForError(new Error('net::ERR_NAME_NOT_RESOLVED at https://nope.invalid')), 'DNS');
+  assert.equal(codeForError(Object.assign(new Error('connect'), { code: 'ECONNREFUSED' })), 'CONNECTION_REFUSED');
+  assert.equal(codeForError('socket hang up'), 'CONNECTION_REFUSED');
+  assert.equal(codeForError(new Error('Cannot read properties of undefined')), 'SCRAPE_FAILED');
+});
+
+test('classifyFailure retries 429 and 408 but not other client errors', () => {
+  assert.equal(classifyFailure({ errorCode: 'BLOCKED', httpStatus: 429 }).retryable, true);
+  assert.equal(classifyFailure({ errorCode: 'BLOCKED', httpStatus: 403 }).retryable, false);
+  assert.equal(classifyFailure({ errorCode: 'HTTP_4XX', httpStatus: 408 }).retryable, true);
+  assert.equal(classifyFailure({ errorCode: 'HTTP_4XX', httpStatus: 404 }).retryable, false);
+  assert.deepEqual(classifyFailure({ error: 'net::ERR_CONNECTION_RESET' }), { code: 'CONNECTION_REFUSED', retryable: true, retryAfterMs: null });
+});
+
+test('publicFailure hides raw messages of unexposed codes', t => {
+  t.mock.method(console, 'warn', () => {});
+  assert.deepEqual(publicFailure({ success: false, error: 'TypeError at /app/x.js:10', errorCode: 'SCRAPE_FAILED' }), {
+    success: false,
+    error: 'Scraping failed',
+    errorCode: 'SCRAPE_FAILED',
+    retryable: false
+  });
+  assert.equal(console.warn.mock.callCount(), 1);
+
+  assert.deepEqual(publicFailure(httpFailure(404, 'Not Found')), {
+    success: false,
+    error: 'HTTP 404: Not Found',
+    errorCode: 'HTTP_4XX',
+    retryable: false,
+    httpStatus: 404
+  });
+});
+
+test('validateRetryOptions', () => {
+  assert.deepEqual(validateRetryOptions({}), { valid: true, retry: { retries: RETRY_LIMITS.defaultRetries } });
+  assert.deepEqual(validateRetryOptions({ retries: 0 }).retry, { retries: 0 });
+  assert.equal(validateRetryOptions({ retries: RETRY_LIMITS.maxRetries + 1 }).valid, false);
+  assert.equal(validateRetryOptions({ retries: 1.5 }).valid, false);
+});
+
+// Page stand-in for runActions: waitForSelector finds only `present`, clicks on `a.away` navigate off-site
+function mockPage({ present = [] } = {}) {
+  const page = new EventEmitter();
+  let url = 'https://example.com/';
+  page.url = () => url;
+  page.setRequestInterception = async () => {};
+  page.waitForSelector = async selector => {
+    if (selector === '.never') {
+      return new Promise(() => {});
+    }
+    if (selector.startsWith('[[')) {
+      throw new Error(`'${selector}' is not a valid selector.`);
+    }
+    if (!present.includes(selector)) {
+      const error = new Error(`Waiting for selector \`${selector}\` failed: Waiting failed: 10ms exceeded`);
+      error.name = 'TimeoutError';
+      throw error;
+    }
+  };
+  page.click = async selector => {
+    if (selector === 'a.away') {
+      let aborted = false;
+      page.emit('request', {
+        isInterceptResolutionHandled: () => false,
+        isNavigationRequest: () => true,
+        frame: () => ({ parentFrame: () => null }),
+        url: () => 'https://evil.example/',
+        abort: () => { aborted = true; },
+        continue: () => {},
+        continueRequestOverrides: () => ({})
+      });
+      if (!aborted) {
+        url = 'https://evil.example/';
+      }
+    }
+  };
+  page.select = async () => [];
+  return page;
+}
+
+async function runSteps(steps, page = mockPage()) {
+  const { valid, actions, reason } = validateActions(steps);
+  assert.ok(valid, reason);
+  const run = await runActions(page, actions, ['https://example.com']);
+  return { run, failure: run.success ? null : publicFailure({ success: false, ...run }) };
+}
+
+test('action failures carry their own code', async () => {
+  let { run, failure } = await runSteps([{ type: 'waitForSelector', selector: '.price', timeout: 10 }]);
+  assert.equal(run.errorCode, 'SELECTOR_NOT_FOUND');
+  assert.equal(run.actions[0].errorCode, 'SELECTOR_NOT_FOUND');
+  assert.equal(failure.retryable, false);
+
+  ({ failure } = await runSteps([{ type: 'waitForSelector', selector: '[[bad' }]));
+  assert.equal(failure.errorCode, 'INVALID_OPTIONS');
+
+  ({ failure } = await runSteps([{ type: 'select', selector: 'select', value: 'XL' }], mockPage({ present: ['select'] })));
+  assert.equal(failure.errorCode, 'ACTION_FAILED');
+  assert.match(failure.error, /No option matching XL/);
+});
+
+test('a blocked off-origin navigation is reported as NAVIGATION_BLOCKED', async () => {
+  const { failure } = await runSteps([{ type: 'click', selector: 'a.away' }], mockPage({ present: ['a.away'] }));
+  assert.deepEqual(
+    { errorCode: failure.errorCode, retryable: failure.retryable },
+    { errorCode: 'NAVIGATION_BLOCKED', retryable: false }
+  );
+  assert.match(failure.error, /off the validated origin to https:\/\/evil\.example\//);
+});
+
+test('running out of action time is ACTIONS_TIMEOUT and not retried', async () => {
+  const limit = ACTION_LIMITS.maxTotalMs;
+  ACTION_LIMITS.maxTotalMs = 20;
+  try {
+    // A step that never settles is cut off at the deadline
+    let { run, failure } = await runSteps([{ type: 'waitForSelector', selector: '.never' }]);
+    assert.equal(run.actions[0].errorCode, 'ACTIONS_TIMEOUT');
+    assert.equal(failure.errorCode, 'ACTIONS_TIMEOUT');
+
+    // A wait is shortened to the time left, and the next step is not started
+    ({ run, failure } = await runSteps([{ type: 'waitForTimeout', ms: 1000 }, { type: 'waitForTimeout', ms: 0 }]));
+    assert.equal(run.actions.length, 1);
+    assert.equal(run.actions[0].success, true);
+    assert.deepEqual(
+      { errorCode: failure.errorCode, retryable: failure.retryable },
+      { errorCode: 'ACTIONS_TIMEOUT', retryable: false }
+    );
+    assert.match(failure.error, /total time limit/);
+  } finally {
+    ACTION_LIMITS.maxTotalMs = limit;
+  }
+});
+
+test('an optional step may fail without failing the run', async () => {
+  const { run } = await runSteps([{ type: 'click', selector: '#cookie-banner', optional: true, timeout: 10 }]);
+  assert.equal(run.success, true);
+  assert.equal(run.actions[0].errorCode, 'SELECTOR_NOT_FOUND');
+});
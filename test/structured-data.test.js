@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { extractStructuredData } = require('../structured-data');
+const { createDom, evaluateInDom } = require('../static-engine');
+
+const extract = body => evaluateInDom(
+  createDom(`<html><head></head><body>${body}</body></html>`, 'https://shop.example/products/widget'),
+  extractStructuredData
+);
+
+const jsonLd = data => `<script type="application/ld+json">${typeof data === 'string' ? data : JSON.stringify(data)}</script>`;
+
+test('JSON-LD @graph nodes become entities of their own', () => {
+  const { entities, errors } = extract(jsonLd({
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebSite', '@id': 'https://shop.example/#site', name: 'Shop' },
+      {
+        '@type': ['Product', 'schema:IndividualProduct'],
+        name: 'Widget',
+        offers: { '@type': 'Offer', price: { '@value': '9.99' }, priceCurrency: 'EUR' },
+        'https://schema.org/sku': 'W-1'
+      }
+    ]
+  }));
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(entities.map(entity => [entity.source, entity.type]), [['json-ld', 'WebSite'], ['json-ld', 'Product']]);
+  const [site, product] = entities;
+  assert.equal(site.id, 'https://shop.example/#site');
+  assert.deepEqual(product.types, ['Product', 'IndividualProduct']);
+  assert.deepEqual(product.properties, {
+    name: 'Widget',
+    offers: { type: 'Offer', types: ['Offer'], id: null, properties: { price: '9.99', priceCurrency: 'EUR' } },
+    sku: 'W-1'
+  });
+});
+
+test('JSON-LD keeps properties next to @graph and reports unparseable blocks', () => {
+  const { entities, errors } = extract(
+    jsonLd({ '@type': 'ItemList', name: 'Deals', '@graph': [{ '@type': 'Thing', name: 'A' }] })
+    + jsonLd('<!-- {"@type": "Organization", "name": "Shop Inc"} -->')
+    + jsonLd('{"@type": "Product", name: }')
+    + jsonLd([1])
+  );
+  assert.deepEqual(entities.map(entity => entity.type), ['ItemList', 'Thing', 'Organization']);
+  assert.deepEqual(errors.map(error => error.index), [2, 3]);
+  assert.equal(errors[0].snippet, '{"@type": "Product", name: }');
+  assert.equal(errors[1].message, 'Expected a JSON-LD object');
+});
+
+test('Microdata items with nested items, itemref and value rules', () => {
+  const { entities } = extract(`
+    <div itemscope itemtype="https://schema.org/Product" itemref="brand">
+      <h1 itemprop="name"> Blue   Widget </h1>
+      <img itemprop="image" src="/w.png">
+      <a itemprop="url sameAs" href="/p/1">link</a>
+      <span itemprop="color">blue</span><span itemprop="color">navy</span>
+      <div itemprop="offers" itemscope itemtype="http://schema.org/Offer">
+        <meta itemprop="priceCurrency" content="USD">
+        <span itemprop="price" content="19.00">$19</span>
+        <time itemprop="validFrom" datetime="2024-03-01">March 1</time>
+      </div>
+    </div>
+    <p id="brand">By <span itemprop="brand">Acme</span></p>
+  `);
+
+  assert.equal(entities.length, 1);
+  const [product] = entities;
+  assert.equal(product.source, 'microdata');
+  assert.equal(product.type, 'Product');
+  assert.deepEqual(product.properties, {
+    name: 'Blue Widget',
+    image: 'https://shop.example/w.png',
+    url: 'https://shop.example/p/1',
+    sameAs: 'https://shop.example/p/1',
+    color: ['blue', 'navy'],
+    offers: {
+      type: 'Offer',
+      types: ['Offer'],
+      id: null,
+      properties: { priceCurrency: 'USD', price: '19.00', validFrom: '2024-03-01' }
+    },
+    brand: 'Acme'
+  });
+});
+
+test('Microdata itemref cycles stop instead of recursing forever', () => {
+  // b refers to itself, so it is one of its own properties
+  const { entities } = extract('<div itemscope itemtype="https://schema.org/Thing" itemref="b"><span itemprop="name">A</span></div>'
+    + '<div id="b" itemprop="related" itemscope itemref="b"></div>');
+  assert.equal(entities.length, 1);
+  assert.equal(entities[0].properties.name, 'A');
+  assert.deepEqual(entities[0].properties.related.properties.related.properties, {});
+});
+
+test('RDFa Lite items nest their typed properties', () => {
+  const { entities } = extract(`
+    <div vocab="https://schema.org/" typeof="Event" resource="/events/1">
+      <span property="name">Launch</span>
+      <div property="location" typeof="Place"><span property="name">Hall</span></div>
+    </div>
+  `);
+  assert.deepEqual(entities, [{
+    type: 'Event',
+    types: ['Event'],
+    id: 'https://shop.example/events/1',
+    source: 'rdfa',
+    properties: {
+      name: 'Launch',
+      location: { type: 'Place', types: ['Place'], id: null, properties: { name: 'Hall' } }
+    }
+  }]);
+});
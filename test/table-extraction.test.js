@@ -0,0 +1,102 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createDom, evaluateInDom } = require('../static-engine');
+const { extractTables, defaultResultTableSettings, tableToCsv, buildTablesOutput } = require('../table-extraction');
+
+function tables(html, settings = {}) {
+  return evaluateInDom(createDom(html, 'https://example.com/'), extractTables, settings);
+}
+
+const PLANS = `
+  <h2>Prices</h2>
+  <table>
+    <caption>Plans</caption>
+    <thead>
+      <tr><th rowspan="2">Plan</th><th colspan="2">Price</th></tr>
+      <tr><th>Monthly</th><th>Yearly</th></tr>
+    </thead>
+    <tbody>
+      <tr><td rowspan="2">Basic</td><td>5</td><td>50</td></tr>
+      <tr><td colspan="2">free trial</td></tr>
+    </tbody>
+    <tfoot><tr><td>Total</td><td>5</td><td>50</td></tr></tfoot>
+  </table>
+  <table><tr><td>a</td><td>b</td></tr></table>`;
+
+test('extractTables expands rowspan and colspan into every covered cell', () => {
+  const [plans] = tables(PLANS);
+  assert.deepEqual(plans.data, [
+    ['Plan', 'Price', 'Price'],
+    ['Plan', 'Monthly', 'Yearly'],
+    ['Basic', '5', '50'],
+    ['Basic', 'free trial', 'free trial'],
+    ['Total', '5', '50']
+  ]);
+});
+
+test('extractTables joins multi-row headers and keys rows by them', () => {
+  const [plans] = tables(PLANS);
+  assert.deepEqual(plans.headers, ['Plan', 'Price / Monthly', 'Price / Yearly']);
+  assert.deepEqual(plans.rows, [
+    { Plan: 'Basic', 'Price / Monthly': '5', 'Price / Yearly': '50' },
+    { Plan: 'Basic', 'Price / Monthly': 'free trial', 'Price / Yearly': 'free trial' }
+  ]);
+  assert.deepEqual(plans.footer, [{ Plan: 'Total', 'Price / Monthly': '5', 'Price / Yearly': '50' }]);
+  assert.equal(plans.rowCount, 2);
+  assert.equal(plans.columnCount, 3);
+});
+
+test('extractTables names tables by caption or preceding heading', () => {
+  const [plans, other] = tables(PLANS);
+  assert.equal(plans.name, 'Plans');
+  assert.equal(plans.nameSource, 'caption');
+  assert.equal(other.name, 'Prices');
+  assert.equal(other.nameSource, 'heading');
+  assert.deepEqual(other.headers, ['column1', 'column2']);
+});
+
+test('extractTables spans rowspan="0" to the end of the row group', () => {
+  const [table] = tables(`<table>
+    <tr><th>Group</th><th>Item</th></tr>
+    <tbody><tr><td rowspan="0">A</td><td>1</td></tr><tr><td>2</td></tr><tr><td>3</td></tr></tbody>
+  </table>`);
+  assert.deepEqual(table.rows, [{ Group: 'A', Item: '1' }, { Group: 'A', Item: '2' }, { Group: 'A', Item: '3' }]);
+});
+
+test('extractTables keeps nested tables apart from their parent', () => {
+  const result = tables('<table><tr><td>outer<table><tr><td>inner</td></tr></table></td></tr></table>');
+  assert.equal(result.length, 2);
+  assert.deepEqual(result[0].data, [['outer']]);
+  assert.deepEqual(result[0].nestedIds, [1]);
+  assert.equal(result[1].parentId, 0);
+});
+
+test('extractTables applies the selector, limit and grid settings', () => {
+  assert.deepEqual(tables(PLANS, { selector: 'table:last-of-type' }).map(table => table.id), [1]);
+  assert.deepEqual(tables(PLANS, { selector: '.missing' }), []);
+
+  const limited = tables(PLANS, { limit: 1, grid: false });
+  assert.equal(limited.length, 1);
+  assert.equal('data' in limited[0], false);
+
+  const defaults = defaultResultTableSettings({ selector: null });
+  assert.equal(defaults.grid, false);
+  assert.ok(defaults.limit > 0);
+});
+
+test('tableToCsv quotes fields per RFC 4180', () => {
+  const csv = tableToCsv({
+    headers: ['Name', 'Note'],
+    rows: [{ Name: 'a, b', Note: 'say "hi"' }, { Name: ' padded', Note: 'two\nlines' }],
+    footer: [{ Name: 'Total' }]
+  });
+  assert.equal(csv, 'Name,Note\r\n"a, b","say ""hi"""\r\n" padded","two\nlines"\r\nTotal,\r\n');
+});
+
+test('buildTablesOutput returns the first table as a CSV file', () => {
+  const output = buildTablesOutput(tables(PLANS), { format: 'csv' }, {});
+  assert.equal(output.contentType, 'text/csv; charset=utf-8');
+  assert.equal(output.name, 'Plans');
+  assert.match(output.content, /^Plan,Price \/ Monthly,Price \/ Yearly\r\nBasic,5,50\r\n/);
+  assert.throws(() => buildTablesOutput([], { selector: '.missing' }, {}), /matched no table/);
+});
@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { validateChunkOptions, chunkMarkdown, chunkPage } = require('../text-chunks');
+
+const sentence = index => `Sentence number ${index} talks about widgets and their many uses.`;
+const paragraph = (from, count) => Array.from({ length: count }, (_, i) => sentence(from + i)).join(' ');
+
+test('validateChunkOptions fills in defaults per unit', () => {
+  assert.deepEqual(validateChunkOptions({ type: 'text', chunks: 'junk' }), { valid: true, chunks: null });
+  assert.deepEqual(validateChunkOptions({ type: 'chunks' }).chunks, { size: 500, overlap: 50, unit: 'tokens', scope: 'main' });
+  assert.deepEqual(validateChunkOptions({ type: 'chunks', chunks: { unit: 'characters' } }).chunks, { size: 2000, overlap: 200, unit: 'characters', scope: 'main' });
+});
+
+test('validateChunkOptions enforces size and overlap limits', () => {
+  const check = chunks => validateChunkOptions({ type: 'chunks', chunks });
+  assert.equal(check({ size: 49 }).valid, false);
+  assert.equal(check({ size: 50, overlap: 0 }).valid, true);
+  assert.equal(check({ size: 8001 }).valid, false);
+  assert.match(check({ unit: 'characters', size: 199 }).reason, /between 200 and 32000 characters/);
+  assert.equal(check({ size: 100, overlap: 50 }).valid, true);
+  assert.match(check({ size: 100, overlap: 51 }).reason, /half of chunks.size/);
+  assert.equal(check({ overlap: -1 }).valid, false);
+  assert.equal(check({ unit: 'words' }).valid, false);
+  assert.equal(check({ scope: 'article' }).valid, false);
+});
+
+test('chunkMarkdown keeps chunks within size and overlapping by about the overlap', () => {
+  const markdown = `# Guide\n\n${paragraph(1, 12)}\n\n${paragraph(13, 12)}\n\n${paragraph(25, 12)}`;
+  const chunks = chunkMarkdown(markdown, { size: 400, overlap: 80, unit: 'characters' }, 'https://example.com/');
+
+  assert.ok(chunks.length > 3);
+  chunks.forEach((chunk, index) => {
+    assert.equal(chunk.index, index);
+    assert.ok(chunk.characters <= 400, `chunk ${index} has ${chunk.characters} characters`);
+    // Offsets point at the chunk's text in the Markdown
+    assert.equal(markdown.slice(chunk.start, chunk.end), chunk.text);
+    assert.equal(chunk.tokens, Math.ceil(chunk.characters / 4));
+    if (index > 1) {
+      assert.ok(chunk.overlap > 0 && chunk.overlap <= 80, `chunk ${index} overlaps by ${chunk.overlap}`);
+      assert.ok(chunk.start < chunks[index - 1].end);
+    }
+  });
+  // Overlaps start at a sentence rather than mid-word
+  chunks.slice(2).forEach(chunk => assert.match(chunk.text, /^Sentence number \d+/));
+});
+
+test('chunkMarkdown starts a chunk at every heading and records the heading path', () => {
+  const markdown = '# Guide\n\nIntro.\n\n## Install\n\nRun it.\n\n### Linux\n\nUse apt.\n\n## Usage\n\nCall it.';
+  const chunks = chunkMarkdown(markdown, { size: 500, overlap: 50, unit: 'tokens' }, 'https://example.com/');
+  assert.deepEqual(chunks.map(chunk => chunk.text), ['# Guide\n\nIntro.', '## Install\n\nRun it.', '### Linux\n\nUse apt.', '## Usage\n\nCall it.']);
+  assert.deepEqual(chunks.map(chunk => chunk.headingPath), [['Guide'], ['Guide', 'Install'], ['Guide', 'Install', 'Linux'], ['Guide', 'Usage']]);
+  assert.deepEqual(chunks.map(chunk => chunk.overlap), [0, 0, 0, 0]);
+});
+
+test('chunkMarkdown keeps code fences whole when they fit and cuts long words anywhere', () => {
+  const fenced = 'Before.\n\n```js\nconst a = 1;\n\nconst b = 2;\n```\n\nAfter.';
+  const [chunk] = chunkMarkdown(fenced, { size: 500, overlap: 0, unit: 'tokens' }, null);
+  assert.equal(chunk.text, fenced);
+
+  const chunks = chunkMarkdown('x'.repeat(1000), { size: 300, overlap: 0, unit: 'characters' }, null);
+  assert.deepEqual(chunks.map(piece => piece.characters), [300, 300, 300, 100]);
+});
+
+test('chunkPage wraps the chunks with the page and settings', () => {
+  const page = { url: 'https://example.com/', title: 'Example', scope: 'main', markdown: '# Hi\n\nThere.' };
+  const result = chunkPage(page, { size: 500, overlap: 50, unit: 'tokens' });
+  assert.equal(result.totalChunks, 1);
+  assert.equal(result.length, page.markdown.length);
+  assert.equal(result.chunks[0].url, 'https://example.com/');
+  assert.match(result.chunks[0].hash, /^[0-9a-f]{64}$/);
+});
@@ -0,0 +1,225 @@
+// Overlapping, heading-aware chunks of a page's Markdown for LLM pipelines
+const crypto = require('crypto');
+
+const CHUNK_UNITS = ['tokens', 'characters'];
+
+const CHUNK_LIMITS = {
+    charsPerToken: 4,        // rough average for English text with common tokenizers
+    minSize: { tokens: 50, characters: 200 },
+    maxSize: { tokens: 8000, characters: 32000 }
+};
+
+// Validate options.chunks: { size, overlap, unit, scope } (only used with type "chunks")
+function validateChunkOptions(options) {
+    if (options.type !== 'chunks') {
+        return { valid: true, chunks: null };
+    }
+
+    const settings = options.chunks === undefined ? {} : options.chunks;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return { valid: false, reason: 'chunks must be an object' };
+    }
+
+    const unit = settings.unit || 'tokens';
+    if (!CHUNK_UNITS.includes(unit)) {
+        return { valid: false, reason: `chunks.unit must be one of ${CHUNK_UNITS.join(', ')}` };
+    }
+
+    const size = settings.size !== undefined ? parseInt(settings.size) : (unit === 'tokens' ? 500 : 2000);
+    const { minSize, maxSize } = CHUNK_LIMITS;
+    if (!(size >= minSize[unit] && size <= maxSize[unit])) {
+        return { valid: false, reason: `chunks.size must be between ${minSize[unit]} and ${maxSize[unit]} ${unit}` };
+    }
+
+    const overlap = settings.overlap !== undefined ? parseInt(settings.overlap) : Math.round(size / 10);
+    if (!(overlap >= 0 && overlap <= size / 2)) {
+        return { valid: false, reason: 'chunks.overlap must be between 0 and half of chunks.size' };
+    }
+
+    const scope = settings.scope || 'main';
+    if (!['main', 'page'].includes(scope)) {
+        return { valid: false, reason: 'chunks.scope must be one of main, page' };
+    }
+
+    return { valid: true, chunks: { size, overlap, unit, scope } };
+}
+
+function toChars(amount, unit) {
+    return unit === 'tokens' ? amount * CHUNK_LIMITS.charsPerToken : amount;
+}
+
+// Blocks of the Markdown (paragraphs, lists, tables, code fences, headings) with their offsets
+// and the heading path they sit under
+function parseBlocks(markdown) {
+    const blocks = [];
+    const headings = [];
+    let fence = null;
+    let current = null;
+    let offset = 0;
+
+    const close = () => {
+        if (current) {
+            blocks.push(current);
+            current = null;
+        }
+    };
+
+    markdown.split('\n').forEach(line => {
+        const start = offset;
+        const end = offset + line.length;
+        offset = end + 1;
+
+        const fenceMatch = line.match(/^(```|~~~~)/);
+        if (fence) {
+            current.end = end;
+            if (fenceMatch && line.startsWith(fence)) {
+                fence = null;
+                close();
+            }
+            return;
+        }
+
+        const heading = !fenceMatch && line.match(/^(#{1,6}) (.+)$/);
+        if (heading) {
+            close();
+            const level = heading[1].length;
+            headings.length = level - 1;
+            headings[level - 1] = heading[2].trim();
+            blocks.push({ start, end, heading: true, headingPath: headings.filter(Boolean) });
+            return;
+        }
+
+        if (!line.trim()) {
+            close();
+            return;
+        }
+
+        if (!current) {
+            current = { start, end, heading: false, headingPath: headings.filter(Boolean) };
+        }
+        current.end = end;
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+        }
+    });
+    close();
+
+    return blocks;
+}
+
+// Cut a block longer than maxChars into pieces at sentence ends, then at whitespace, then anywhere
+function splitBlock(markdown, block, maxChars) {
+    const pieces = [];
+    let position = block.start;
+
+    while (block.end - position > maxChars) {
+        const window = markdown.slice(position, position + maxChars);
+        let cut = -1;
+        const sentenceEnds = window.matchAll(/[.!?。](?=\s)|\n/g);
+        for (const match of sentenceEnds) {
+            cut = match.index + match[0].length;
+        }
+        if (cut < maxChars / 2) {
+            cut = Math.max(window.lastIndexOf(' '), window.lastIndexOf('\n'));
+        }
+        if (cut <= 0) {
+            cut = maxChars;
+        }
+        pieces.push({ ...block, start: position, end: position + cut });
+        position += cut;
+    }
+    pieces.push({ ...block, start: position });
+
+    return pieces;
+}
+
+// Start of the overlap: about `overlapChars` back from `end`, moved forward to a sentence
+// start when one is close, otherwise to a word start
+function overlapStart(markdown, from, end, overlapChars) {
+    let start = Math.max(from, end - overlapChars);
+    const sentence = markdown.slice(start, end).match(/[.!?。]\s+(?=\S)/);
+    if (sentence && sentence.index < (end - start) / 2) {
+        return start + sentence.index + sentence[0].length;
+    }
+    if (start > from && !/\s/.test(markdown[start - 1])) {
+        const nextSpace = markdown.slice(start, end).search(/\s/);
+        start = nextSpace === -1 ? end : start + nextSpace + 1;
+    }
+    return start;
+}
+
+// Split Markdown into chunks. A heading always starts a new chunk; within a section chunks are
+// packed with whole blocks and overlap the previous chunk by about settings.overlap.
+function chunkMarkdown(markdown, settings, url) {
+    const maxChars = toChars(settings.size, settings.unit);
+    const overlapChars = toChars(settings.overlap, settings.unit);
+    const ranges = [];
+    let current = null;
+
+    parseBlocks(markdown).forEach(block => {
+        if (block.heading && current) {
+            ranges.push(current);
+            current = null;
+        }
+
+        // Leave room for the overlap when a long block has to be cut
+        splitBlock(markdown, block, maxChars - overlapChars).forEach(piece => {
+            if (current && piece.end - current.start <= maxChars) {
+                current.end = piece.end;
+                return;
+            }
+
+            let start = piece.start;
+            if (current) {
+                ranges.push(current);
+                if (overlapChars > 0) {
+                    // Never let the overlap push the chunk past maxChars
+                    start = overlapStart(markdown, Math.max(current.start, piece.end - maxChars), current.end, overlapChars);
+                    start = Math.min(start, piece.start);
+                }
+            }
+            current = { start, end: piece.end, headingPath: piece.headingPath, overlap: piece.start - start };
+        });
+    });
+    if (current) {
+        ranges.push(current);
+    }
+
+    return ranges.map((range, index) => {
+        // Trim surrounding whitespace so the offsets match the text exactly
+        const raw = markdown.slice(range.start, range.end);
+        const start = range.start + (raw.length - raw.trimStart().length);
+        const text = raw.trim();
+
+        return {
+            index,
+            text,
+            headingPath: range.headingPath,
+            url,
+            start,
+            end: start + text.length,
+            overlap: Math.max(range.overlap - (start - range.start), 0),
+            characters: text.length,
+            tokens: Math.ceil(text.length / CHUNK_LIMITS.charsPerToken),
+            hash: crypto.createHash('sha256').update(text).digest('hex')
+        };
+    });
+}
+
+// Result for type "chunks" from the output of convertToMarkdown; offsets index into that Markdown
+function chunkPage(page, settings) {
+    const chunks = chunkMarkdown(page.markdown, settings, page.url);
+    return {
+        url: page.url,
+        title: page.title,
+        scope: page.scope,
+        unit: settings.unit,
+        size: settings.size,
+        overlap: settings.overlap,
+        length: page.markdown.length,
+        totalChunks: chunks.length,
+        chunks
+    };
+}
+
+module.exports = { validateChunkOptions, chunkMarkdown, chunkPage, CHUNK_LIMITS, CHUNK_UNITS };